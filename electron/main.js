@@ -6,6 +6,7 @@
 const { app, BrowserWindow, dialog, ipcMain, Menu } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const TranslationMemory = require('../src/translation-memory.js');
 
 // Keep a global reference of the window object
 let mainWindow;
@@ -176,6 +177,26 @@ ipcMain.handle('save-file-dialog', async (event, { defaultName, content, mimeTyp
     return { success: false };
 });
 
+// Translation memory, kept as a JSON file in the user data folder
+let translationMemoryStore = null;
+
+function getTranslationMemoryStore() {
+    if (!translationMemoryStore) {
+        translationMemoryStore = new TranslationMemory.FileStore(
+            path.join(app.getPath('userData'), 'translation-memory.json')
+        );
+    }
+    return translationMemoryStore;
+}
+
+ipcMain.handle('load-translation-memory', async () => {
+    return getTranslationMemoryStore().load();
+});
+
+ipcMain.handle('save-translation-memory', async (event, entries) => {
+    await getTranslationMemoryStore().save(entries);
+});
+
 // This method will be called when Electron has finished initialization
 app.whenReady().then(createWindow);
 
@@ -13,6 +13,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Save file dialog
     saveFileDialog: (options) => ipcRenderer.invoke('save-file-dialog', options),
 
+    // Translation memory entries (JSON file in the user data folder)
+    loadTranslationMemory: () => ipcRenderer.invoke('load-translation-memory'),
+    saveTranslationMemory: (entries) => ipcRenderer.invoke('save-translation-memory', entries),
+
     // Listen for file opened from menu
     onFileOpened: (callback) => {
         ipcRenderer.on('file-opened', (event, data) => callback(data));
@@ -9,12 +9,31 @@
     // State
     let currentFile = null;
     let parsedData = null;
+    let rawExtractionResult = null;
     let extractionResult = null;
+    let localeTable = null;
+    let imageResources = null;
+    let audioResources = null;
 
     // Import state
     let importMizFile = null;
     let importTxtFile = null;
     let importedMizBlob = null;
+    let importResources = null;
+    let importReplacements = {};
+
+    // Compare state
+    let compareOldFile = null;
+    let compareNewFile = null;
+    let comparison = null;
+
+    // Running background jobs (AbortController), so they can be cancelled
+    let processController = null;
+    let importController = null;
+    let compareController = null;
+
+    // Translation memory, filled by every import
+    let translationMemory = null;
 
     // DOM Elements
     const elements = {
@@ -30,9 +49,18 @@
         localeSelect: document.getElementById('locale-select'),
         formatTxt: document.getElementById('format-txt'),
         formatJson: document.getElementById('format-json'),
+        formatLocalesCsv: document.getElementById('format-locales-csv'),
+        formatLocalesJson: document.getElementById('format-locales-json'),
+        memoryPrefill: document.getElementById('memory-prefill'),
+        memoryLocaleSelect: document.getElementById('memory-locale-select'),
+        memoryStatus: document.getElementById('memory-status'),
+        memoryImportInput: document.getElementById('memory-import-input'),
+        memoryImportBtn: document.getElementById('memory-import-btn'),
+        memoryExportBtn: document.getElementById('memory-export-btn'),
         processBtn: document.getElementById('process-btn'),
         processText: document.getElementById('process-text'),
         processSpinner: document.getElementById('process-spinner'),
+        cancelProcessBtn: document.getElementById('cancel-process-btn'),
         progressSection: document.getElementById('progress-section'),
         progressBar: document.getElementById('progress-bar'),
         progressText: document.getElementById('progress-text'),
@@ -40,6 +68,12 @@
         outputPreview: document.getElementById('output-preview'),
         extractionStats: document.getElementById('extraction-stats'),
         downloadBtn: document.getElementById('download-btn'),
+        staleSection: document.getElementById('stale-section'),
+        staleBody: document.getElementById('stale-body'),
+        imageResourcesSection: document.getElementById('image-resources-section'),
+        imageResourcesBody: document.getElementById('image-resources-body'),
+        audioResourcesSection: document.getElementById('audio-resources-section'),
+        audioResourcesBody: document.getElementById('audio-resources-body'),
         errorSection: document.getElementById('error-section'),
         errorMessage: document.getElementById('error-message'),
         // Import elements
@@ -50,9 +84,14 @@
         importTxtInfo: document.getElementById('import-txt-info'),
         importTxtName: document.getElementById('import-txt-name'),
         importLocaleSelect: document.getElementById('import-locale-select'),
+        importImagesSection: document.getElementById('import-images-section'),
+        importImagesBody: document.getElementById('import-images-body'),
+        importAudioSection: document.getElementById('import-audio-section'),
+        importAudioBody: document.getElementById('import-audio-body'),
         importBtn: document.getElementById('import-btn'),
         importText: document.getElementById('import-text'),
         importSpinner: document.getElementById('import-spinner'),
+        cancelImportBtn: document.getElementById('cancel-import-btn'),
         importProgressSection: document.getElementById('import-progress-section'),
         importProgressBar: document.getElementById('import-progress-bar'),
         importProgressText: document.getElementById('import-progress-text'),
@@ -60,6 +99,22 @@
         downloadImportedBtn: document.getElementById('download-imported-btn'),
         importErrorSection: document.getElementById('import-error-section'),
         importErrorMessage: document.getElementById('import-error-message'),
+        // Compare elements
+        compareOldInput: document.getElementById('compare-old-input'),
+        compareNewInput: document.getElementById('compare-new-input'),
+        compareBtn: document.getElementById('compare-btn'),
+        compareText: document.getElementById('compare-text'),
+        compareSpinner: document.getElementById('compare-spinner'),
+        cancelCompareBtn: document.getElementById('cancel-compare-btn'),
+        compareProgressSection: document.getElementById('compare-progress-section'),
+        compareProgressBar: document.getElementById('compare-progress-bar'),
+        compareProgressText: document.getElementById('compare-progress-text'),
+        compareResultsSection: document.getElementById('compare-results-section'),
+        comparePreview: document.getElementById('compare-preview'),
+        compareStats: document.getElementById('compare-stats'),
+        downloadDeltaBtn: document.getElementById('download-delta-btn'),
+        compareErrorSection: document.getElementById('compare-error-section'),
+        compareErrorMessage: document.getElementById('compare-error-message'),
         // Language selector
         languageSelector: document.getElementById('language-selector')
     };
@@ -72,6 +127,7 @@
         }
         setupEventListeners();
         checkElectronEnvironment();
+        await openTranslationMemory();
     }
 
     // Setup all event listeners
@@ -93,6 +149,19 @@
 
         // Process button
         elements.processBtn.addEventListener('click', processFile);
+        elements.cancelProcessBtn.addEventListener('click', cancelProcessing);
+
+        // Output format: re-render the preview of finished results
+        document.querySelectorAll('input[name="output-format"]').forEach(radio => {
+            radio.addEventListener('change', displayResults);
+        });
+
+        // Translation memory
+        elements.memoryPrefill.addEventListener('change', applyTranslationMemory);
+        elements.memoryLocaleSelect.addEventListener('change', applyTranslationMemory);
+        elements.memoryImportBtn.addEventListener('click', () => elements.memoryImportInput.click());
+        elements.memoryImportInput.addEventListener('change', importTranslationMemory);
+        elements.memoryExportBtn.addEventListener('click', exportTranslationMemory);
 
         // Download button
         elements.downloadBtn.addEventListener('click', downloadOutput);
@@ -100,9 +169,18 @@
         // Import handlers
         elements.importMizInput.addEventListener('change', handleImportMizSelect);
         elements.importTxtInput.addEventListener('change', handleImportTxtSelect);
+        elements.importLocaleSelect.addEventListener('change', renderImportResources);
         elements.importBtn.addEventListener('click', performImport);
+        elements.cancelImportBtn.addEventListener('click', cancelImport);
         elements.downloadImportedBtn.addEventListener('click', downloadImportedMiz);
 
+        // Compare handlers
+        elements.compareOldInput.addEventListener('change', handleCompareFileSelect);
+        elements.compareNewInput.addEventListener('change', handleCompareFileSelect);
+        elements.compareBtn.addEventListener('click', compareRevisions);
+        elements.cancelCompareBtn.addEventListener('click', cancelCompare);
+        elements.downloadDeltaBtn.addEventListener('click', downloadDelta);
+
         // Language selector handler
         if (elements.languageSelector) {
             elements.languageSelector.addEventListener('change', handleLanguageChange);
@@ -173,7 +251,11 @@
 
         currentFile = file;
         parsedData = null;
+        rawExtractionResult = null;
         extractionResult = null;
+        localeTable = null;
+        imageResources = null;
+        audioResources = null;
 
         // Update UI
         elements.fileName.textContent = file.name;
@@ -187,7 +269,11 @@
     function clearFile() {
         currentFile = null;
         parsedData = null;
+        rawExtractionResult = null;
         extractionResult = null;
+        localeTable = null;
+        imageResources = null;
+        audioResources = null;
 
         elements.fileInput.value = '';
         elements.fileInfo.classList.add('d-none');
@@ -218,25 +304,31 @@
         hideError();
         hideResults();
 
-        try {
-            // Parse the .miz file
-            parsedData = await MizParser.parse(currentFile, updateProgress);
-
-            updateProgress(80, 'Extracting text...');
+        processController = new AbortController();
 
-            // Get extraction options
+        try {
+            // Parse the .miz file and extract text in the background worker
             const options = getExtractionOptions();
+            const result = await MizWorkerClient.extract(currentFile, options, {
+                signal: processController.signal,
+                onProgress: updateProgress
+            });
+
+            parsedData = { availableLocales: result.availableLocales };
+            rawExtractionResult = result.extractionResult;
+            localeTable = result.localeTable;
+            imageResources = result.imageResources;
+            audioResources = result.audioResources;
 
             // Update locale dropdown with available locales
             updateLocaleDropdown(parsedData.availableLocales);
 
-            // Extract text
-            extractionResult = MizParser.extractText(parsedData, options);
-
             updateProgress(90, 'Formatting output...');
 
-            // Display results
-            displayResults();
+            // Display results, pre-filled from the translation memory
+            applyTranslationMemory();
+            displayStaleTranslations();
+            displayResources();
 
             updateProgress(100, 'Complete!');
 
@@ -246,14 +338,24 @@
             }, 500);
 
         } catch (error) {
-            console.error('Processing error:', error);
-            showError(error.message || 'An error occurred while processing the file');
             hideProgress();
+            if (error.name !== 'AbortError') {
+                console.error('Processing error:', error);
+                showError(error.message || 'An error occurred while processing the file');
+            }
         } finally {
+            processController = null;
             setProcessing(false);
         }
     }
 
+    // Cancel a running file processing
+    function cancelProcessing() {
+        if (processController) {
+            processController.abort();
+        }
+    }
+
     // Get extraction options from UI
     function getExtractionOptions() {
         const mode = elements.modeManual.checked ? 'manual' : 'auto';
@@ -302,31 +404,21 @@
         if (!extractionResult) return;
 
         // Format output based on selected format
-        const format = elements.formatJson.checked ? 'json' : 'txt';
-        let output;
-
-        if (format === 'json') {
-            output = MizParser.formatAsJson(extractionResult);
-        } else {
-            output = MizParser.formatAsText(extractionResult);
-        }
-
-        // Update preview
-        elements.outputPreview.value = output;
+        elements.outputPreview.value = formatOutput().content;
 
         // Update stats with validation info
         let statsText = `${extractionResult.stats.totalStrings} strings (${extractionResult.stats.uniqueStrings} unique)`;
 
         // Show validation warnings/errors per issue #7
+        // Warnings such as legacy encodings or stale translations apply to complete extractions too
         if (extractionResult.validation) {
-            if (!extractionResult.validation.isComplete) {
-                if (extractionResult.validation.errors.length > 0) {
-                    statsText += `\n⚠️ Errors: ${extractionResult.validation.errors.join(', ')}`;
-                }
-                if (extractionResult.validation.warnings.length > 0) {
-                    statsText += `\n⚠️ Warnings: ${extractionResult.validation.warnings.join(', ')}`;
-                }
-            } else {
+            if (!extractionResult.validation.isComplete && extractionResult.validation.errors.length > 0) {
+                statsText += `\n⚠️ Errors: ${extractionResult.validation.errors.join(', ')}`;
+            }
+            if (extractionResult.validation.warnings.length > 0) {
+                statsText += `\n⚠️ Warnings: ${extractionResult.validation.warnings.join(', ')}`;
+            }
+            if (extractionResult.validation.isComplete) {
                 statsText += '\n✅ Complete extraction (briefings, triggers, and radio messages)';
             }
         }
@@ -337,26 +429,191 @@
         elements.resultsSection.classList.remove('d-none');
     }
 
+    // List translations whose DEFAULT text changed since they were imported
+    function displayStaleTranslations() {
+        const rows = [];
+        for (const items of Object.values(rawExtractionResult?.extracted || {})) {
+            for (const item of items) {
+                if (item.stale) {
+                    rows.push([item.context, item.stale.oldSource, item.stale.newSource, item.text]);
+                }
+            }
+        }
+
+        fillTable(elements.staleBody, rows);
+        elements.staleSection.classList.toggle('d-none', rows.length === 0);
+    }
+
+    // List the image and sound resources each locale references
+    function displayResources() {
+        const t = window.i18n ? window.i18n.t : (key) => key;
+
+        const describeFile = (resource) => {
+            let file = resource.fileName;
+            if (!resource.localized) file += ` ${t('export.images.fallback')}`;
+            if (resource.exists === false) file += ` ${t('export.images.missing')}`;
+            return file;
+        };
+
+        const imageRows = [];
+        for (const [locale, images] of Object.entries(imageResources?.locales || {})) {
+            for (const image of images) {
+                imageRows.push([locale, image.resKey, describeFile(image), image.usage.join(', ')]);
+            }
+        }
+        for (const path of imageResources?.kneeboard || []) {
+            imageRows.push([t('export.images.kneeboard'), '', path, '']);
+        }
+
+        const audioRows = [];
+        for (const [locale, sounds] of Object.entries(audioResources || {})) {
+            for (const sound of sounds) {
+                audioRows.push([locale, sound.resKey, sound.subtitle || '', describeFile(sound), sound.usage.join(', ')]);
+            }
+        }
+
+        fillTable(elements.imageResourcesBody, imageRows);
+        fillTable(elements.audioResourcesBody, audioRows);
+        elements.imageResourcesSection.classList.toggle('d-none', imageRows.length === 0);
+        elements.audioResourcesSection.classList.toggle('d-none', audioRows.length === 0);
+    }
+
+    // Replace the rows of a table body; cells are strings or elements
+    function fillTable(tbody, rows) {
+        tbody.innerHTML = '';
+        for (const cells of rows) {
+            const tr = document.createElement('tr');
+            for (const cell of cells) {
+                const td = document.createElement('td');
+                if (typeof cell === 'string') {
+                    td.textContent = cell;
+                } else {
+                    td.appendChild(cell);
+                }
+                tr.appendChild(td);
+            }
+            tbody.appendChild(tr);
+        }
+    }
+
+    // Format the results in the selected output format
+    function formatOutput() {
+        if (elements.formatLocalesCsv.checked) {
+            return {
+                content: MizParser.formatLocaleTableAsCsv(localeTable),
+                mimeType: 'text/csv',
+                extension: 'csv',
+                suffix: 'locales'
+            };
+        }
+        if (elements.formatLocalesJson.checked) {
+            return {
+                content: MizParser.formatLocaleTableAsJson(localeTable),
+                mimeType: 'application/json',
+                extension: 'json',
+                suffix: 'locales'
+            };
+        }
+        if (elements.formatJson.checked) {
+            return {
+                content: MizParser.formatAsJson(extractionResult),
+                mimeType: 'application/json',
+                extension: 'json',
+                suffix: 'extracted'
+            };
+        }
+        return {
+            content: MizParser.formatAsText(extractionResult),
+            mimeType: 'text/plain',
+            extension: 'txt',
+            suffix: 'extracted'
+        };
+    }
+
+    // Open the translation memory of this environment (IndexedDB, or a JSON file under Electron)
+    async function openTranslationMemory() {
+        try {
+            translationMemory = await TranslationMemory.open();
+        } catch (error) {
+            console.warn('Translation memory unavailable:', error);
+            translationMemory = new TranslationMemory();
+        }
+        updateMemoryStatus();
+    }
+
+    // Pre-fill the extracted strings from the translation memory, if enabled
+    function applyTranslationMemory() {
+        if (!rawExtractionResult) return;
+
+        extractionResult = rawExtractionResult;
+        if (translationMemory && elements.memoryPrefill.checked) {
+            extractionResult = MizParser.applyTranslationMemory(rawExtractionResult, translationMemory,
+                elements.memoryLocaleSelect.value);
+        }
+
+        displayResults();
+        updateMemoryStatus();
+    }
+
+    // Show the memory size and how many strings it matched
+    function updateMemoryStatus(message) {
+        const t = window.i18n ? window.i18n.t : (key) => key;
+        if (!translationMemory) {
+            elements.memoryStatus.textContent = t('export.memory.unavailable');
+            return;
+        }
+
+        let status = message || t('export.memory.entries', { count: translationMemory.size });
+        if (!message && extractionResult?.stats.memory) {
+            status += ` · ${t('export.memory.matches', extractionResult.stats.memory)}`;
+        }
+        elements.memoryStatus.textContent = status;
+    }
+
+    // Merge a translation memory file shared by another translator
+    async function importTranslationMemory(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file || !translationMemory) return;
+
+        const t = window.i18n ? window.i18n.t : (key) => key;
+        try {
+            const result = translationMemory.importData(await readTextFile(file));
+            await translationMemory.save();
+            applyTranslationMemory();
+            updateMemoryStatus(t('export.memory.imported', result));
+        } catch (error) {
+            console.error('Translation memory import error:', error);
+            showError(error.message);
+        }
+    }
+
+    // Download the translation memory to share it
+    function exportTranslationMemory() {
+        if (!translationMemory) return;
+
+        const content = JSON.stringify(translationMemory.exportData(), null, 2);
+        const blob = new Blob([content], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'translation-memory.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
     // Download the output
     function downloadOutput() {
         if (!extractionResult || !currentFile) return;
 
-        const format = elements.formatJson.checked ? 'json' : 'txt';
-        let content, mimeType, extension;
-
-        if (format === 'json') {
-            content = MizParser.formatAsJson(extractionResult);
-            mimeType = 'application/json';
-            extension = 'json';
-        } else {
-            content = MizParser.formatAsText(extractionResult);
-            mimeType = 'text/plain';
-            extension = 'txt';
-        }
+        const { content, mimeType, extension, suffix } = formatOutput();
 
         // Generate filename from original file
         const baseName = currentFile.name.replace(/\.miz$/i, '');
-        const fileName = `${baseName}_extracted.${extension}`;
+        const fileName = `${baseName}_${suffix}.${extension}`;
 
         // Create download
         const blob = new Blob([content], { type: mimeType });
@@ -390,6 +647,7 @@
     // Processing state
     function setProcessing(isProcessing) {
         elements.processBtn.disabled = isProcessing || !currentFile;
+        elements.cancelProcessBtn.classList.toggle('d-none', !isProcessing);
         const t = window.i18n ? window.i18n.t : (key) => key;
         if (isProcessing) {
             elements.processText.textContent = t('export.process.processing');
@@ -413,6 +671,9 @@
     // Results display
     function hideResults() {
         elements.resultsSection.classList.add('d-none');
+        elements.staleSection.classList.add('d-none');
+        elements.imageResourcesSection.classList.add('d-none');
+        elements.audioResourcesSection.classList.add('d-none');
     }
 
     // ========== IMPORT FUNCTIONALITY ==========
@@ -426,6 +687,7 @@
             elements.importMizInfo.classList.remove('d-none');
             checkImportReady();
             hideImportError();
+            loadImportResources(file);
         } else {
             showImportError('Please select a valid .miz file');
         }
@@ -445,6 +707,65 @@
         }
     }
 
+    // List the images and sounds of the original .miz so they can be replaced
+    async function loadImportResources(file) {
+        importResources = null;
+        renderImportResources();
+
+        try {
+            const resources = await MizWorkerClient.listResources(file);
+            // Ignore results for a file that has since been replaced
+            if (file === importMizFile) {
+                importResources = resources;
+                renderImportResources();
+            }
+        } catch (error) {
+            // The import itself reports invalid files
+            console.warn('Could not list resources:', error);
+        }
+    }
+
+    // Show one row per ResKey, with the file the target locale uses now
+    function renderImportResources() {
+        const targetLocale = elements.importLocaleSelect.value;
+        const forTarget = (locales) => {
+            const resources = new Map();
+            for (const resource of (locales?.DEFAULT || []).concat(locales?.[targetLocale] || [])) {
+                resources.set(resource.resKey, resource);
+            }
+            return Array.from(resources.values());
+        };
+
+        // Choices made for another locale do not carry over
+        importReplacements = {};
+
+        const images = forTarget(importResources?.images?.locales);
+        fillTable(elements.importImagesBody, images.map(image =>
+            [image.resKey, image.fileName, createReplacementInput(image.resKey, 'image/*')]));
+        elements.importImagesSection.classList.toggle('d-none', images.length === 0);
+
+        const sounds = forTarget(importResources?.audio);
+        fillTable(elements.importAudioBody, sounds.map(sound =>
+            [sound.resKey, sound.subtitle || '', sound.fileName, createReplacementInput(sound.resKey, '.ogg,audio/ogg')]));
+        elements.importAudioSection.classList.toggle('d-none', sounds.length === 0);
+    }
+
+    // File input that sets the replacement file of a ResKey
+    function createReplacementInput(resKey, accept) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.className = 'form-control form-control-sm';
+        input.addEventListener('change', () => {
+            if (input.files[0]) {
+                importReplacements[resKey] = input.files[0];
+            } else {
+                delete importReplacements[resKey];
+            }
+        });
+        return input;
+    }
+
     // Check if import is ready
     function checkImportReady() {
         elements.importBtn.disabled = !(importMizFile && importTxtFile);
@@ -463,6 +784,8 @@
         hideImportError();
         hideImportSuccess();
 
+        importController = new AbortController();
+
         try {
             // Read the translated text file
             const txtContent = await readTextFile(importTxtFile);
@@ -472,25 +795,23 @@
             // Get target locale
             const targetLocale = elements.importLocaleSelect.value;
 
-            // Validate original .miz file
-            updateImportProgress(30, 'Validating .miz file...');
-            const validation = await MizParser.validateMiz(importMizFile);
-
-            if (!validation.valid) {
-                throw new Error(`Invalid .miz file: ${validation.errors.join(', ')}`);
+            // Replacement images and recordings per ResKey
+            const resources = {};
+            for (const [resKey, file] of Object.entries(importReplacements)) {
+                resources[resKey] = { name: file.name, data: file };
             }
 
-            // Perform import
-            importedMizBlob = await MizParser.importToMiz(
-                importMizFile,
-                txtContent,
-                targetLocale,
-                (percent, message) => {
-                    updateImportProgress(30 + (percent * 0.7), message);
-                }
-            );
+            // Validate the original .miz file and perform the import in the background worker
+            importedMizBlob = await MizWorkerClient.importToMiz(importMizFile, txtContent, targetLocale, {
+                resources: resources,
+                memory: translationMemory
+            }, {
+                signal: importController.signal,
+                onProgress: updateImportProgress
+            });
 
             updateImportProgress(100, 'Import complete!');
+            updateMemoryStatus();
 
             // Show success
             setTimeout(() => {
@@ -499,14 +820,24 @@
             }, 500);
 
         } catch (error) {
-            console.error('Import error:', error);
-            showImportError(error.message || 'An error occurred during import');
             hideImportProgress();
+            if (error.name !== 'AbortError') {
+                console.error('Import error:', error);
+                showImportError(error.message || 'An error occurred during import');
+            }
         } finally {
+            importController = null;
             setImportProcessing(false);
         }
     }
 
+    // Cancel a running import
+    function cancelImport() {
+        if (importController) {
+            importController.abort();
+        }
+    }
+
     // Download imported .miz file
     function downloadImportedMiz() {
         if (!importedMizBlob || !importMizFile) return;
@@ -553,6 +884,7 @@
     // Import processing state
     function setImportProcessing(isProcessing) {
         elements.importBtn.disabled = isProcessing || !(importMizFile && importTxtFile);
+        elements.cancelImportBtn.classList.toggle('d-none', !isProcessing);
         const t = window.i18n ? window.i18n.t : (key) => key;
         if (isProcessing) {
             elements.importText.textContent = t('import.process.importing');
@@ -582,6 +914,134 @@
         elements.importSuccessSection.classList.add('d-none');
     }
 
+    // ========== COMPARE FUNCTIONALITY ==========
+
+    // Handle selection of either revision
+    function handleCompareFileSelect(event) {
+        const file = event.target.files[0] || null;
+        if (file && !file.name.toLowerCase().endsWith('.miz')) {
+            showCompareError('Please select a valid .miz file');
+            event.target.value = '';
+            return;
+        }
+
+        if (event.target === elements.compareOldInput) {
+            compareOldFile = file;
+        } else {
+            compareNewFile = file;
+        }
+        comparison = null;
+        elements.compareResultsSection.classList.add('d-none');
+        elements.compareBtn.disabled = !(compareOldFile && compareNewFile);
+        hideCompareError();
+    }
+
+    // Compare the two revisions in the background worker
+    async function compareRevisions() {
+        if (!compareOldFile || !compareNewFile) {
+            showCompareError('Please select both .miz files');
+            return;
+        }
+
+        elements.compareProgressSection.classList.remove('d-none');
+        updateCompareProgress(0, 'Starting...');
+        setCompareProcessing(true);
+        hideCompareError();
+        elements.compareResultsSection.classList.add('d-none');
+
+        compareController = new AbortController();
+
+        try {
+            comparison = await MizWorkerClient.compare(compareOldFile, compareNewFile, getExtractionOptions(), {
+                signal: compareController.signal,
+                onProgress: updateCompareProgress
+            });
+
+            updateCompareProgress(100, 'Complete!');
+            displayComparison();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Compare error:', error);
+                showCompareError(error.message || 'An error occurred while comparing the files');
+            }
+        } finally {
+            compareController = null;
+            elements.compareProgressSection.classList.add('d-none');
+            setCompareProcessing(false);
+        }
+    }
+
+    // Cancel a running comparison
+    function cancelCompare() {
+        if (compareController) {
+            compareController.abort();
+        }
+    }
+
+    // Show the change report
+    function displayComparison() {
+        const t = window.i18n ? window.i18n.t : (key) => key;
+        const stats = comparison.stats;
+
+        elements.comparePreview.value = MizParser.formatComparisonAsText(comparison) || t('compare.results.noChanges');
+        elements.compareStats.textContent = `${stats.added} ${t('compare.results.added')}, ` +
+            `${stats.changed} ${t('compare.results.changed')}, ${stats.removed} ${t('compare.results.removed')}, ` +
+            `${stats.unchanged} ${t('compare.results.unchanged')}`;
+        elements.downloadDeltaBtn.disabled = stats.added + stats.changed === 0;
+        elements.compareResultsSection.classList.remove('d-none');
+    }
+
+    // Download the strings that need (re)translation, in the export tab's format
+    function downloadDelta() {
+        if (!comparison || !compareNewFile) return;
+
+        const delta = MizParser.buildDeltaResult(comparison);
+        const json = elements.formatJson.checked;
+        const content = json ? MizParser.formatAsJson(delta) : MizParser.formatAsText(delta);
+
+        const baseName = compareNewFile.name.replace(/\.miz$/i, '');
+        const blob = new Blob([content], { type: json ? 'application/json' : 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${baseName}_delta.${json ? 'json' : 'txt'}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // Compare progress updates
+    function updateCompareProgress(percent, message) {
+        elements.compareProgressBar.style.width = `${percent}%`;
+        elements.compareProgressText.textContent = message;
+    }
+
+    // Compare processing state
+    function setCompareProcessing(isProcessing) {
+        elements.compareBtn.disabled = isProcessing || !(compareOldFile && compareNewFile);
+        elements.cancelCompareBtn.classList.toggle('d-none', !isProcessing);
+        const t = window.i18n ? window.i18n.t : (key) => key;
+        if (isProcessing) {
+            elements.compareText.textContent = t('compare.process.comparing');
+            elements.compareSpinner.classList.remove('d-none');
+        } else {
+            elements.compareText.textContent = t('compare.process.button');
+            elements.compareSpinner.classList.add('d-none');
+        }
+    }
+
+    // Compare error handling
+    function showCompareError(message) {
+        elements.compareErrorMessage.textContent = message;
+        elements.compareErrorSection.classList.remove('d-none');
+    }
+
+    function hideCompareError() {
+        elements.compareErrorSection.classList.add('d-none');
+    }
+
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
@@ -593,9 +1053,14 @@
     window.MizEditorApp = {
         loadFile,
         processFile,
+        cancelProcessing,
         clearFile,
         getExtractionOptions,
         performImport,
-        downloadImportedMiz
+        cancelImport,
+        downloadImportedMiz,
+        compareRevisions,
+        cancelCompare,
+        downloadDelta
     };
 })();
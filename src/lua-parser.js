@@ -3,383 +3,1887 @@
  * Parses Lua table syntax into JavaScript objects
  */
 
+/**
+ * Error raised when Lua source cannot be parsed
+ * Carries the position of the problem so it can be shown to the user,
+ * e.g. "mission: line 4812, col 17: unterminated string"
+ */
+class LuaParseError extends Error {
+    /**
+     * @param {string} reason - What went wrong (e.g. 'unterminated string')
+     * @param {object} details - Position details: line, column, offset, snippet, expected
+     */
+    constructor(reason, details = {}) {
+        super(`line ${details.line}, col ${details.column}: ${reason}`);
+        this.name = 'LuaParseError';
+        this.reason = reason;
+        this.line = details.line;
+        this.column = details.column;
+        this.offset = details.offset;
+        this.snippet = details.snippet || '';
+        this.expected = details.expected || null;
+        this.fileName = null;
+    }
+
+    /**
+     * Prefix the message with the name of the file that failed to parse
+     * @param {string} fileName - Archive entry name (e.g. 'mission')
+     * @returns {LuaParseError} This error
+     */
+    setFileName(fileName) {
+        this.fileName = fileName;
+        this.message = `${fileName}: line ${this.line}, col ${this.column}: ${this.reason}`;
+        return this;
+    }
+}
+
+/**
+ * A number that remembers how it was written in the source
+ * parse() returns these with the preserveNumbers option for literals whose
+ * JavaScript form would be written back differently (1.0, 0x1F, 1e5, 1.#INF),
+ * so serialize() can reproduce them exactly. Arithmetic works through valueOf().
+ */
+class LuaNumber {
+    /**
+     * @param {number} value - Numeric value
+     * @param {string} raw - Literal as written in the source
+     */
+    constructor(value, raw) {
+        this.value = value;
+        this.raw = raw;
+    }
+
+    /**
+     * Whether the literal is a Lua integer (no fraction, exponent or special value)
+     */
+    get isInteger() {
+        return /^-?\s*(?:0[xX][0-9a-fA-F]+|\d+)$/.test(this.raw);
+    }
+
+    valueOf() {
+        return this.value;
+    }
+
+    toString() {
+        return String(this.value);
+    }
+
+    toJSON() {
+        return this.value;
+    }
+}
+
+/**
+ * A Lua table that keeps its key order and key types
+ * Integer keys ([1]) and string keys (["1"]) stay distinct, and pairs() visits
+ * keys in source order. parse() returns these with the luaTables option;
+ * toJSON() gives the plain object/array form parse() returns by default.
+ */
+class LuaTable {
+    /**
+     * @param {Iterable<Array>} [entries] - Initial [key, value] pairs
+     */
+    constructor(entries) {
+        this.entries = new Map();
+        if (entries) {
+            for (const [key, value] of entries) {
+                this.set(key, value);
+            }
+        }
+    }
+
+    /**
+     * Convert a plain value from parse() (or any JS object/array) to LuaTables
+     * Arrays become sequences from [1]; integer-like object keys become integer
+     * keys, as they would be written by serialize(). LuaTables are returned as is.
+     * @param {*} value - Value to convert
+     * @returns {*} LuaTable for objects and arrays, the value itself otherwise
+     */
+    static from(value) {
+        if (value instanceof LuaTable || !LuaTable.isConvertible(value)) {
+            return value;
+        }
+
+        const table = new LuaTable();
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => table.set(i + 1, LuaTable.from(item)));
+        } else {
+            for (const [key, item] of Object.entries(value)) {
+                table.set(/^(0|[1-9]\d*)$/.test(key) ? Number(key) : key, LuaTable.from(item));
+            }
+        }
+        return table;
+    }
+
+    /**
+     * Check whether a value is a LuaTable
+     */
+    static isTable(value) {
+        return value instanceof LuaTable;
+    }
+
+    /**
+     * Check whether a plain JS value would be converted by from()
+     */
+    static isConvertible(value) {
+        return value !== null && typeof value === 'object' && !(value instanceof LuaNumber);
+    }
+
+    /**
+     * Normalize a key the way Lua does: 1.0 and LuaNumber(1) both index [1]
+     */
+    static normalizeKey(key) {
+        return key instanceof LuaNumber ? key.value : key;
+    }
+
+    /**
+     * Get the value stored under a key (undefined when absent, like nil)
+     */
+    get(key) {
+        return this.entries.get(LuaTable.normalizeKey(key));
+    }
+
+    /**
+     * Get a nested value, e.g. mission.path('coalition', 'blue', 'country')
+     * @returns {*} The value, or undefined if any step is missing or not a table
+     */
+    path(...keys) {
+        let value = this;
+        for (const key of keys) {
+            if (!(value instanceof LuaTable)) return undefined;
+            value = value.get(key);
+        }
+        return value;
+    }
+
+    /**
+     * Store a value; assigning nil (null or undefined) removes the key
+     * @returns {LuaTable} This table
+     */
+    set(key, value) {
+        key = LuaTable.normalizeKey(key);
+        if (value === null || value === undefined) {
+            this.entries.delete(key);
+        } else {
+            this.entries.set(key, value);
+        }
+        return this;
+    }
+
+    has(key) {
+        return this.entries.has(LuaTable.normalizeKey(key));
+    }
+
+    delete(key) {
+        return this.entries.delete(LuaTable.normalizeKey(key));
+    }
+
+    /**
+     * Number of keys of any type
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Length of the sequence part, like Lua's # operator ([1]..[n] without holes)
+     */
+    get length() {
+        let n = 0;
+        while (this.entries.has(n + 1)) {
+            n++;
+        }
+        return n;
+    }
+
+    /**
+     * Append a value after the last sequence element
+     * @returns {LuaTable} This table
+     */
+    push(value) {
+        return this.set(this.length + 1, value);
+    }
+
+    /**
+     * Iterate [index, value] over [1], [2], ... until the first missing index
+     */
+    *ipairs() {
+        for (let i = 1; this.entries.has(i); i++) {
+            yield [i, this.entries.get(i)];
+        }
+    }
+
+    /**
+     * Iterate [key, value] over all keys in insertion (source) order
+     */
+    *pairs() {
+        yield* this.entries.entries();
+    }
+
+    keys() {
+        return this.entries.keys();
+    }
+
+    values() {
+        return this.entries.values();
+    }
+
+    [Symbol.iterator]() {
+        return this.pairs();
+    }
+
+    /**
+     * Whether the keys are exactly [1]..[n] (an empty table counts as an array)
+     */
+    isArray() {
+        return this.length === this.size;
+    }
+
+    /**
+     * Convert to the plain value parse() returns without the luaTables option
+     */
+    toJSON() {
+        const plain = value => value instanceof LuaTable ? value.toJSON() : value;
+        if (this.size > 0 && this.isArray()) {
+            return Array.from(this.values(), plain);
+        }
+        const result = {};
+        for (const [key, value] of this.entries) {
+            result[key] = plain(value);
+        }
+        return result;
+    }
+}
+
+/**
+ * Incremental, non-recursive parser for Lua data files
+ * Takes the source in chunks and builds values with an explicit stack, so huge
+ * mission files can be parsed straight from the archive stream in one pass,
+ * without holding the whole text, a token list or a syntax tree in memory.
+ * Reads the data subset DCS writes: top-level assignments and "return" of tables,
+ * strings, numbers, booleans, nil and dotted names. Use LuaParser.parseTree() when
+ * source positions or function calls are needed.
+ */
+class LuaStreamParser {
+    /**
+     * @param {object} [options] - Parse options
+     * @param {boolean} [options.luaTables=false] - Build LuaTable instead of plain objects and arrays
+     * @param {boolean} [options.preserveNumbers=false] - Return LuaNumber for literals that
+     *     would not be written back identically as plain numbers
+     * @param {string[]} [options.pick] - Only build these fields of each top-level table
+     *     (e.g. ['coalition', 'trig', 'trigrules']); other fields are read but not built
+     * @param {function(number)} [options.onProgress] - Called with the number of characters parsed so far
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.pick = options.pick ? new Set(options.pick.map(String)) : null;
+
+        // Unparsed input: buffer[0] is at this.offset in the whole input, at this.line/this.column
+        this.buffer = '';
+        this.pos = 0;
+        this.offset = 0;
+        this.line = 1;
+        this.column = 1;
+
+        this.globals = {};
+        this.returnValue = undefined;
+        this.state = 'statement';
+        this.target = null;
+        this.stack = [];
+        this.held = null;
+        this.negate = null;
+    }
+
+    /**
+     * Parse the next chunk of source
+     * @param {string} chunk - Source text
+     * @throws {LuaParseError} If the source is not valid Lua data
+     */
+    write(chunk) {
+        this.compact();
+        this.buffer += chunk;
+        this.drain(false);
+    }
+
+    /**
+     * Finish parsing
+     * @returns {object} Map of global name to value, like LuaParser.parseGlobals()
+     * @throws {LuaParseError} If the source ends in the middle of a statement
+     */
+    end() {
+        this.drain(true);
+        this.feed({ type: 'eof', start: this.offset + this.buffer.length, end: this.offset + this.buffer.length });
+        return this.globals;
+    }
+
+    /**
+     * Drop the parsed part of the buffer, keeping any token held for lookahead
+     */
+    compact() {
+        const cut = this.held ? Math.min(this.pos, this.held.start - this.offset) : this.pos;
+        if (cut <= 0) return;
+
+        const dropped = this.buffer.slice(0, cut);
+        const lastNewline = dropped.lastIndexOf('\n');
+        if (lastNewline === -1) {
+            this.column += cut;
+        } else {
+            this.line += dropped.split('\n').length - 1;
+            this.column = cut - lastNewline;
+        }
+
+        this.buffer = this.buffer.slice(cut);
+        this.offset += cut;
+        this.pos -= cut;
+    }
+
+    /**
+     * Read and parse every complete token in the buffer
+     * Until the input ends, a token that reaches the end of the buffer may still
+     * continue in the next chunk, so it is left for the next write().
+     */
+    drain(final) {
+        const buffer = this.buffer;
+
+        while (this.pos < buffer.length) {
+            let token;
+            try {
+                token = LuaParser.readToken(buffer, this.pos);
+            } catch (e) {
+                if (!final && e instanceof LuaParseError &&
+                    (e.reason.startsWith('unterminated') || e.offset > buffer.length - 16)) {
+                    break;
+                }
+                throw this.relocateError(e);
+            }
+            if (!final && token.end >= buffer.length) break;
+
+            // "[" followed only by "=" may still open a long string [==[
+            if (!final && LuaParser.isPunct(token, '[') && /^=*$/.test(buffer.slice(token.end, token.end + 16))) break;
+
+            this.pos = token.end;
+            if (token.type === 'whitespace' || token.type === 'comment') continue;
+
+            token.start += this.offset;
+            token.end += this.offset;
+            this.feed(token);
+        }
+
+        if (this.options.onProgress) {
+            this.options.onProgress(this.offset + this.pos);
+        }
+    }
+
+    /**
+     * Advance the state machine by one token
+     */
+    feed(token) {
+        switch (this.state) {
+            case 'statement':
+                if (token.type === 'eof' || LuaParser.isPunct(token, ';')) return;
+                if (token.type === 'name' && token.value === 'local') return;
+                if (token.type === 'name' && token.value === 'return') {
+                    this.target = null;
+                    this.state = 'value';
+                    return;
+                }
+                if (token.type !== 'name') {
+                    throw this.error(token, `unexpected ${this.describe(token)}`, 'assignment or return statement');
+                }
+                this.target = token.value;
+                this.state = 'assign';
+                return;
+
+            case 'assign':
+                this.expect(token, '=');
+                this.state = 'value';
+                return;
+
+            case 'value':
+                this.startValue(token);
+                return;
+
+            case 'number': {
+                // 0/0 and 1/0 are how serializers write nan and inf
+                if (LuaParser.isPunct(token, '/')) {
+                    this.state = 'divisor';
+                    return;
+                }
+                const number = this.held;
+                this.held = null;
+                this.deliverNumber(number.value, number.raw, number);
+                this.feed(token);
+                return;
+            }
+
+            case 'divisor': {
+                if (token.type !== 'number') {
+                    throw this.error(token, `unexpected ${this.describe(token)}`, 'number');
+                }
+                const dividend = this.held;
+                this.held = null;
+                this.deliverNumber(dividend.value / token.value, `${dividend.raw}/${token.raw}`, dividend);
+                return;
+            }
+
+            case 'name':
+                // Dotted identifiers such as country.id.USA are kept as their name
+                if (LuaParser.isPunct(token, '.')) {
+                    this.state = 'name-dot';
+                    return;
+                }
+                this.deliverName();
+                this.feed(token);
+                return;
+
+            case 'name-dot':
+                if (token.type !== 'name') {
+                    throw this.error(token, `unexpected ${this.describe(token)}`, 'name');
+                }
+                this.held.value += '.' + token.value;
+                this.held.end = token.end;
+                this.state = 'name';
+                return;
+
+            case 'field':
+                this.startField(token);
+                return;
+
+            case 'field-name': {
+                const name = this.held;
+                this.held = null;
+                const frame = this.stack[this.stack.length - 1];
+                if (LuaParser.isPunct(token, '=')) {
+                    this.beginFieldValue(frame, name.value);
+                    return;
+                }
+                // Not a key: the name starts a positional value
+                this.beginFieldValue(frame, frame.arrayIndex++, false);
+                this.startValue(name);
+                this.feed(token);
+                return;
+            }
+
+            case 'key-close':
+                this.expect(token, ']');
+                this.state = 'key-assign';
+                return;
+
+            case 'key-assign': {
+                this.expect(token, '=');
+                const frame = this.stack[this.stack.length - 1];
+                this.beginFieldValue(frame, frame.key);
+                return;
+            }
+
+            case 'separator':
+                if (LuaParser.isPunct(token, ',') || LuaParser.isPunct(token, ';')) {
+                    this.state = 'field';
+                    return;
+                }
+                if (LuaParser.isPunct(token, '}')) {
+                    this.closeTable(token);
+                    return;
+                }
+                throw this.error(token, `expected ',' or '}' near ${this.describe(token)}`, "',' or '}'");
+        }
+    }
+
+    /**
+     * Handle the first token of a value
+     */
+    startValue(token) {
+        switch (token.type) {
+            case 'string':
+                this.deliver(token.value, token);
+                return;
+            case 'number':
+                this.held = token;
+                this.state = 'number';
+                return;
+            case 'name':
+                if (token.value === 'true' || token.value === 'false') {
+                    this.deliver(token.value === 'true', token);
+                } else if (token.value === 'nil') {
+                    this.deliver(null, token);
+                } else {
+                    this.held = { start: token.start, end: token.end, value: token.value };
+                    this.state = 'name';
+                }
+                return;
+            case 'punct':
+                if (token.value === '-' && this.negate === null) {
+                    this.negate = token;
+                    return;
+                }
+                if (token.value === '{' && this.negate === null) {
+                    const parent = this.stack[this.stack.length - 1];
+                    this.stack.push({
+                        skip: parent ? parent.skip || parent.skipValue : false,
+                        table: this.options.luaTables ? new LuaTable() : null,
+                        result: {},
+                        items: [],
+                        hasKeys: false,
+                        arrayIndex: 1,
+                        key: null,
+                        keyed: false,
+                        readingKey: false,
+                        skipValue: false
+                    });
+                    this.state = 'field';
+                    return;
+                }
+                break;
+        }
+
+        const at = this.negate || token;
+        throw this.error(at, `unexpected ${this.describe(at)}`, 'value');
+    }
+
+    /**
+     * Handle the first token of a table field
+     */
+    startField(token) {
+        const frame = this.stack[this.stack.length - 1];
+
+        if (LuaParser.isPunct(token, '}')) {
+            this.closeTable(token);
+        } else if (LuaParser.isPunct(token, '[')) {
+            frame.readingKey = true;
+            this.state = 'value';
+        } else if (token.type === 'name' && !['true', 'false', 'nil'].includes(token.value)) {
+            this.held = token;
+            this.state = 'field-name';
+        } else {
+            this.beginFieldValue(frame, frame.arrayIndex++, false);
+            this.startValue(token);
+        }
+    }
+
+    /**
+     * Start reading the value of a field, deciding whether it is built at all
+     */
+    beginFieldValue(frame, key, keyed = true) {
+        frame.key = key;
+        frame.keyed = keyed;
+        frame.skipValue = this.pick !== null && this.stack.length === 1 && !this.pick.has(String(key));
+        this.state = 'value';
+    }
+
+    /**
+     * Complete a number value, applying a leading minus
+     */
+    deliverNumber(value, raw, token) {
+        if (this.negate) {
+            value = -value;
+            raw = '-' + raw;
+            this.negate = null;
+        }
+        if (this.options.preserveNumbers && LuaParser.formatNumber(value) !== raw) {
+            value = new LuaNumber(value, raw);
+        }
+        this.deliver(value, token);
+    }
+
+    /**
+     * Complete a dotted name value (inf, nan and math.huge are numbers)
+     */
+    deliverName() {
+        const name = this.held;
+        this.held = null;
+        if (name.value in LuaParser.SPECIAL_NUMBERS) {
+            this.deliverNumber(LuaParser.SPECIAL_NUMBERS[name.value], name.value, name);
+        } else {
+            this.deliver(name.value, name);
+        }
+    }
+
+    /**
+     * Pass a completed value to the open table, or assign it to a global
+     */
+    deliver(value, token) {
+        if (this.negate) {
+            throw this.error(this.negate, `unexpected ${this.describe(this.negate)}`, 'value');
+        }
+
+        const frame = this.stack[this.stack.length - 1];
+        if (!frame) {
+            if (this.target === null) {
+                this.returnValue = value;
+            } else {
+                this.globals[this.target] = value;
+            }
+            this.state = 'statement';
+            return;
+        }
+
+        if (frame.readingKey) {
+            frame.readingKey = false;
+            frame.key = value;
+            this.state = 'key-close';
+            return;
+        }
+
+        if (!frame.skip && !frame.skipValue) {
+            if (frame.table) {
+                frame.table.set(frame.key, value);
+            } else if (frame.keyed) {
+                frame.hasKeys = true;
+                frame.result[frame.key] = value;
+            } else {
+                frame.items.push([frame.key, value]);
+            }
+        }
+        frame.skipValue = false;
+        this.state = 'separator';
+    }
+
+    /**
+     * Close the innermost table and deliver it to its parent
+     */
+    closeTable(token) {
+        const frame = this.stack.pop();
+
+        if (frame.table) {
+            this.deliver(frame.table, token);
+            return;
+        }
+
+        // Same shape as parse(): positional-only tables become arrays
+        if (!frame.hasKeys && frame.items.length > 0) {
+            this.deliver(frame.items.map(item => item[1]), token);
+            return;
+        }
+        for (const [index, value] of frame.items) {
+            frame.result[index] = value;
+        }
+        this.deliver(frame.result, token);
+    }
+
+    expect(token, value) {
+        if (!LuaParser.isPunct(token, value)) {
+            throw this.error(token, `expected '${value}' near ${this.describe(token)}`, `'${value}'`);
+        }
+    }
+
+    /**
+     * Describe a token for error messages
+     */
+    describe(token) {
+        if (token.type === 'eof') {
+            return 'end of input';
+        }
+        const text = this.buffer.slice(token.start - this.offset, token.end - this.offset);
+        return `'${text.length > 20 ? text.slice(0, 20) + '...' : text}'`;
+    }
+
+    /**
+     * Create a LuaParseError at a token, with line and column in the whole input
+     */
+    error(token, reason, expected) {
+        return this.relocateError(LuaParser.createError(this.buffer, token.start - this.offset, reason, expected));
+    }
+
+    /**
+     * Move an error raised on the buffer to its position in the whole input
+     */
+    relocateError(error) {
+        return new LuaParseError(error.reason, {
+            line: error.line + this.line - 1,
+            column: error.line === 1 ? error.column + this.column - 1 : error.column,
+            offset: error.offset + this.offset,
+            snippet: error.snippet,
+            expected: error.expected
+        });
+    }
+}
+
 var LuaParser = {
+    LuaParseError: LuaParseError,
+    LuaNumber: LuaNumber,
+    LuaTable: LuaTable,
+    LuaStreamParser: LuaStreamParser,
+
+    /**
+     * Parse a Lua table string into a JavaScript object
+     * @param {string} luaString - The Lua code containing a table
+     * @param {object} [options] - Parse options
+     * @param {boolean} [options.preserveNumbers=false] - Return LuaNumber for literals
+     *     that would not be written back identically as plain numbers
+     * @param {boolean} [options.luaTables=false] - Return LuaTable instead of plain
+     *     objects and arrays, keeping key order and integer vs string keys
+     * @returns {object} Parsed JavaScript object
+     * @throws {LuaParseError} If the source is not valid Lua
+     */
+    parse: function(luaString, options = {}) {
+        if (!luaString || typeof luaString !== 'string') {
+            return {};
+        }
+
+        return this.treeToValue(this.parseTree(luaString, { keepTokens: false }), options);
+    },
+
+    /**
+     * Parse a Lua table string without throwing on syntax errors
+     * Everything read before the first error is returned, together with
+     * the errors found.
+     * @param {string} luaString - The Lua code containing a table
+     * @param {object} [options] - Same options as parse()
+     * @returns {{value: object, diagnostics: LuaParseError[]}} Partial result and errors
+     */
+    parseTolerant: function(luaString, options = {}) {
+        const diagnostics = [];
+        if (!luaString || typeof luaString !== 'string') {
+            return { value: {}, diagnostics: diagnostics };
+        }
+
+        const tree = this.parseTree(luaString, { diagnostics: diagnostics, keepTokens: false });
+        return { value: this.treeToValue(tree, options), diagnostics: diagnostics };
+    },
+
+    /**
+     * Parse every global assigned at the top level of a Lua file
+     * Files such as options, warehouses or mapResource, and scripts, may assign
+     * several globals or plain values (maxDictId = 42). When a name is assigned
+     * twice the last value wins, like in Lua.
+     * @param {string} luaString - Lua source
+     * @param {object} [options] - Same options as parse()
+     * @returns {object} Map of global name to value, e.g. { mission: {...}, maxDictId: 42 }
+     * @throws {LuaParseError} If the source is not valid Lua
+     */
+    parseGlobals: function(luaString, options = {}) {
+        if (!luaString || typeof luaString !== 'string') {
+            return {};
+        }
+
+        return this.treeToGlobals(this.parseTree(luaString, { keepTokens: false }), options);
+    },
+
+    /**
+     * Create an incremental parser for large Lua data files
+     * Feed it with write(chunk) and call end() to get the globals.
+     * @param {object} [options] - See LuaStreamParser
+     * @returns {LuaStreamParser} Parser
+     */
+    createStreamParser: function(options = {}) {
+        return new LuaStreamParser(options);
+    },
+
+    /**
+     * Parse a large Lua data file in one non-recursive pass
+     * Like parseGlobals(), but without building a syntax tree; progress is reported
+     * every megabyte through options.onProgress(parsedChars, totalChars). The whole
+     * source is still held as one string; only createStreamParser() fed from a
+     * stream keeps memory bounded.
+     * @param {string} luaString - Lua source
+     * @param {object} [options] - See LuaStreamParser
+     * @returns {object} Map of global name to value
+     * @throws {LuaParseError} If the source is not valid Lua data
+     */
+    parseStream: function(luaString, options = {}) {
+        const total = luaString.length;
+        const onProgress = options.onProgress;
+        const parser = new LuaStreamParser(Object.assign({}, options, {
+            onProgress: onProgress ? parsed => onProgress(parsed, total) : null
+        }));
+
+        const chunkSize = 1 << 20;
+        for (let start = 0; start < total; start += chunkSize) {
+            parser.write(luaString.slice(start, start + chunkSize));
+        }
+        return parser.end();
+    },
+
+    /**
+     * Get the values of all top-level assignments of a parsed chunk
+     */
+    treeToGlobals: function(tree, options = {}) {
+        const globals = {};
+        for (const statement of tree.body) {
+            if (statement.type === 'assignment') {
+                globals[statement.name] = this.nodeToValue(statement.value, options);
+            }
+        }
+        return globals;
+    },
+
+    /**
+     * Get the main table of a parsed chunk as a plain value
+     * Prefers "dictionary = {...}", then "return {...}", then the first table
+     * assigned at top level.
+     */
+    treeToValue: function(tree, options = {}) {
+        const statement = tree.body.find(s => s.type === 'assignment' && s.name === 'dictionary') ||
+            tree.body.find(s => s.type === 'return') ||
+            tree.body.find(s => s.value.type === 'table');
+
+        if (!statement || statement.value.type !== 'table') {
+            return {};
+        }
+        return this.nodeToValue(statement.value, options);
+    },
+
+    /**
+     * Handle escape sequences
+     */
+    handleEscape: function(char) {
+        switch (char) {
+            case 'n': return '\n';
+            case 't': return '\t';
+            case 'r': return '\r';
+            case 'a': return '\x07';
+            case 'b': return '\b';
+            case 'f': return '\f';
+            case 'v': return '\v';
+            case '\\': return '\\';
+            case '"': return '"';
+            case "'": return "'";
+            default: return char;
+        }
+    },
+
+    /**
+     * Tokenize Lua source, keeping the source offsets of every token
+     * Whitespace and comments are kept as trivia tokens, so joining the text
+     * of all tokens reproduces the input exactly.
+     * @param {string} source - Lua source
+     * @param {Array<LuaParseError>} [diagnostics] - If given, lexing stops at the first
+     *     error instead of throwing, and the error is added here
+     * @returns {Array<object>} Tokens: {type, start, end, value?, quote?, level?}
+     * @throws {LuaParseError} On invalid input when no diagnostics array is given
+     */
+    tokenize: function(source, diagnostics) {
+        const state = this.createLexerState(source, { diagnostics: diagnostics });
+        while (this.nextToken(state).type !== 'eof') {
+            // Tokens are collected in state.tokens
+        }
+        return state.tokens;
+    },
+
+    /**
+     * Create the state of a lexer that reads tokens on demand
+     * Comments, strings and long brackets are all recognised by the lexer while
+     * the parser pulls tokens, so the source is scanned exactly once.
+     * @param {string} source - Lua source
+     * @param {object} options - diagnostics (tolerant mode), keepTokens (collect all tokens)
+     */
+    createLexerState: function(source, options) {
+        return {
+            source: source,
+            pos: 0,
+            lookahead: [],
+            tokens: options.keepTokens === false ? null : [],
+            diagnostics: options.diagnostics || null,
+            truncatedAt: null,
+            failed: false
+        };
+    },
+
+    /**
+     * Read the next significant token, skipping (and optionally collecting) trivia
+     */
+    lexToken: function(state) {
+        while (state.pos < state.source.length) {
+            let token;
+            try {
+                token = this.readToken(state.source, state.pos);
+            } catch (e) {
+                if (!state.diagnostics || !(e instanceof LuaParseError)) throw e;
+                // Tolerant mode: record the error and end the input here
+                state.diagnostics.push(e);
+                state.truncatedAt = state.pos;
+                break;
+            }
+
+            state.pos = token.end;
+            if (state.tokens) state.tokens.push(token);
+            if (token.type !== 'whitespace' && token.type !== 'comment') {
+                return token;
+            }
+        }
+
+        const end = state.truncatedAt === null ? state.source.length : state.truncatedAt;
+        const eof = { type: 'eof', start: end, end: end };
+        if (state.tokens) state.tokens.push(eof);
+        return eof;
+    },
+
+    /**
+     * Read one token starting at pos
+     */
+    readToken: function(source, pos) {
+        const c = source.charCodeAt(pos);
+
+        // Whitespace (space, \t, \n, \v, \f, \r) and a leading byte order mark
+        if (c === 32 || (c >= 9 && c <= 13) || (c === 0xFEFF && pos === 0)) {
+            let end = pos + 1;
+            while (end < source.length) {
+                const d = source.charCodeAt(end);
+                if (d !== 32 && (d < 9 || d > 13)) break;
+                end++;
+            }
+            return { type: 'whitespace', start: pos, end: end };
+        }
+
+        // Comments: --[==[ long ]==] or -- to end of line
+        if (c === 45 && source.charCodeAt(pos + 1) === 45) {
+            const level = this.longBracketLevel(source, pos + 2);
+            if (level >= 0) {
+                const close = this.findLongBracketClose(source, pos + 2, level, 'comment');
+                return { type: 'comment', start: pos, end: close.end };
+            }
+            let end = source.indexOf('\n', pos);
+            if (end === -1) end = source.length;
+            return { type: 'comment', start: pos, end: end };
+        }
+
+        // Quoted strings
+        if (c === 34 || c === 39) {
+            return this.readQuotedString(source, pos);
+        }
+
+        // Long strings [[...]] / [==[...]==]
+        if (c === 91) {
+            const level = this.longBracketLevel(source, pos);
+            if (level >= 0) {
+                return this.readLongString(source, pos, level);
+            }
+        }
+
+        // Numbers
+        if (this.isDigit(c) || (c === 46 && this.isDigit(source.charCodeAt(pos + 1)))) {
+            return this.readNumber(source, pos);
+        }
+
+        // Names and keywords
+        if (this.isNameStart(c)) {
+            let end = pos + 1;
+            while (end < source.length && this.isNamePart(source.charCodeAt(end))) {
+                end++;
+            }
+            return { type: 'name', start: pos, end: end, value: source.slice(pos, end) };
+        }
+
+        // Punctuation
+        for (const punct of this.PUNCTUATION) {
+            if (source.startsWith(punct, pos)) {
+                return { type: 'punct', start: pos, end: pos + punct.length, value: punct };
+            }
+        }
+
+        throw this.createError(source, pos, `unexpected character '${source[pos]}'`);
+    },
+
     /**
-     * Parse a Lua table string into a JavaScript object
-     * @param {string} luaString - The Lua code containing a table
-     * @returns {object} Parsed JavaScript object
+     * Punctuation tokens, longest first
      */
-    parse: function(luaString) {
-        if (!luaString || typeof luaString !== 'string') {
-            return {};
-        }
+    PUNCTUATION: ['...', '==', '~=', '<=', '>=', '..', '{', '}', '[', ']', '(', ')', '=', ',', ';',
+        '.', ':', '+', '-', '*', '/', '%', '^', '#', '<', '>'],
 
-        try {
-            // Remove BOM if present
-            luaString = luaString.replace(/^\uFEFF/, '');
+    isDigit: function(c) {
+        return c >= 48 && c <= 57;
+    },
 
-            // Remove Lua comments (-- comment and --[[ multiline ]])
-            luaString = this.removeComments(luaString);
+    isNameStart: function(c) {
+        return (c >= 65 && c <= 90) || (c >= 97 && c <= 122) || c === 95;
+    },
 
-            // Handle dictionary files that start with "dictionary = {" or just "return {"
-            let match = luaString.match(/(?:dictionary\s*=\s*|return\s*)(\{[\s\S]*\})\s*;?\s*$/);
-            if (match) {
-                luaString = match[1];
-            }
+    isNamePart: function(c) {
+        return this.isNameStart(c) || this.isDigit(c);
+    },
 
-            // Parse the main table
-            return this.parseTable(luaString.trim());
-        } catch (e) {
-            console.error('Lua parse error:', e);
-            return {};
+    /**
+     * Return the level of a long bracket opening at pos ([[ = 0, [=[ = 1, ...), or -1
+     */
+    longBracketLevel: function(source, pos) {
+        if (source[pos] !== '[') return -1;
+        let index = pos + 1;
+        while (source[index] === '=') {
+            index++;
         }
+        return source[index] === '[' ? index - pos - 1 : -1;
     },
 
     /**
-     * Remove Lua comments from string
+     * Find the closing long bracket for an opening at pos
+     * @returns {{contentStart: number, contentEnd: number, end: number}}
      */
-    removeComments: function(str) {
-        // Remove multi-line comments --[[ ... ]]
-        str = str.replace(/--\[\[[\s\S]*?\]\]/g, '');
-        // Remove single-line comments -- ...
-        str = str.replace(/--[^\n]*/g, '');
-        return str;
+    findLongBracketClose: function(source, pos, level, what) {
+        const contentStart = pos + level + 2;
+        const closing = ']' + '='.repeat(level) + ']';
+        const contentEnd = source.indexOf(closing, contentStart);
+        if (contentEnd === -1) {
+            throw this.createError(source, pos, `unterminated long ${what}`, closing);
+        }
+        return { contentStart: contentStart, contentEnd: contentEnd, end: contentEnd + closing.length };
     },
 
     /**
-     * Parse a Lua table structure
+     * Read a "..." or '...' string token
      */
-    parseTable: function(str) {
-        str = str.trim();
+    readQuotedString: function(source, pos) {
+        const quote = source.charCodeAt(pos);
+        let value = '';
+        let chunkStart = pos + 1;
+        let index = pos + 1;
 
-        if (!str.startsWith('{') || !str.endsWith('}')) {
-            // Try to find a table within the string
-            const tableMatch = str.match(/\{[\s\S]*\}/);
-            if (tableMatch) {
-                str = tableMatch[0];
-            } else {
-                return {};
+        // Byte escapes (\208\159, \xD0) are collected and decoded together as UTF-8
+        let bytes = null;
+        const flushBytes = () => {
+            if (bytes) {
+                value += this.decodeUtf8(bytes);
+                bytes = null;
+            }
+        };
+
+        while (index < source.length) {
+            const c = source.charCodeAt(index);
+            if (c === quote) {
+                if (index > chunkStart) flushBytes();
+                value += source.slice(chunkStart, index);
+                flushBytes();
+                return { type: 'string', start: pos, end: index + 1, value: value, quote: source[pos] };
+            }
+            if (c === 92) {
+                if (index > chunkStart) flushBytes();
+                value += source.slice(chunkStart, index);
+                const escape = this.readEscape(source, index);
+                if (escape.byte !== undefined) {
+                    (bytes = bytes || []).push(escape.byte);
+                } else if (escape.value) {
+                    flushBytes();
+                    value += escape.value;
+                }
+                index = escape.end;
+                chunkStart = index;
+                continue;
+            }
+            if (c === 10 || c === 13) {
+                break;
             }
+            index++;
         }
 
-        // Remove outer braces
-        str = str.slice(1, -1).trim();
+        throw this.createError(source, pos, 'unterminated string', `closing ${source[pos]}`);
+    },
 
-        const result = {};
-        const arrayItems = [];
-        let isArray = true;
-        let index = 0;
+    /**
+     * Read an escape sequence starting at the backslash at pos
+     * Supports the Lua 5.1-5.4 escapes: \n-style letters, backslash-newline,
+     * \ddd and \xXX bytes, \u{XXXX} code points and \z.
+     * @returns {{value?: string, byte?: number, end: number}} Decoded text, or a raw byte
+     */
+    readEscape: function(source, pos) {
+        const char = source[pos + 1];
+
+        // Backslash-newline is a line break (\r\n and \n\r count as one)
+        if (char === '\n' || char === '\r') {
+            const next = source[pos + 2];
+            const pair = (next === '\n' || next === '\r') && next !== char;
+            return { value: '\n', end: pos + (pair ? 3 : 2) };
+        }
 
-        while (index < str.length) {
-            // Skip whitespace and commas
-            while (index < str.length && /[\s,]/.test(str[index])) {
-                index++;
+        // \ddd: decimal byte value (up to three digits)
+        if (this.isDigit(source.charCodeAt(pos + 1))) {
+            const digits = /^\d{1,3}/.exec(source.slice(pos + 1, pos + 4))[0];
+            const byte = parseInt(digits, 10);
+            if (byte > 255) {
+                throw this.createError(source, pos, 'decimal escape too large');
             }
+            return { byte: byte, end: pos + 1 + digits.length };
+        }
 
-            if (index >= str.length) break;
+        // \xXX: hexadecimal byte value
+        if (char === 'x') {
+            const hex = source.slice(pos + 2, pos + 4);
+            if (!/^[0-9a-fA-F]{2}$/.test(hex)) {
+                throw this.createError(source, pos, 'hexadecimal digit expected', 'two hexadecimal digits');
+            }
+            return { byte: parseInt(hex, 16), end: pos + 4 };
+        }
 
-            // Check if this is a key-value pair
-            const keyValueResult = this.parseKeyValue(str, index);
-            if (keyValueResult) {
-                isArray = false;
-                result[keyValueResult.key] = keyValueResult.value;
-                index = keyValueResult.nextIndex;
-            } else {
-                // Try to parse as array value
-                const valueResult = this.parseValue(str, index);
-                if (valueResult) {
-                    arrayItems.push(valueResult.value);
-                    index = valueResult.nextIndex;
-                } else {
-                    index++;
-                }
+        // \u{XXXX}: UTF-8 encoded code point
+        if (char === 'u') {
+            const match = /^\{([0-9a-fA-F]+)\}/.exec(source.slice(pos + 2, pos + 14));
+            if (!match) {
+                throw this.createError(source, pos, 'invalid unicode escape', "'{' hexadecimal digits '}'");
             }
+            const codePoint = parseInt(match[1], 16);
+            return {
+                value: codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : '\uFFFD',
+                end: pos + 2 + match[0].length
+            };
         }
 
-        // Return array if all items are array-style, otherwise return object
-        if (isArray && arrayItems.length > 0 && Object.keys(result).length === 0) {
-            return arrayItems;
+        // \z: skip the following whitespace, including line breaks
+        if (char === 'z') {
+            let end = pos + 2;
+            while (end < source.length && /\s/.test(source[end])) {
+                end++;
+            }
+            return { value: '', end: end };
         }
 
-        // Merge array items into result with numeric keys
-        arrayItems.forEach((item, i) => {
-            result[i + 1] = item;
+        return { value: this.handleEscape(char), end: pos + 2 };
+    },
+
+    /**
+     * Decode raw bytes from escape sequences as UTF-8
+     */
+    decodeUtf8: function(bytes) {
+        return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+    },
+
+    /**
+     * Read a long bracket string token
+     */
+    readLongString: function(source, pos, level) {
+        const close = this.findLongBracketClose(source, pos, level, 'string');
+        let contentStart = close.contentStart;
+
+        // A line break directly after the opening bracket is not part of the string
+        if (source[contentStart] === '\r' || source[contentStart] === '\n') {
+            const pair = source[contentStart + 1] !== source[contentStart] &&
+                (source[contentStart + 1] === '\r' || source[contentStart + 1] === '\n');
+            contentStart += pair ? 2 : 1;
+        }
+
+        return {
+            type: 'string',
+            start: pos,
+            end: close.end,
+            value: source.slice(contentStart, close.contentEnd),
+            quote: '[[',
+            level: level,
+            leadingNewline: contentStart !== close.contentStart
+        };
+    },
+
+    /**
+     * Read a numeric literal token
+     */
+    readNumber: function(source, pos) {
+        const text = source.slice(pos, pos + 64);
+
+        // Hexadecimal integers and floats (0x1F, 0x1.8p3)
+        const hex = /^0[xX]([0-9a-fA-F]*)(?:\.([0-9a-fA-F]*))?(?:[pP]([+-]?\d+))?/.exec(text);
+        if (hex && (hex[1] || hex[2])) {
+            const fraction = hex[2] || '';
+            const mantissa = parseInt((hex[1] || '0') + fraction, 16) / Math.pow(16, fraction.length);
+            const value = mantissa * Math.pow(2, parseInt(hex[3] || '0', 10));
+            return { type: 'number', start: pos, end: pos + hex[0].length, value: value, raw: hex[0] };
+        }
+
+        // Decimal numbers, including the 1.#INF / 1.#IND forms written by Windows builds
+        const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?(#(?:INF|IND|QNAN|SNAN)\d*)?/.exec(text);
+        const raw = match[0];
+        let value = Number(match[1] ? raw.slice(0, raw.indexOf('#')) : raw);
+        if (match[1]) {
+            value = match[1].startsWith('#INF') ? Infinity : NaN;
+        }
+        return { type: 'number', start: pos, end: pos + raw.length, value: value, raw: raw };
+    },
+
+    /**
+     * Parse Lua source into a lossless syntax tree
+     * Every node carries its source span (start/end offsets). Comments and
+     * whitespace stay in the source between spans and are listed in tree.tokens,
+     * so values can be edited surgically with applyEdits().
+     * @param {string} source - Lua source
+     * @param {object} [options] - Parse options
+     * @param {Array<LuaParseError>} [options.diagnostics] - Tolerant mode: collect errors here
+     *     and return the part of the tree read before the first error
+     * @param {boolean} [options.keepTokens=true] - Collect all tokens, including trivia, in tree.tokens
+     * @returns {object} Tree: {type: 'chunk', body: [...statements], tokens, source}
+     * @throws {LuaParseError} On invalid input, unless in tolerant mode
+     */
+    parseTree: function(source, options = {}) {
+        const state = this.createLexerState(source, options);
+
+        const body = [];
+        while (!state.failed && this.peekToken(state).type !== 'eof') {
+            if (this.isPunct(this.peekToken(state), ';')) {
+                this.nextToken(state);
+                continue;
+            }
+            try {
+                body.push(this.parseStatement(state));
+            } catch (e) {
+                this.recover(state, e);
+            }
+        }
+
+        return { type: 'chunk', start: 0, end: source.length, body: body, tokens: state.tokens, source: source };
+    },
+
+    /**
+     * Handle a parse error in tolerant mode: record it and stop parsing
+     * Errors caused by input the lexer already gave up on are not recorded twice.
+     */
+    recover: function(state, error) {
+        if (!state.diagnostics || !(error instanceof LuaParseError)) {
+            throw error;
+        }
+
+        const truncated = state.truncatedAt !== null && error.offset >= state.truncatedAt;
+        if (!state.failed && !truncated) {
+            state.diagnostics.push(error);
+        }
+        state.failed = true;
+    },
+
+    /**
+     * Create a LuaParseError pointing at a source offset
+     * @param {string} source - Lua source
+     * @param {number} offset - Offset of the problem
+     * @param {string} reason - What went wrong
+     * @param {string} [expected] - What was expected instead
+     * @returns {LuaParseError} The error
+     */
+    createError: function(source, offset, reason, expected) {
+        let line = 1;
+        let lineStart = 0;
+        for (let i = source.indexOf('\n'); i !== -1 && i < offset; i = source.indexOf('\n', i + 1)) {
+            line++;
+            lineStart = i + 1;
+        }
+
+        let lineEnd = source.indexOf('\n', lineStart);
+        if (lineEnd === -1) lineEnd = source.length;
+        const column = offset - lineStart + 1;
+
+        // Show at most 80 characters of the line around the error, with a caret under it
+        const from = Math.max(0, column - 41);
+        const text = source.slice(lineStart, lineEnd).replace(/\r$/, '').slice(from, from + 80).replace(/\t/g, ' ');
+        const snippet = `${text}\n${' '.repeat(column - 1 - from)}^`;
+
+        return new LuaParseError(reason, {
+            line: line,
+            column: column,
+            offset: offset,
+            snippet: snippet,
+            expected: expected
         });
+    },
 
-        return result;
+    /**
+     * Describe a token for error messages
+     */
+    describeToken: function(state, token) {
+        if (token.type === 'eof') {
+            return 'end of input';
+        }
+        const text = state.source.slice(token.start, token.end);
+        return `'${text.length > 20 ? text.slice(0, 20) + '...' : text}'`;
+    },
+
+    peekToken: function(state, offset = 0) {
+        const lookahead = state.lookahead;
+        while (lookahead.length <= offset) {
+            if (lookahead.length > 0 && lookahead[lookahead.length - 1].type === 'eof') {
+                return lookahead[lookahead.length - 1];
+            }
+            lookahead.push(this.lexToken(state));
+        }
+        return lookahead[offset];
+    },
+
+    nextToken: function(state) {
+        const token = this.peekToken(state);
+        if (token.type !== 'eof') state.lookahead.shift();
+        return token;
+    },
+
+    isPunct: function(token, value) {
+        return token.type === 'punct' && token.value === value;
+    },
+
+    expectPunct: function(state, value) {
+        const token = this.nextToken(state);
+        if (!this.isPunct(token, value)) {
+            throw this.createError(state.source, token.start,
+                `expected '${value}' near ${this.describeToken(state, token)}`, `'${value}'`);
+        }
+        return token;
     },
 
     /**
-     * Parse a key-value pair
+     * Parse a top-level statement: name = value, local name = value, or return value
      */
-    parseKeyValue: function(str, startIndex) {
-        let index = startIndex;
-        let key = null;
+    parseStatement: function(state) {
+        const token = this.nextToken(state);
 
-        // Skip whitespace
-        while (index < str.length && /\s/.test(str[index])) {
-            index++;
+        if (token.type === 'name' && token.value === 'return') {
+            const value = this.parseExpression(state);
+            return { type: 'return', start: token.start, end: value.end, value: value };
         }
 
-        // Check for ["key"] = syntax
-        if (str[index] === '[') {
-            index++; // skip [
+        let nameToken = token;
+        if (token.type === 'name' && token.value === 'local') {
+            nameToken = this.nextToken(state);
+        }
+        if (nameToken.type !== 'name') {
+            throw this.createError(state.source, nameToken.start,
+                `unexpected ${this.describeToken(state, nameToken)}`, 'assignment or return statement');
+        }
+
+        this.expectPunct(state, '=');
+        const value = this.parseExpression(state);
+        return { type: 'assignment', start: token.start, end: value.end, name: nameToken.value, value: value };
+    },
+
+    /**
+     * Parse a value expression
+     */
+    parseExpression: function(state) {
+        const token = this.nextToken(state);
 
-            // Check for string key ["..."]
-            if (str[index] === '"' || str[index] === "'") {
-                const quote = str[index];
-                index++;
-                const keyStart = index;
-                while (index < str.length && str[index] !== quote) {
-                    if (str[index] === '\\') index++; // skip escaped char
-                    index++;
+        switch (token.type) {
+            case 'string':
+                return {
+                    type: 'string', start: token.start, end: token.end, value: token.value,
+                    quote: token.quote, level: token.level, leadingNewline: token.leadingNewline
+                };
+            case 'number': {
+                // 0/0 and 1/0 are how serializers write nan and inf
+                if (this.isPunct(this.peekToken(state), '/') && this.peekToken(state, 1).type === 'number') {
+                    this.nextToken(state);
+                    const divisor = this.nextToken(state);
+                    return {
+                        type: 'number', start: token.start, end: divisor.end,
+                        value: token.value / divisor.value, raw: state.source.slice(token.start, divisor.end)
+                    };
                 }
-                key = str.slice(keyStart, index);
-                key = this.unescapeString(key);
-                index++; // skip closing quote
-            } else {
-                // Numeric key [123]
-                const keyStart = index;
-                while (index < str.length && /[\d]/.test(str[index])) {
-                    index++;
+                return { type: 'number', start: token.start, end: token.end, value: token.value, raw: token.raw };
+            }
+            case 'punct':
+                if (token.value === '{') {
+                    return this.parseTableNode(state, token);
+                }
+                if (token.value === '-') {
+                    const operand = this.parseExpression(state);
+                    if (operand.type === 'number') {
+                        return {
+                            type: 'number', start: token.start, end: operand.end,
+                            value: -operand.value, raw: state.source.slice(token.start, operand.end)
+                        };
+                    }
+                }
+                break;
+            case 'name': {
+                if (token.value === 'true' || token.value === 'false') {
+                    return { type: 'boolean', start: token.start, end: token.end, value: token.value === 'true' };
+                }
+                if (token.value === 'nil') {
+                    return { type: 'nil', start: token.start, end: token.end, value: null };
                 }
-                key = parseInt(str.slice(keyStart, index));
+                // Dotted identifiers such as country.id.USA are kept as their name
+                let end = token.end;
+                while (this.isPunct(this.peekToken(state), '.') && this.peekToken(state, 1).type === 'name') {
+                    this.nextToken(state);
+                    end = this.nextToken(state).end;
+                }
+                const name = state.source.slice(token.start, end);
+
+                // inf/nan as printed by tostring(), and math.huge
+                if (name in this.SPECIAL_NUMBERS) {
+                    return { type: 'number', start: token.start, end: end, value: this.SPECIAL_NUMBERS[name], raw: name };
+                }
+                return this.parseCallSuffix(state, { type: 'name', start: token.start, end: end, value: name });
+            }
+        }
+
+        throw this.createError(state.source, token.start, `unexpected ${this.describeToken(state, token)}`, 'value');
+    },
+
+    /**
+     * Parse the calls following a name: f(...), obj:method(...) and chains of both
+     * Call nodes are {type: 'call', name, callee, args, start, end}. The name is the
+     * called function as written (trigger.action.outText, MESSAGE:New); for a method
+     * called on the result of another call it is ':method' and callee is that call.
+     */
+    parseCallSuffix: function(state, node) {
+        while (true) {
+            let name;
+            if (this.isPunct(this.peekToken(state), '(')) {
+                name = node.type === 'name' ? node.value : null;
+            } else if (this.isPunct(this.peekToken(state), ':') && this.peekToken(state, 1).type === 'name' &&
+                       this.isPunct(this.peekToken(state, 2), '(')) {
+                this.nextToken(state);
+                const method = this.nextToken(state).value;
+                name = node.type === 'name' ? `${node.value}:${method}` : `:${method}`;
+            } else {
+                return node;
             }
 
-            // Skip to ]
-            while (index < str.length && str[index] !== ']') {
-                index++;
+            this.expectPunct(state, '(');
+            const args = [];
+            while (!this.isPunct(this.peekToken(state), ')')) {
+                args.push(this.parseExpression(state));
+                if (!this.isPunct(this.peekToken(state), ')')) {
+                    this.expectPunct(state, ',');
+                }
             }
-            index++; // skip ]
+            const close = this.nextToken(state);
+            node = { type: 'call', start: node.start, end: close.end, name: name, callee: node, args: args, value: null };
         }
-        // Check for identifier = syntax (like sortie = or trig = )
-        else if (/[a-zA-Z_]/.test(str[index])) {
-            const keyStart = index;
-            while (index < str.length && /[a-zA-Z0-9_]/.test(str[index])) {
-                index++;
+    },
+
+    /**
+     * Parse a string of call statements, such as a DCS trigger action
+     * e.g. 'a_out_text_delay(getValueDictByKey("DictKey_ActionText_12"), 10, false);'
+     * A leading "return" is allowed, as in condition strings.
+     * @param {string} code - Lua source made of call statements
+     * @returns {object[]} Top-level call nodes (see parseCallSuffix), with typed argument nodes
+     * @throws {LuaParseError} If the code is not a list of calls
+     */
+    parseCalls: function(code) {
+        const state = this.createLexerState(code, { keepTokens: false });
+        const calls = [];
+
+        while (this.peekToken(state).type !== 'eof') {
+            const token = this.peekToken(state);
+            if (this.isPunct(token, ';')) {
+                this.nextToken(state);
+                continue;
+            }
+            if (token.type === 'name' && token.value === 'return') {
+                this.nextToken(state);
+                continue;
             }
-            const potentialKey = str.slice(keyStart, index);
 
-            // Skip whitespace
-            while (index < str.length && /\s/.test(str[index])) {
-                index++;
+            const expression = this.parseExpression(state);
+            if (expression.type !== 'call') {
+                throw this.createError(code, expression.start, `unexpected ${expression.type}`, 'function call');
             }
+            calls.push(expression);
+        }
 
-            // Check if followed by =
-            if (str[index] === '=') {
-                key = potentialKey;
-            } else {
-                // Not a key-value pair, return null
-                return null;
+        return calls;
+    },
+
+    /**
+     * Find calls to some functions anywhere in Lua code, such as a mission script
+     * Unlike parseCalls(), the code may hold any statements: the tokens are scanned and a
+     * call is read wherever accept() takes the called name. Arguments parseExpression()
+     * cannot read (operators, functions) become {type: 'expression', start, end} nodes.
+     * Code after a token the lexer cannot read is skipped.
+     * @param {string} code - Lua source
+     * @param {function(string): boolean} accept - Called with the name as written
+     *     (missionCommands.addCommand, MESSAGE:New)
+     * @returns {Array<{call: object, target: string|null}>} Call nodes (see parseCallSuffix) in
+     *     source order, and the variable the call is assigned to ("local menu = ...")
+     */
+    findCalls: function(code, accept) {
+        const tokens = this.tokenize(code, []).filter(token =>
+            token.type !== 'whitespace' && token.type !== 'comment' && token.type !== 'eof');
+        const isPunct = (index, value) => tokens[index]?.type === 'punct' && tokens[index].value === value;
+        const found = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'name' || isPunct(i - 1, '.') || isPunct(i - 1, ':')) continue;
+
+            // Dotted name, optionally followed by :method
+            let last = i;
+            while (tokens[last + 2]?.type === 'name' && isPunct(last + 1, '.')) last += 2;
+            if (tokens[last + 2]?.type === 'name' && isPunct(last + 1, ':')) last += 2;
+            if (!isPunct(last + 1, '(')) continue;
+
+            const name = code.slice(token.start, tokens[last].end);
+            if (!accept(name)) continue;
+
+            const args = [];
+            let index = last + 2;
+            while (index < tokens.length && !isPunct(index, ')')) {
+                const end = this.findArgumentEnd(tokens, index);
+                args.push(this.parseArgument(code, tokens[index].start, tokens[end - 1].end));
+                index = isPunct(end, ',') ? end + 1 : end;
             }
-        } else {
-            return null;
+            if (index >= tokens.length) continue;
+
+            const callee = { type: 'name', start: token.start, end: tokens[last].end, value: name };
+            const assigned = isPunct(i - 1, '=') && tokens[i - 2]?.type === 'name' && !isPunct(i - 3, '.');
+            found.push({
+                call: { type: 'call', start: token.start, end: tokens[index].end, name: name, callee: callee, args: args, value: null },
+                target: assigned ? tokens[i - 2].value : null
+            });
         }
 
-        // Skip whitespace and =
-        while (index < str.length && /[\s=]/.test(str[index])) {
-            index++;
+        return found;
+    },
+
+    /**
+     * Index of the token after a call argument: the "," or ")" that ends it at depth 0
+     */
+    findArgumentEnd: function(tokens, index) {
+        const OPEN = ['(', '{', '[', 'function', 'if', 'do', 'repeat'];
+        const CLOSE = [')', '}', ']', 'end', 'until'];
+        let depth = 0;
+        for (; index < tokens.length; index++) {
+            const token = tokens[index];
+            if (token.type !== 'punct' && token.type !== 'name') continue;
+            if (depth === 0 && token.type === 'punct' && (token.value === ',' || token.value === ')')) break;
+            if (OPEN.includes(token.value)) depth++;
+            if (CLOSE.includes(token.value)) depth--;
+        }
+        return index;
+    },
+
+    /**
+     * Parse the source span of a call argument
+     * @returns {object} Expression node, or {type: 'expression', start, end} if the span is
+     *     not a single value parseExpression() can read
+     */
+    parseArgument: function(code, start, end) {
+        const state = this.createLexerState(code, { keepTokens: false });
+        state.pos = start;
+        try {
+            const node = this.parseExpression(state);
+            if (node.end === end) return node;
+        } catch (e) {
+            if (!(e instanceof LuaParseError)) throw e;
         }
+        return { type: 'expression', start: start, end: end };
+    },
 
-        // Parse the value
-        const valueResult = this.parseValue(str, index);
-        if (!valueResult) {
-            return null;
+    /**
+     * Visit a call node and every call nested in its arguments or callee, outermost first
+     * @param {object} node - Expression node
+     * @param {function(object)} callback - Called with each call node
+     */
+    walkCalls: function(node, callback) {
+        if (!node) return;
+        if (node.type === 'call') {
+            callback(node);
+            this.walkCalls(node.callee, callback);
+            node.args.forEach(arg => this.walkCalls(arg, callback));
+        } else if (node.type === 'table') {
+            node.fields.forEach(field => this.walkCalls(field.value, callback));
         }
+    },
 
-        return {
-            key: key,
-            value: valueResult.value,
-            nextIndex: valueResult.nextIndex
-        };
+    /**
+     * Names that stand for special numeric values
+     */
+    SPECIAL_NUMBERS: {
+        'inf': Infinity,
+        'nan': NaN,
+        'math.huge': Infinity
     },
 
     /**
-     * Parse a value (string, number, boolean, table, or nil)
+     * Parse a table constructor after its opening brace
      */
-    parseValue: function(str, startIndex) {
-        let index = startIndex;
+    parseTableNode: function(state, openToken) {
+        const fields = [];
+        let arrayIndex = 1;
 
-        // Skip whitespace
-        while (index < str.length && /\s/.test(str[index])) {
-            index++;
-        }
+        while (!state.failed && !this.isPunct(this.peekToken(state), '}')) {
+            try {
+                const token = this.peekToken(state);
+                let key;
+                let keyNode = null;
 
-        if (index >= str.length) return null;
+                if (this.isPunct(token, '[')) {
+                    this.nextToken(state);
+                    keyNode = this.parseExpression(state);
+                    key = keyNode.value;
+                    this.expectPunct(state, ']');
+                    this.expectPunct(state, '=');
+                } else if (token.type === 'name' && this.isPunct(this.peekToken(state, 1), '=')) {
+                    keyNode = { type: 'name', start: token.start, end: token.end, value: token.value };
+                    key = token.value;
+                    this.nextToken(state);
+                    this.nextToken(state);
+                } else {
+                    key = arrayIndex++;
+                }
 
-        const char = str[index];
+                const value = this.parseExpression(state);
+                fields.push({ key: key, keyNode: keyNode, value: value, start: token.start, end: value.end });
 
-        // String value
-        if (char === '"' || char === "'") {
-            return this.parseString(str, index);
+                const separator = this.peekToken(state);
+                if (this.isPunct(separator, ',') || this.isPunct(separator, ';')) {
+                    this.nextToken(state);
+                } else if (!this.isPunct(separator, '}')) {
+                    throw this.createError(state.source, separator.start,
+                        `expected ',' or '}' near ${this.describeToken(state, separator)}`, "',' or '}'");
+                }
+            } catch (e) {
+                this.recover(state, e);
+            }
         }
 
-        // Multi-line string [[...]]
-        if (char === '[' && str[index + 1] === '[') {
-            return this.parseMultilineString(str, index);
+        // Tolerant mode: return the fields read before the error
+        if (state.failed) {
+            const end = fields.length > 0 ? fields[fields.length - 1].end : openToken.end;
+            return { type: 'table', start: openToken.start, end: end, fields: fields, incomplete: true };
         }
 
-        // Table value
-        if (char === '{') {
-            return this.parseNestedTable(str, index);
-        }
+        const closeToken = this.nextToken(state);
+        return { type: 'table', start: openToken.start, end: closeToken.end, fields: fields };
+    },
+
+    /**
+     * Get the value node of a top-level statement
+     * Looks for an assignment to the given global, then a return statement,
+     * then falls back to the first statement.
+     * @param {object} tree - Tree from parseTree()
+     * @param {string} [name] - Global name (e.g. 'mission', 'dictionary')
+     * @returns {object|null} Value node
+     */
+    getRootNode: function(tree, name) {
+        const statement = tree.body.find(s => s.type === 'assignment' && s.name === name) ||
+            tree.body.find(s => s.type === 'return') ||
+            tree.body[0];
+        return statement ? statement.value : null;
+    },
 
-        // Boolean or nil
-        if (str.slice(index, index + 4) === 'true') {
-            return { value: true, nextIndex: index + 4 };
+    /**
+     * Find a field of a table node by key (the last one wins, like in Lua)
+     * @param {object} tableNode - Table node from parseTree()
+     * @param {string|number} key - Field key
+     * @returns {object|null} Field: {key, keyNode, value, start, end}
+     */
+    findField: function(tableNode, key) {
+        if (!tableNode || tableNode.type !== 'table') return null;
+        for (let i = tableNode.fields.length - 1; i >= 0; i--) {
+            if (String(tableNode.fields[i].key) === String(key)) {
+                return tableNode.fields[i];
+            }
         }
-        if (str.slice(index, index + 5) === 'false') {
-            return { value: false, nextIndex: index + 5 };
+        return null;
+    },
+
+    /**
+     * Convert a tree node to the plain value parse() would return
+     */
+    nodeToValue: function(node, options = {}) {
+        if (node.type === 'number' && options.preserveNumbers && this.formatNumber(node.value) !== node.raw) {
+            return new LuaNumber(node.value, node.raw);
         }
-        if (str.slice(index, index + 3) === 'nil') {
-            return { value: null, nextIndex: index + 3 };
+        if (node.type !== 'table') {
+            return node.value;
         }
 
-        // Number (including negative and decimal)
-        if (/[-\d.]/.test(char)) {
-            const numStart = index;
-            if (char === '-') index++;
-            while (index < str.length && /[\d.eE+-]/.test(str[index])) {
-                index++;
-            }
-            const numStr = str.slice(numStart, index);
-            const num = parseFloat(numStr);
-            if (!isNaN(num)) {
-                return { value: num, nextIndex: index };
+        if (options.luaTables) {
+            const table = new LuaTable();
+            for (const field of node.fields) {
+                table.set(field.key, this.nodeToValue(field.value, options));
             }
+            return table;
         }
 
-        // Try to read as identifier (for enum values like "country.id.USA")
-        if (/[a-zA-Z_]/.test(char)) {
-            const identStart = index;
-            while (index < str.length && /[a-zA-Z0-9_.]/.test(str[index])) {
-                index++;
+        const result = {};
+        const arrayItems = [];
+        let hasKeys = false;
+        for (const field of node.fields) {
+            if (field.keyNode) {
+                hasKeys = true;
+                result[field.key] = this.nodeToValue(field.value, options);
+            } else {
+                arrayItems.push(this.nodeToValue(field.value, options));
             }
-            return { value: str.slice(identStart, index), nextIndex: index };
         }
 
-        return null;
+        if (!hasKeys && arrayItems.length > 0) {
+            return arrayItems;
+        }
+        arrayItems.forEach((item, i) => {
+            result[i + 1] = item;
+        });
+        return result;
     },
 
     /**
-     * Parse a quoted string
+     * Build an edit that replaces a string node with new text, keeping its quote style
+     * @param {object} node - String node from parseTree()
+     * @param {string} text - New string value
+     * @returns {{start: number, end: number, text: string}} Edit for applyEdits()
      */
-    parseString: function(str, startIndex) {
-        const quote = str[startIndex];
-        let index = startIndex + 1;
-        let result = '';
+    replaceString: function(node, text) {
+        return { start: node.start, end: node.end, text: this.formatStringLike(node, text) };
+    },
 
-        while (index < str.length) {
-            if (str[index] === '\\') {
-                // Handle escape sequences
-                index++;
-                if (index < str.length) {
-                    result += this.handleEscape(str[index]);
-                    index++;
-                }
-            } else if (str[index] === quote) {
-                // End of string
-                return { value: result, nextIndex: index + 1 };
-            } else {
-                result += str[index];
-                index++;
+    /**
+     * Format a string value using the quote style of an existing string node
+     */
+    formatStringLike: function(node, text) {
+        if (node.quote === '[[') {
+            let level = node.level || 0;
+            while (text.includes(']' + '='.repeat(level) + ']') || text.endsWith(']' + '='.repeat(level))) {
+                level++;
             }
+            const equals = '='.repeat(level);
+            const newline = node.leadingNewline || text.startsWith('\n') ? '\n' : '';
+            return `[${equals}[${newline}${text}]${equals}]`;
         }
-
-        return { value: result, nextIndex: index };
+        return this.quoteString(text, node.quote);
     },
 
     /**
-     * Parse a multi-line string [[...]]
+     * Apply span edits to source text
+     * Edits must not overlap; everything outside the edited spans is kept byte for byte.
+     * @param {string} source - Original source
+     * @param {Array<{start: number, end: number, text: string}>} edits - Edits to apply
+     * @returns {string} Edited source
      */
-    parseMultilineString: function(str, startIndex) {
-        let index = startIndex + 2; // skip [[
+    applyEdits: function(source, edits) {
+        const sorted = edits.slice().sort((a, b) => a.start - b.start);
         let result = '';
+        let pos = 0;
 
-        // Check for [=[ style
-        let equalSigns = 0;
-        if (str[startIndex + 1] === '=') {
-            index = startIndex + 1;
-            while (str[index] === '=') {
-                equalSigns++;
-                index++;
+        for (const edit of sorted) {
+            if (edit.start < pos) {
+                throw new Error(`Overlapping edit at offset ${edit.start}`);
             }
-            index++; // skip the final [
+            result += source.slice(pos, edit.start) + edit.text;
+            pos = edit.end;
         }
 
-        const endPattern = ']' + '='.repeat(equalSigns) + ']';
+        return result + source.slice(pos);
+    },
 
-        while (index < str.length) {
-            if (str.slice(index, index + endPattern.length) === endPattern) {
-                return { value: result, nextIndex: index + endPattern.length };
-            }
-            result += str[index];
-            index++;
+    /**
+     * Serialize a value produced by parse() back into DCS-style Lua
+     * Output matches what the DCS mission editor writes: tab indentation,
+     * ["key"] / [1] keys and "-- end of [...]" comments after nested tables.
+     * @param {*} value - The value to serialize (usually a table)
+     * @param {string} [rootName] - Global name to assign to (e.g. 'mission', 'dictionary')
+     * @returns {string} Lua source
+     */
+    serialize: function(value, rootName) {
+        if (!rootName) {
+            return this.serializeValue(value, 0);
         }
 
-        return { value: result, nextIndex: index };
+        if (this.isTable(value)) {
+            return `${rootName} = ${this.serializeValue(value, 0)} -- end of ${rootName}\n`;
+        }
+        return `${rootName} = ${this.serializeValue(value, 0)}\n`;
     },
 
     /**
-     * Parse a nested table
+     * Serialize a single value at the given indentation depth
      */
-    parseNestedTable: function(str, startIndex) {
-        let depth = 0;
-        let index = startIndex;
-
-        // Find matching closing brace
-        while (index < str.length) {
-            if (str[index] === '{') {
-                depth++;
-            } else if (str[index] === '}') {
-                depth--;
-                if (depth === 0) {
-                    const tableStr = str.slice(startIndex, index + 1);
-                    return { value: this.parseTable(tableStr), nextIndex: index + 1 };
+    serializeValue: function(value, depth) {
+        if (value === null || value === undefined) {
+            return 'nil';
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'true' : 'false';
+        }
+        if (typeof value === 'number' || value instanceof LuaNumber) {
+            return this.formatNumber(value);
+        }
+        if (typeof value === 'string') {
+            return this.quoteString(value);
+        }
+        if (this.isTable(value)) {
+            return this.serializeTable(value, depth);
+        }
+        throw new Error(`Cannot serialize value of type ${typeof value}`);
+    },
+
+    /**
+     * Serialize a table (LuaTable, JS array or object)
+     * Arrays are written positionally so that parse() returns an array again;
+     * objects are written with explicit keys. LuaTables are written in their own
+     * key order, keeping [1] and ["1"] apart.
+     */
+    serializeTable: function(table, depth) {
+        const indent = '\t'.repeat(depth);
+        const innerIndent = '\t'.repeat(depth + 1);
+        let out = `\n${indent}{\n`;
+
+        if (table instanceof LuaTable) {
+            for (const [key, item] of table.pairs()) {
+                const keyStr = typeof key === 'number' ? `[${this.formatNumber(key)}]` : `[${this.quoteString(key)}]`;
+                if (this.isTable(item)) {
+                    out += `${innerIndent}${keyStr} = ${this.serializeValue(item, depth + 1)}, -- end of ${keyStr}\n`;
+                } else {
+                    out += `${innerIndent}${keyStr} = ${this.serializeValue(item, depth + 1)},\n`;
                 }
-            } else if (str[index] === '"' || str[index] === "'") {
-                // Skip strings to avoid counting braces inside strings
-                const quote = str[index];
-                index++;
-                while (index < str.length && str[index] !== quote) {
-                    if (str[index] === '\\') index++;
-                    index++;
+            }
+        } else if (Array.isArray(table)) {
+            table.forEach((item, i) => {
+                if (this.isTable(item)) {
+                    out += `${innerIndent}${this.serializeValue(item, depth + 1).replace(/^\n\t*/, '')}, -- end of [${i + 1}]\n`;
+                } else {
+                    out += `${innerIndent}${this.serializeValue(item, depth + 1)},\n`;
                 }
-            } else if (str[index] === '[' && str[index + 1] === '[') {
-                // Skip multi-line strings
-                index += 2;
-                while (index < str.length && !(str[index] === ']' && str[index + 1] === ']')) {
-                    index++;
+            });
+        } else {
+            for (const [key, item] of Object.entries(table)) {
+                const keyStr = this.formatKey(key);
+                if (this.isTable(item)) {
+                    out += `${innerIndent}${keyStr} = ${this.serializeValue(item, depth + 1)}, -- end of ${keyStr}\n`;
+                } else {
+                    out += `${innerIndent}${keyStr} = ${this.serializeValue(item, depth + 1)},\n`;
                 }
-                index++; // will be incremented again at end of loop
             }
-            index++;
         }
 
-        return null;
+        return out + `${indent}}`;
     },
 
     /**
-     * Handle escape sequences
+     * Format a table key: integer keys as [1], everything else as ["key"]
      */
-    handleEscape: function(char) {
-        switch (char) {
-            case 'n': return '\n';
-            case 't': return '\t';
-            case 'r': return '\r';
-            case '\\': return '\\';
-            case '"': return '"';
-            case "'": return "'";
-            case '0': return '\0';
-            default: return char;
+    formatKey: function(key) {
+        if (typeof key === 'number' || /^(0|[1-9]\d*)$/.test(key)) {
+            return `[${key}]`;
+        }
+        return `[${this.quoteString(key)}]`;
+    },
+
+    /**
+     * Format a number as a Lua numeric literal
+     * LuaNumber values are written exactly as they were read.
+     */
+    formatNumber: function(num) {
+        if (num instanceof LuaNumber) {
+            return num.raw;
+        }
+        if (Number.isNaN(num)) {
+            return '0/0';
+        }
+        if (!isFinite(num)) {
+            return num > 0 ? 'math.huge' : '-math.huge';
+        }
+        if (Object.is(num, -0)) {
+            return '-0.0';
+        }
+        return String(num);
+    },
+
+    /**
+     * Quote a string as a Lua string literal
+     * Line breaks are written as backslash-newline, like the DCS mission editor does.
+     * @param {string} str - Raw string value
+     * @param {string} [quote='"'] - Quote character to use (" or ')
+     * @returns {string} Quoted Lua string
+     */
+    quoteString: function(str, quote = '"') {
+        if (typeof str !== 'string') {
+            str = String(str);
         }
+        const escaped = str
+            .replace(/\\/g, '\\\\')
+            .replace(quote === "'" ? /'/g : /"/g, `\\${quote}`)
+            .replace(/\r/g, '\\r')
+            .replace(/\t/g, '\\t')
+            .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, c => '\\' + String(c.charCodeAt(0)).padStart(3, '0'))
+            .replace(/\n/g, '\\\n');
+        return `${quote}${escaped}${quote}`;
     },
 
     /**
-     * Unescape a string
+     * Check if a value is serialized as a Lua table
      */
-    unescapeString: function(str) {
-        return str.replace(/\\(.)/g, (match, char) => this.handleEscape(char));
+    isTable: function(value) {
+        return value !== null && typeof value === 'object' && !(value instanceof LuaNumber);
     }
 };
 
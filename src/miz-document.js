@@ -0,0 +1,866 @@
+/**
+ * MIZ Document - In-memory model of a DCS World .miz archive
+ * Holds every archive entry (mission, options, warehouses, theatre, l10n,
+ * KNEEBOARD, Scripts, ...) so that extraction, import and validation share one
+ * loaded archive, and writes it back out as a new .miz.
+ */
+
+// Load dependencies in Node.js environment
+// In browser, these are already available from script tags
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof LuaParser === 'undefined') {
+        var LuaParser = require('./lua-parser.js');
+    }
+    if (typeof JSZip === 'undefined') {
+        var JSZip = require('jszip');
+    }
+}
+
+var MizDocument = class MizDocument {
+    /**
+     * @param {JSZip} [zip] - Opened archive; an empty one by default
+     */
+    constructor(zip = new JSZip()) {
+        this.zip = zip;
+
+        // Save loaded entries with the compression they were read with: JSZip then copies
+        // the compressed data of untouched entries instead of compressing them again
+        for (const entry of Object.values(zip.files)) {
+            const compression = MizDocument.entryCompression(entry);
+            if (compression) entry.options.compression = compression;
+        }
+
+        /**
+         * Parsed Lua entries: archive path -> value
+         */
+        this.models = new Map();
+
+        /**
+         * Text of Lua entries replaced through setFile(), parsed again on first access
+         */
+        this.sources = new Map();
+
+        /**
+         * Archive paths set or removed since the document was loaded
+         */
+        this.modified = new Set();
+
+        /**
+         * Entries read in another encoding than plain UTF-8: archive path -> encoding
+         * (see decodeText()); they are written back as UTF-8 once set
+         */
+        this.encodings = new Map();
+
+        /**
+         * Entries moved to their canonical path when the archive was loaded (see normalizePaths())
+         */
+        this.pathFixes = [];
+
+        this.missionFields = null;
+        this.parsed = false;
+    }
+
+    /**
+     * Open a .miz file
+     * @param {File|Blob|ArrayBuffer|Uint8Array|MizDocument} file - The .miz file;
+     *     an already loaded document is returned as is
+     * @param {object} [options] - Load options
+     * @param {boolean} [options.parse=true] - Parse the Lua entries now; pass false when
+     *     only the raw entries are needed (validation, import)
+     * @param {string[]} [options.missionFields] - Only build these top-level mission fields
+     * @param {Function} [options.onProgress] - Called with (percent, message)
+     * @returns {Promise<MizDocument>}
+     */
+    static async load(file, options = {}) {
+        let document = file;
+
+        if (!(file instanceof MizDocument)) {
+            if (options.onProgress) options.onProgress(5, 'Loading .miz file...');
+
+            let zip;
+            try {
+                zip = await JSZip.loadAsync(file);
+            } catch (e) {
+                throw new Error(`Invalid .miz file: Unable to read as ZIP archive. Error: ${e.message}`);
+            }
+            document = new MizDocument(zip);
+            document.normalizePaths();
+        }
+
+        if (options.parse !== false && !document.parsed) {
+            await document.parseEntries(options);
+        }
+        return document;
+    }
+
+    /**
+     * Parse the mission, options, warehouses, theatre, dictionaries and mapResources
+     * The mission is parsed while it is decompressed, since multiplayer missions
+     * can be 100 MB of Lua.
+     * @param {object} [options] - missionFields and onProgress, as for load()
+     * @throws {Error} If there is no mission file
+     * @throws {LuaParseError} If a Lua entry is not valid Lua
+     */
+    async parseEntries(options = {}) {
+        const { missionFields = null, onProgress = () => {} } = options;
+
+        onProgress(25, 'Extracting mission data...');
+
+        const missionEntry = this.zip.file('mission');
+        if (!missionEntry) {
+            throw new Error('Invalid .miz file: No mission file found');
+        }
+
+        onProgress(30, 'Parsing mission file...');
+        this.missionFields = missionFields;
+        const missionOptions = { luaTables: true, pick: missionFields };
+        let globals = await MizDocument.parseLuaStream(missionEntry, 'mission', missionOptions,
+            percent => onProgress(30 + percent * 0.4, 'Parsing mission file...'));
+        if (globals === null) {
+            // Not plain UTF-8: decode the whole entry instead
+            globals = MizDocument.parseLuaFile(await this.getFile('mission'), 'mission',
+                Object.assign({ globals: true }, missionOptions));
+        }
+        this.models.set('mission', MizDocument.mainTable(globals, 'mission'));
+        this.sources.delete('mission');
+
+        onProgress(70, 'Extracting localization data...');
+
+        const paths = this.listFiles().filter(path => path !== 'mission' && MizDocument.modelType(path));
+        for (const [index, path] of paths.entries()) {
+            onProgress(70 + 30 * index / paths.length, `Reading ${path}...`);
+            this.models.set(path, this.parseModel(path, await this.getFile(path)));
+            this.sources.delete(path);
+        }
+
+        this.parsed = true;
+        onProgress(100, 'Mission data loaded');
+    }
+
+    // ---- Typed accessors ----
+
+    /**
+     * Mission table (LuaTable)
+     */
+    get mission() {
+        return this.model('mission');
+    }
+
+    /**
+     * Mission settings table (LuaTable), or null
+     */
+    get options() {
+        return this.model('options');
+    }
+
+    /**
+     * Airfield supplies table (LuaTable), or null
+     */
+    get warehouses() {
+        return this.model('warehouses');
+    }
+
+    /**
+     * Map name (e.g. "Caucasus"), or null
+     */
+    get theatre() {
+        return this.model('theatre');
+    }
+
+    /**
+     * Locales that have a dictionary, in archive order
+     * @returns {string[]}
+     */
+    get locales() {
+        const locales = [];
+        for (const path of this.listFiles('l10n/')) {
+            const entry = MizDocument.parseL10nPath(path);
+            if (entry && /^dictionary(\.lua)?$/.test(entry.name) && !locales.includes(entry.locale)) {
+                locales.push(entry.locale);
+            }
+        }
+        return locales;
+    }
+
+    /**
+     * Archive paths under KNEEBOARD/
+     * @returns {string[]}
+     */
+    get kneeboard() {
+        return this.listFiles('KNEEBOARD/');
+    }
+
+    /**
+     * Archive paths under Scripts/
+     * @returns {string[]}
+     */
+    get scripts() {
+        return this.listFiles('Scripts/');
+    }
+
+    /**
+     * Dictionary of a locale: DictKey -> text
+     * @param {string} locale - Locale (e.g. 'DEFAULT', 'RU')
+     * @returns {object|null}
+     */
+    getDictionary(locale) {
+        const path = this.findL10nPath(locale, 'dictionary');
+        return path ? this.model(path) : null;
+    }
+
+    /**
+     * Resource map of a locale: ResKey -> file name in l10n/<locale>/
+     * @param {string} locale - Locale (e.g. 'DEFAULT', 'RU')
+     * @returns {object|null}
+     */
+    getMapResource(locale) {
+        const path = this.findL10nPath(locale, 'mapResource');
+        return path ? this.model(path) : null;
+    }
+
+    /**
+     * Source text each translation of a locale was made from (written by MizParser.importToMiz())
+     * @param {string} locale - Locale (e.g. 'RU')
+     * @returns {Object<string, {hash: string, source: string}>|null} DictKey -> DEFAULT text hash and text
+     */
+    getTranslationMeta(locale) {
+        const path = this.findL10nPath(locale, 'translation-meta');
+        return path ? this.model(path) : null;
+    }
+
+    /**
+     * Images, sounds and other files of a locale (everything but dictionary, mapResource and translation-meta)
+     * @param {string} locale - Locale (e.g. 'DEFAULT', 'RU')
+     * @returns {Array<{path: string, name: string, type: string}>} type is 'image', 'sound' or 'other'
+     */
+    getResources(locale) {
+        const resources = [];
+        for (const path of this.listFiles(`l10n/${locale}/`)) {
+            const entry = MizDocument.parseL10nPath(path);
+            if (!entry || MizDocument.modelType(path)) continue;
+
+            resources.push({ path: path, name: entry.name, type: MizDocument.resourceType(entry.name) });
+        }
+        return resources;
+    }
+
+    // ---- Entries ----
+
+    /**
+     * List archive entries (directories excluded), in archive order
+     * @param {string} [prefix] - Only entries whose path starts with this
+     * @returns {string[]}
+     */
+    listFiles(prefix = '') {
+        return Object.keys(this.zip.files).filter(path => path.startsWith(prefix) && !this.zip.files[path].dir);
+    }
+
+    /**
+     * Check whether an entry exists
+     */
+    hasFile(path) {
+        const entry = this.zip.file(path);
+        return !!entry && !entry.dir;
+    }
+
+    /**
+     * Read an entry
+     * Text is decoded in the encoding detected for the entry (see decodeText()),
+     * which is recorded in encodings when it is not plain UTF-8.
+     * @param {string} path - Archive path
+     * @param {string} [type='string'] - JSZip output type ('string', 'uint8array', 'arraybuffer', 'blob', ...)
+     * @returns {Promise<*>} Content, or null if there is no such entry
+     */
+    async getFile(path, type = 'string') {
+        if (!this.hasFile(path)) return null;
+        if (type !== 'string') {
+            return this.zip.file(path).async(type);
+        }
+
+        const decoded = MizDocument.decodeText(await this.zip.file(path).async('uint8array'));
+        if (decoded.encoding !== 'utf-8') {
+            this.encodings.set(path, decoded.encoding);
+        }
+        return decoded.text;
+    }
+
+    /**
+     * Add or replace an entry
+     * Lua entries (mission, dictionaries, ...) are parsed again the next time
+     * their accessor is used, so they must be given as text or bytes, not as a Blob.
+     * Text is always written as UTF-8.
+     * @param {string} path - Archive path
+     * @param {string|ArrayBuffer|Uint8Array|Blob} content - New content
+     */
+    setFile(path, content) {
+        if (MizDocument.modelType(path)) {
+            if (content instanceof ArrayBuffer || ArrayBuffer.isView(content)) {
+                content = MizDocument.decodeText(new Uint8Array(content.buffer || content, content.byteOffset || 0,
+                    content.byteLength)).text;
+            } else if (typeof content !== 'string') {
+                throw new TypeError(`${path} must be set as text`);
+            }
+            this.sources.set(path, content);
+        }
+
+        this.zip.file(path, content);
+        this.models.delete(path);
+        this.encodings.delete(path);
+        this.modified.add(path);
+    }
+
+    /**
+     * Set an entry only if its content changes, so an unchanged entry keeps its
+     * compressed data, date and place in the archive
+     * @param {string} path - Archive path
+     * @param {string|ArrayBuffer|Uint8Array} content - New content
+     * @returns {Promise<boolean>} True if the entry was written
+     */
+    async updateFile(path, content) {
+        if (this.hasFile(path) && !this.encodings.has(path)) {
+            const current = await this.getFile(path, 'uint8array');
+            const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : new Uint8Array(
+                content.buffer || content, content.byteOffset || 0, content.byteLength);
+            if (current.length === bytes.length && current.every((byte, i) => byte === bytes[i])) {
+                return false;
+            }
+        }
+        this.setFile(path, content);
+        return true;
+    }
+
+    /**
+     * Remove an entry
+     * @param {string} path - Archive path
+     */
+    removeFile(path) {
+        this.zip.remove(path);
+        this.models.delete(path);
+        this.sources.delete(path);
+        this.encodings.delete(path);
+        this.modified.add(path);
+    }
+
+    /**
+     * Move entries to the layout DCS expects
+     * Backslash separators, a folder wrapping the whole mission, and the case of known
+     * names (L10N/Default/Dictionary) are fixed. When several entries end up with the
+     * same path, the one already at that path is kept, else the last one in the archive.
+     * @returns {Array<{from: string, to: string, duplicate: boolean}>} What was changed;
+     *     also kept in pathFixes
+     */
+    normalizePaths() {
+        const entries = Object.values(this.zip.files).filter(entry => !entry.dir);
+        const prefix = MizDocument.findRootPrefix(entries.map(entry => entry.name));
+
+        // Of entries with the same path, prefer the one that only lacks the wrapping folder
+        const isExact = (entry, path) => entry.name === path || entry.name === prefix + path;
+        const kept = new Map();
+        for (const entry of entries) {
+            const path = MizDocument.canonicalPath(entry.name, prefix);
+            const current = kept.get(path);
+            if (!current || !isExact(current, path)) {
+                kept.set(path, entry);
+            }
+        }
+
+        const fixes = [];
+        const moves = [];
+        for (const entry of entries) {
+            const path = MizDocument.canonicalPath(entry.name, prefix);
+            if (kept.get(path) !== entry) {
+                fixes.push({ from: entry.name, to: path, duplicate: true });
+                this.zip.remove(entry.name);
+            } else if (entry.name !== path) {
+                fixes.push({ from: entry.name, to: path, duplicate: false });
+                moves.push([path, entry]);
+                this.zip.remove(entry.name);
+            }
+        }
+
+        for (const [path, entry] of moves) {
+            this.zip.file(path, entry.async('uint8array'), {
+                compression: entry.options.compression,
+                date: entry.date,
+                comment: entry.comment,
+                unixPermissions: entry.unixPermissions,
+                dosPermissions: entry.dosPermissions
+            });
+        }
+
+        // Folder entries left without files (the wrapping folder, "L10N/", ...)
+        if (fixes.length > 0) {
+            const files = this.listFiles();
+            for (const entry of Object.values(this.zip.files)) {
+                if (entry.dir && !files.some(path => path.startsWith(entry.name))) {
+                    this.zip.remove(entry.name);
+                }
+            }
+        }
+
+        this.pathFixes = fixes;
+        return fixes;
+    }
+
+    /**
+     * Rewrite the Lua entries that are not plain UTF-8 (legacy code page, BOM, UTF-16) as UTF-8
+     * @returns {Promise<Array<{path: string, encoding: string}>>} The converted entries
+     */
+    async convertToUtf8() {
+        const converted = [];
+        for (const path of this.listFiles()) {
+            if (!MizDocument.modelType(path) || this.sources.has(path)) continue;
+
+            const bytes = await this.getFile(path, 'uint8array');
+            if (!MizDocument.hasBom(bytes) && MizDocument.isUtf8(bytes)) continue;
+
+            const decoded = MizDocument.decodeText(bytes);
+            this.setFile(path, decoded.text);
+            converted.push({ path: path, encoding: decoded.encoding });
+        }
+        return converted;
+    }
+
+    /**
+     * Write the document as a new .miz file
+     * Entries keep their order. Untouched entries are copied with their original
+     * compression and date; set and added ones are deflated.
+     * @param {object} [options] - Save options
+     * @param {string} [options.type='blob'] - JSZip output type ('blob', 'uint8array', 'nodebuffer', ...)
+     * @param {function(number)} [options.onProgress] - Called with the percentage written
+     * @returns {Promise<Blob|Uint8Array|Buffer>}
+     */
+    save(options = {}) {
+        const { type = 'blob', onProgress } = options;
+        return this.zip.generateAsync({
+            type: type,
+            compression: 'DEFLATE',
+            compressionOptions: { level: 6 }
+        }, onProgress ? metadata => onProgress(metadata.percent) : undefined);
+    }
+
+    // ---- Parsed entries ----
+
+    /**
+     * Get the parsed value of a Lua entry
+     * @param {string} path - Archive path
+     * @returns {*} Parsed value, or null if there is no such entry
+     */
+    model(path) {
+        if (this.models.has(path)) {
+            return this.models.get(path);
+        }
+
+        if (this.sources.has(path)) {
+            const value = this.parseModel(path, this.sources.get(path));
+            this.models.set(path, value);
+            this.sources.delete(path);
+            return value;
+        }
+
+        if (!this.parsed && this.hasFile(path)) {
+            throw new Error(`${path} has not been parsed; load the document without "parse: false"`);
+        }
+        return null;
+    }
+
+    /**
+     * Parse the text of a Lua entry
+     * @param {string} path - Archive path
+     * @param {string} content - Entry text
+     * @returns {*} Parsed value
+     */
+    parseModel(path, content) {
+        switch (MizDocument.modelType(path)) {
+            case 'mission':
+                return MizDocument.mainTable(MizDocument.parseLuaFile(content, path, {
+                    globals: true,
+                    luaTables: true,
+                    pick: this.missionFields
+                }), 'mission');
+            case 'globals': {
+                // "options = {...}", "warehouses = {...}"
+                const globals = MizDocument.parseLuaFile(content, path, { globals: true, luaTables: true });
+                return globals[path] ?? null;
+            }
+            case 'text':
+                return content.trim();
+            default:
+                return MizDocument.parseLuaFile(content, path);
+        }
+    }
+
+    /**
+     * Find the dictionary, mapResource or translation-meta entry of a locale (with or without .lua)
+     * @returns {string|null} Archive path
+     */
+    findL10nPath(locale, name) {
+        for (const path of [`l10n/${locale}/${name}`, `l10n/${locale}/${name}.lua`]) {
+            if (this.hasFile(path) || this.sources.has(path)) return path;
+        }
+        return null;
+    }
+
+    /**
+     * How an entry is parsed: 'mission', 'globals' (options, warehouses), 'text' (theatre),
+     * 'table' (dictionary, mapResource, translation-meta), or null for files kept as they are
+     * @param {string} path - Archive path
+     * @returns {string|null}
+     */
+    static modelType(path) {
+        if (path === 'mission') return 'mission';
+        if (path === 'options' || path === 'warehouses') return 'globals';
+        if (path === 'theatre') return 'text';
+        if (/^l10n\/[^/]+\/(dictionary|mapResource|translation-meta)(\.lua)?$/.test(path)) return 'table';
+        return null;
+    }
+
+    /**
+     * Folder wrapping the whole mission, found from where the mission entry is
+     * @param {string[]} paths - Archive paths
+     * @returns {string} Prefix to strip (e.g. "My Mission/"), or '' if the mission is at the root
+     */
+    static findRootPrefix(paths) {
+        let prefix = null;
+        for (const path of paths) {
+            const parts = path.replace(/\\/g, '/').replace(/^\/+/, '').split('/');
+            if (parts[parts.length - 1].toLowerCase() !== 'mission') continue;
+
+            const candidate = parts.slice(0, -1).map(part => `${part}/`).join('');
+            if (prefix === null || candidate.length < prefix.length) {
+                prefix = candidate;
+            }
+        }
+        return prefix || '';
+    }
+
+    /**
+     * Path an entry should have in a .miz
+     * @param {string} path - Archive path as found
+     * @param {string} [prefix] - Wrapping folder to strip (see findRootPrefix())
+     * @returns {string}
+     */
+    static canonicalPath(path, prefix = '') {
+        let normalized = path.replace(/\\/g, '/').replace(/^\/+/, '');
+        if (prefix && normalized.toLowerCase().startsWith(prefix.toLowerCase())) {
+            normalized = normalized.slice(prefix.length);
+        }
+
+        const parts = normalized.split('/');
+        const findName = (names, name) => names.find(known => known.toLowerCase() === name.toLowerCase());
+
+        if (parts.length === 1) {
+            parts[0] = findName(MizDocument.ROOT_FILES, parts[0]) || parts[0];
+        } else {
+            parts[0] = findName(MizDocument.FOLDERS, parts[0]) || parts[0];
+            if (parts[0] === 'l10n' && parts.length === 3) {
+                parts[1] = parts[1].toUpperCase();
+                const match = parts[2].match(/^(.+?)(\.lua)?$/i);
+                const name = findName(MizDocument.L10N_FILES, match[1]);
+                if (name) {
+                    parts[2] = name + (match[2] ? '.lua' : '');
+                }
+            }
+        }
+        return parts.join('/');
+    }
+
+    /**
+     * Compression method of an entry read from an archive
+     * @param {JSZipObject} entry - Archive entry
+     * @returns {string|null} 'STORE' or 'DEFLATE', or null for entries not read from an archive
+     */
+    static entryCompression(entry) {
+        // JSZip keeps the method of a loaded entry only with its compressed data
+        const magic = entry._data?.compression?.magic;
+        if (magic === undefined) return null;
+        return magic === '\x00\x00' ? 'STORE' : 'DEFLATE';
+    }
+
+    /**
+     * Split an l10n path into locale and file name
+     * @param {string} path - Archive path (e.g. "l10n/RU/briefing.png")
+     * @returns {{locale: string, name: string}|null}
+     */
+    static parseL10nPath(path) {
+        const match = path.match(/^l10n\/([^/]+)\/(.+)$/);
+        return match ? { locale: match[1], name: match[2] } : null;
+    }
+
+    /**
+     * Resource type by file extension
+     * @returns {string} 'image', 'sound' or 'other'
+     */
+    static resourceType(name) {
+        const extension = name.split('.').pop().toLowerCase();
+        if (MizDocument.IMAGE_EXTENSIONS.includes(extension)) return 'image';
+        if (MizDocument.SOUND_EXTENSIONS.includes(extension)) return 'sound';
+        return 'other';
+    }
+
+    /**
+     * Pick the main table from the globals of a Lua file
+     * @param {object} globals - Map of global name to value
+     * @param {string} name - Expected global name (e.g. 'mission')
+     * @returns {LuaTable} The named global, else the first table, else an empty table
+     */
+    static mainTable(globals, name) {
+        return globals[name] ||
+            Object.values(globals).find(value => LuaParser.LuaTable.isTable(value)) ||
+            new LuaParser.LuaTable();
+    }
+
+    /**
+     * Parse a Lua entry while it is being decompressed
+     * The entry text is never held in memory as a whole. Only plain UTF-8 can be
+     * decoded chunk by chunk; other entries resolve to null, to be read with getFile().
+     * @param {JSZipObject} zipFile - Archive entry
+     * @param {string} fileName - Archive entry name, used in error messages
+     * @param {object} [options] - LuaStreamParser options
+     * @param {function(number)} [onProgress] - Called with the percentage decompressed;
+     *     may throw (e.g. an AbortError) to stop parsing
+     * @returns {Promise<object|null>} Map of global name to value, or null if the entry is not plain UTF-8
+     */
+    static parseLuaStream(zipFile, fileName, options = {}, onProgress = () => {}) {
+        return new Promise((resolve, reject) => {
+            const parser = LuaParser.createStreamParser(options);
+            const decoder = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+            let lastPercent = -1;
+            let started = false;
+
+            const stream = zipFile.internalStream('uint8array');
+            const fail = (e) => {
+                stream.pause();
+                if (e instanceof LuaParser.LuaParseError) {
+                    e.setFileName(fileName);
+                }
+                reject(e);
+            };
+
+            stream
+                .on('data', (chunk, metadata) => {
+                    if (!started && chunk.length > 0) {
+                        started = true;
+                        if (MizDocument.hasBom(chunk)) {
+                            stream.pause();
+                            resolve(null);
+                            return;
+                        }
+                    }
+
+                    let text;
+                    try {
+                        text = decoder.decode(chunk, { stream: true });
+                    } catch (e) {
+                        stream.pause();
+                        resolve(null);
+                        return;
+                    }
+
+                    try {
+                        parser.write(text);
+                        const percent = Math.floor(metadata.percent);
+                        if (percent !== lastPercent) {
+                            lastPercent = percent;
+                            onProgress(percent);
+                        }
+                    } catch (e) {
+                        fail(e);
+                    }
+                })
+                .on('error', fail)
+                .on('end', () => {
+                    let text;
+                    try {
+                        text = decoder.decode();
+                    } catch (e) {
+                        resolve(null);
+                        return;
+                    }
+
+                    try {
+                        parser.write(text);
+                        resolve(parser.end());
+                    } catch (e) {
+                        fail(e);
+                    }
+                })
+                .resume();
+        });
+    }
+
+    /**
+     * Decode an entry whatever encoding it was saved in
+     * A BOM decides first; text that is valid UTF-8 is UTF-8; otherwise bytes outside
+     * valid UTF-8 sequences are read in the code page guessed by guessCodepage(), so
+     * files where a tool appended Windows-1251 lines to UTF-8 ones decode too.
+     * @param {Uint8Array} bytes - Entry content
+     * @returns {{text: string, encoding: string}} encoding is 'utf-8', 'utf-8-bom', 'utf-16le',
+     *     'utf-16be', a code page ('windows-1251', 'windows-1252'), or 'utf-8+<code page>' when mixed
+     */
+    static decodeText(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { text: new TextDecoder('utf-8').decode(bytes), encoding: 'utf-8-bom' };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { text: new TextDecoder('utf-16le').decode(bytes), encoding: 'utf-16le' };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { text: new TextDecoder('utf-16be').decode(bytes), encoding: 'utf-16be' };
+        }
+        try {
+            return { text: new TextDecoder('utf-8', { fatal: true }).decode(bytes), encoding: 'utf-8' };
+        } catch (e) {
+            // Not UTF-8 throughout
+        }
+
+        // Mark the bytes that are not part of a valid UTF-8 sequence
+        const legacy = new Uint8Array(bytes.length);
+        let utf8Sequences = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] < 0x80) continue;
+            const length = MizDocument.utf8SequenceLength(bytes, i);
+            if (length > 0) {
+                utf8Sequences++;
+                i += length - 1;
+            } else {
+                legacy[i] = 1;
+            }
+        }
+
+        const codepage = MizDocument.guessCodepage(bytes, legacy);
+        const table = new TextDecoder(codepage).decode(Uint8Array.from({ length: 128 }, (_, i) => 0x80 + i));
+
+        // Decode run by run: UTF-8 runs with TextDecoder, legacy bytes through the code page table
+        const parts = [];
+        let runStart = 0;
+        for (let i = 0; i <= bytes.length; i++) {
+            if (i < bytes.length && !legacy[i]) continue;
+            if (i > runStart) {
+                parts.push(new TextDecoder('utf-8').decode(bytes.subarray(runStart, i)));
+            }
+            if (i < bytes.length) {
+                parts.push(table[bytes[i] - 0x80]);
+            }
+            runStart = i + 1;
+        }
+
+        return { text: parts.join(''), encoding: utf8Sequences > 0 ? `utf-8+${codepage}` : codepage };
+    }
+
+    /**
+     * Whether content starts with a UTF-8 or UTF-16 byte order mark
+     */
+    static hasBom(bytes) {
+        return (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) ||
+            (bytes[0] === 0xFF && bytes[1] === 0xFE) ||
+            (bytes[0] === 0xFE && bytes[1] === 0xFF);
+    }
+
+    /**
+     * Whether content is valid UTF-8
+     */
+    static isUtf8(bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            if (bytes[i] < 0x80) continue;
+            const length = MizDocument.utf8SequenceLength(bytes, i);
+            if (length === 0) return false;
+            i += length - 1;
+        }
+        return true;
+    }
+
+    /**
+     * Length of the valid UTF-8 sequence starting at a byte, or 0 if there is none
+     * (overlong forms and surrogates are invalid)
+     */
+    static utf8SequenceLength(bytes, i) {
+        const first = bytes[i];
+        let length, min = 0x80, max = 0xBF;
+        if (first >= 0xC2 && first <= 0xDF) {
+            length = 2;
+        } else if (first >= 0xE0 && first <= 0xEF) {
+            length = 3;
+            if (first === 0xE0) min = 0xA0;
+            if (first === 0xED) max = 0x9F;
+        } else if (first >= 0xF0 && first <= 0xF4) {
+            length = 4;
+            if (first === 0xF0) min = 0x90;
+            if (first === 0xF4) max = 0x8F;
+        } else {
+            return 0;
+        }
+
+        if (i + length > bytes.length) return 0;
+        if (bytes[i + 1] < min || bytes[i + 1] > max) return 0;
+        for (let j = 2; j < length; j++) {
+            if (bytes[i + j] < 0x80 || bytes[i + j] > 0xBF) return 0;
+        }
+        return length;
+    }
+
+    /**
+     * Guess the code page of bytes that are not UTF-8
+     * Windows-1251 letters (0xC0-0xFF) make up whole Cyrillic words, so they mostly
+     * follow each other; the accented Latin letters of Windows-1252 sit alone
+     * between ASCII letters.
+     * @param {Uint8Array} bytes - Entry content
+     * @param {Uint8Array} legacy - 1 for each byte outside a valid UTF-8 sequence
+     * @returns {string} 'windows-1251' or 'windows-1252'
+     */
+    static guessCodepage(bytes, legacy) {
+        let letters = 0;
+        let paired = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            if (!legacy[i] || bytes[i] < 0xC0) continue;
+            letters++;
+            const next = i + 1 < bytes.length && legacy[i + 1] && bytes[i + 1] >= 0xC0;
+            const previous = i > 0 && legacy[i - 1] && bytes[i - 1] >= 0xC0;
+            if (next || previous) paired++;
+        }
+        return letters === 0 || paired / letters >= 0.5 ? 'windows-1251' : 'windows-1252';
+    }
+
+    /**
+     * Parse the text of a Lua entry
+     * Syntax errors are reported with the file name, line and column,
+     * e.g. "mission: line 4812, col 17: unterminated string".
+     * @param {string} content - File content
+     * @param {string} fileName - Archive entry name, used in error messages
+     * @param {object} [options] - LuaParser.parse() options (e.g. luaTables)
+     * @param {boolean} [options.globals=false] - Return every top-level global
+     *     (LuaParser.parseStream) instead of the main table
+     * @returns {object} Parsed table, or map of globals
+     * @throws {LuaParseError} If the file is not valid Lua
+     */
+    static parseLuaFile(content, fileName, options = {}) {
+        try {
+            return options.globals ? LuaParser.parseStream(content, options) : LuaParser.parse(content, options);
+        } catch (e) {
+            if (e instanceof LuaParser.LuaParseError) {
+                e.setFileName(fileName);
+            }
+            throw e;
+        }
+    }
+};
+
+/**
+ * Names DCS looks for, with the case it expects
+ */
+MizDocument.ROOT_FILES = ['mission', 'options', 'warehouses', 'theatre'];
+MizDocument.FOLDERS = ['l10n', 'KNEEBOARD'];
+MizDocument.L10N_FILES = ['dictionary', 'mapResource', 'translation-meta'];
+
+/**
+ * File extensions of l10n resources
+ */
+MizDocument.IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'bmp', 'dds', 'tga'];
+MizDocument.SOUND_EXTENSIONS = ['ogg', 'wav'];
+
+// Export for both browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MizDocument;
+} else if (typeof window !== 'undefined') {
+    window.MizDocument = MizDocument;
+}
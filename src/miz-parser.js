@@ -9,8 +9,8 @@ if (typeof module !== 'undefined' && module.exports) {
     if (typeof LuaParser === 'undefined') {
         var LuaParser = require('./lua-parser.js');
     }
-    if (typeof JSZip === 'undefined') {
-        var JSZip = require('jszip');
+    if (typeof MizDocument === 'undefined') {
+        var MizDocument = require('./miz-document.js');
     }
 }
 
@@ -47,112 +47,129 @@ var MizParser = {
 
     /**
      * Parse a .miz file and extract its contents
-     * @param {File|ArrayBuffer} file - The .miz file to parse
+     * @param {File|ArrayBuffer|MizDocument} file - The .miz file to parse
      * @param {Function} progressCallback - Callback for progress updates
-     * @returns {Promise<object>} Parsed mission data
+     * @param {object} [options] - Parse options
+     * @param {AbortSignal} [options.signal] - Cancels the parse with an AbortError
+     * @param {string[]} [options.missionFields] - Only build these top-level mission fields
+     *     (e.g. MISSION_TEXT_FIELDS); the rest of the mission is read but not kept
+     * @returns {Promise<object>} Parsed mission data; "document" is the loaded MizDocument,
+     *     "missionTable" the mission as a LuaTable and "mission" its plain object form
+     *     (built on first use)
      */
-    parse: async function(file, progressCallback = () => {}) {
-        progressCallback(5, 'Loading .miz file...');
+    parse: async function(file, progressCallback = () => {}, options = {}) {
+        progressCallback = this.checkpoint(progressCallback, options.signal);
 
-        let zip;
-        try {
-            zip = await JSZip.loadAsync(file);
-        } catch (e) {
-            throw new Error('Invalid .miz file: Unable to read as ZIP archive');
-        }
-
-        progressCallback(20, 'Extracting mission data...');
+        // Every progress report of the document is a cancellation point
+        const document = await MizDocument.load(file, {
+            missionFields: options.missionFields,
+            onProgress: (percent, message) => progressCallback(percent * 0.7, message)
+        });
 
         const result = {
-            mission: null,
+            document: document,
+            missionTable: document.mission,
+            options: document.options,
+            warehouses: document.warehouses,
+            theatre: document.theatre,
             dictionaries: {},
             mapResources: {},
-            availableLocales: [],
+            translationMeta: {},
+            encodings: {},
+            pathFixes: document.pathFixes,
+            availableLocales: document.locales,
             rawStrings: []
         };
 
-        // List all files in the archive
-        const fileNames = Object.keys(zip.files);
-
-        // Find and parse the mission file
-        const missionFile = zip.file('mission');
-        if (missionFile) {
-            progressCallback(30, 'Parsing mission file...');
-            const missionContent = await missionFile.async('string');
-            result.mission = LuaParser.parse(missionContent);
-        } else {
-            throw new Error('Invalid .miz file: No mission file found');
+        for (const path of document.listFiles('l10n/')) {
+            const entry = MizDocument.parseL10nPath(path);
+            if (!entry) continue;
+
+            if (/^dictionary(\.lua)?$/.test(entry.name)) {
+                result.dictionaries[entry.locale] = document.getDictionary(entry.locale);
+            } else if (/^mapResource(\.lua)?$/.test(entry.name)) {
+                // Radio sound resources
+                result.mapResources[entry.locale] = document.getMapResource(entry.locale);
+            } else if (/^translation-meta(\.lua)?$/.test(entry.name)) {
+                result.translationMeta[entry.locale] = document.getTranslationMeta(entry.locale);
+            }
         }
 
-        // Find and parse dictionary files
-        progressCallback(50, 'Extracting localization data...');
-
-        // Check for l10n folder
-        const l10nPattern = /^l10n\/([^/]+)\/dictionary$/;
-        const mapResourcePattern = /^l10n\/([^/]+)\/mapResource$/;
-        const mapResourceLuaPattern = /^l10n\/([^/]+)\/mapResource\.lua$/;
-
-        for (const fileName of fileNames) {
-            // Parse dictionary files
-            const match = fileName.match(l10nPattern);
-            if (match) {
-                const locale = match[1];
-                result.availableLocales.push(locale);
-
-                const dictFile = zip.file(fileName);
-                if (dictFile) {
-                    const dictContent = await dictFile.async('string');
-                    result.dictionaries[locale] = LuaParser.parse(dictContent);
-                }
+        // Entries that were not saved as plain UTF-8
+        result.encodings = Object.fromEntries(document.encodings);
+
+        // The extractors read missionTable; the plain form is only built for callers that use it
+        Object.defineProperty(result, 'mission', {
+            configurable: true,
+            enumerable: true,
+            get: () => {
+                const mission = result.missionTable ? result.missionTable.toJSON() : null;
+                Object.defineProperty(result, 'mission', { value: mission, writable: true, enumerable: true });
+                return mission;
             }
+        });
 
-            // Also check for .lua extension
-            const luaMatch = fileName.match(/^l10n\/([^/]+)\/dictionary\.lua$/);
-            if (luaMatch) {
-                const locale = luaMatch[1];
-                if (!result.availableLocales.includes(locale)) {
-                    result.availableLocales.push(locale);
-                }
+        progressCallback(70, 'Processing extracted data...');
 
-                const dictFile = zip.file(fileName);
-                if (dictFile) {
-                    const dictContent = await dictFile.async('string');
-                    result.dictionaries[locale] = LuaParser.parse(dictContent);
-                }
-            }
+        return result;
+    },
 
-            // Parse mapResource files (for radio sound resources)
-            const mapResMatch = fileName.match(mapResourcePattern);
-            if (mapResMatch) {
-                const locale = mapResMatch[1];
-                const mapResFile = zip.file(fileName);
-                if (mapResFile) {
-                    const mapResContent = await mapResFile.async('string');
-                    result.mapResources[locale] = LuaParser.parse(mapResContent);
-                }
-            }
+    /**
+     * Wrap a progress callback so that every progress report is also a cancellation point
+     * @param {Function} progressCallback - Callback for progress updates
+     * @param {AbortSignal} [signal] - Signal to check before each report
+     * @returns {Function} Callback that throws an AbortError once the signal is aborted
+     */
+    checkpoint: function(progressCallback, signal) {
+        return (percent, message) => {
+            this.throwIfAborted(signal);
+            progressCallback(percent, message);
+        };
+    },
 
-            // Also check for mapResource.lua extension
-            const mapResLuaMatch = fileName.match(mapResourceLuaPattern);
-            if (mapResLuaMatch) {
-                const locale = mapResLuaMatch[1];
-                const mapResFile = zip.file(fileName);
-                if (mapResFile) {
-                    const mapResContent = await mapResFile.async('string');
-                    result.mapResources[locale] = LuaParser.parse(mapResContent);
-                }
-            }
+    /**
+     * Throw an AbortError if the signal has been aborted
+     * @param {AbortSignal} [signal] - AbortSignal or any object with an "aborted" flag
+     */
+    throwIfAborted: function(signal) {
+        if (!signal || !signal.aborted) return;
+
+        if (signal.reason instanceof Error && signal.reason.name === 'AbortError') {
+            throw signal.reason;
         }
+        const error = new Error('Operation cancelled');
+        error.name = 'AbortError';
+        throw error;
+    },
 
-        progressCallback(70, 'Processing extracted data...');
+    /**
+     * Top-level mission fields that hold translatable text
+     * Pass as options.missionFields to parse() to skip building everything else.
+     */
+    MISSION_TEXT_FIELDS: [
+        'sortie', 'descriptionText', 'descriptionBlueTask', 'descriptionRedTask', 'descriptionNeutralsTask',
+        'coalition', 'trig', 'trigrules', 'triggers', 'drawings'
+    ],
 
-        return result;
+    /**
+     * Top-level mission fields that reference l10n resources (besides the triggers)
+     */
+    MISSION_RESOURCE_FIELDS: ['pictureFileNameB', 'pictureFileNameR', 'pictureFileNameN'],
+
+    /**
+     * Briefing picture fields: ResKey lists per coalition
+     */
+    BRIEFING_PICTURE_FIELDS: {
+        pictureFileNameB: 'Blue',
+        pictureFileNameR: 'Red',
+        pictureFileNameN: 'Neutral'
     },
 
     /**
      * Extract localizable text from parsed mission data
      * @param {object} parsedData - Data from parse()
      * @param {object} options - Extraction options
+     * @param {AbortSignal} [options.signal] - Cancels extraction with an AbortError
      * @returns {object} Extracted text organized by category
      */
     extractText: function(parsedData, options = {}) {
@@ -203,44 +220,93 @@ var MizParser = {
             }
         }
 
-        // In auto mode, only extract focused categories (briefings, triggers, radio)
+        // In auto mode, only extract focused categories (briefings, triggers, radio, F10 menus,
+        // script messages, map drawings)
         // Ignore units, waypoints, tasks per issue requirements
-        const focusedCategories = ['briefings', 'triggers', 'radio'];
+        const focusedCategories = ['briefings', 'triggers', 'radio', 'menus', 'scripts', 'drawings'];
         const categoriesToExtract = mode === 'auto' ? focusedCategories : categories;
 
         // Extract text by category
+        const mission = parsedData.missionTable || parsedData.mission;
+
+        // Trigger, radio, menu and script texts share one pass over the trigger actions
+        const triggerCategories = ['triggers', 'radio', 'menus', 'scripts'];
+        const triggerTexts = triggerCategories.some(category => categoriesToExtract.includes(category))
+            ? this.collectTriggerTexts(mission) : null;
+        this.throwIfAborted(options.signal);
         if (categoriesToExtract.includes('briefings')) {
-            result.extracted.briefings = this.extractBriefings(parsedData.mission, dictionary);
+            result.extracted.briefings = this.extractBriefings(mission, dictionary);
             result.stats.byCategory.briefings = result.extracted.briefings.length;
         }
 
+        this.throwIfAborted(options.signal);
         if (categoriesToExtract.includes('triggers')) {
-            result.extracted.triggers = this.extractTriggers(parsedData.mission, dictionary);
+            result.extracted.triggers = this.extractTriggers(mission, dictionary, triggerTexts);
             result.stats.byCategory.triggers = result.extracted.triggers.length;
         }
 
+        this.throwIfAborted(options.signal);
         if (categoriesToExtract.includes('radio')) {
-            const mapResource = parsedData.mapResources?.[result.locale] || parsedData.mapResources?.['DEFAULT'];
-            result.extracted.radio = this.extractRadioMessages(parsedData.mission, dictionary, mapResource);
+            result.extracted.radio = this.extractRadioMessages(mission, dictionary, triggerTexts);
             result.stats.byCategory.radio = result.extracted.radio.length;
         }
 
+        this.throwIfAborted(options.signal);
+        if (categoriesToExtract.includes('menus')) {
+            result.extracted.menus = this.extractMenus(mission, dictionary, triggerTexts);
+            result.stats.byCategory.menus = result.extracted.menus.length;
+        }
+
+        this.throwIfAborted(options.signal);
+        if (categoriesToExtract.includes('scripts')) {
+            result.extracted.scripts = this.extractScripts(mission, dictionary, triggerTexts);
+            result.stats.byCategory.scripts = result.extracted.scripts.length;
+        }
+
+        this.throwIfAborted(options.signal);
+        if (categoriesToExtract.includes('drawings')) {
+            result.extracted.drawings = this.extractDrawings(mission, dictionary);
+            result.stats.byCategory.drawings = result.extracted.drawings.length;
+        }
+
         // Optional categories for manual mode only
+        this.throwIfAborted(options.signal);
         if (categoriesToExtract.includes('tasks')) {
-            result.extracted.tasks = this.extractTasks(parsedData.mission, dictionary);
+            result.extracted.tasks = this.extractTasks(mission, dictionary);
             result.stats.byCategory.tasks = result.extracted.tasks.length;
         }
 
+        this.throwIfAborted(options.signal);
         if (categoriesToExtract.includes('units')) {
-            result.extracted.units = this.extractUnits(parsedData.mission, dictionary);
+            result.extracted.units = this.extractUnits(mission, dictionary);
             result.stats.byCategory.units = result.extracted.units.length;
         }
 
+        this.throwIfAborted(options.signal);
         if (categoriesToExtract.includes('waypoints')) {
-            result.extracted.waypoints = this.extractWaypoints(parsedData.mission, dictionary);
+            result.extracted.waypoints = this.extractWaypoints(mission, dictionary);
             result.stats.byCategory.waypoints = result.extracted.waypoints.length;
         }
 
+        // Non-standard archive layout: entries were found under other paths
+        for (const fix of parsedData.pathFixes || []) {
+            result.validation.warnings.push(this.formatPathWarning(fix));
+        }
+
+        // Legacy encodings: the text was decoded, but DCS and other tools expect UTF-8
+        for (const [path, encoding] of Object.entries(parsedData.encodings || {})) {
+            result.validation.warnings.push(this.formatEncodingWarning(path, encoding));
+        }
+
+        // Translations whose DEFAULT text changed since they were imported
+        const translationMeta = parsedData.translationMeta?.[result.locale];
+        if (result.locale !== 'DEFAULT' && translationMeta) {
+            result.stats.stale = this.markStaleTranslations(result.extracted, defaultDict, translationMeta);
+            if (result.stats.stale > 0) {
+                result.validation.warnings.push(`${result.stats.stale} translations need update: their source text changed`);
+            }
+        }
+
         // Calculate totals
         const allStrings = [];
         for (const category of Object.keys(result.extracted)) {
@@ -283,6 +349,39 @@ var MizParser = {
         return result;
     },
 
+    /**
+     * Names of the encodings MizDocument.decodeText() detects
+     */
+    ENCODING_NAMES: {
+        'utf-8': 'UTF-8',
+        'utf-8-bom': 'UTF-8 with BOM',
+        'utf-16le': 'UTF-16 LE',
+        'utf-16be': 'UTF-16 BE',
+        'windows-1251': 'Windows-1251',
+        'windows-1252': 'Windows-1252'
+    },
+
+    /**
+     * Warning for an entry that was not saved as plain UTF-8
+     * @param {string} path - Archive path
+     * @param {string} encoding - Encoding detected by MizDocument.decodeText()
+     */
+    formatEncodingWarning: function(path, encoding) {
+        const name = encoding.split('+').map(part => this.ENCODING_NAMES[part] || part).join(' mixed with ');
+        return `${path} is saved as ${name}, not UTF-8; it was decoded and will be written as UTF-8 on import`;
+    },
+
+    /**
+     * Warning for an archive entry found under a non-standard path
+     * @param {{from: string, to: string, duplicate: boolean}} fix - Entry of MizDocument.pathFixes
+     */
+    formatPathWarning: function(fix) {
+        if (fix.duplicate) {
+            return `Duplicate entry "${fix.from}" ignored; "${fix.to}" is used`;
+        }
+        return `Archive entry "${fix.from}" read as "${fix.to}"; it will be saved there on import`;
+    },
+
     /**
      * Resolve a DictKey reference to actual text
      * @param {string} value - The value to resolve (might be DictKey or plain text)
@@ -317,7 +416,8 @@ var MizParser = {
 
     /**
      * Clean and trim text with strict cleaning per issue requirements
-     * Removes all Lua artifacts: quotes, escapes, tabs, multiple spaces
+     * Removes Lua artifacts: escapes, tabs, multiple spaces. Line breaks and quotes are
+     * part of the text and kept.
      */
     cleanText: function(text) {
         if (!text || typeof text !== 'string') return null;
@@ -328,9 +428,6 @@ var MizParser = {
         // Remove empty strings
         if (!text) return null;
 
-        // Remove Lua artifacts (quotes at start/end that might have been escaped)
-        text = text.replace(/^["']|["']$/g, '');
-
         // Unescape common Lua escape sequences
         text = text.replace(/\\n/g, '\n');
         text = text.replace(/\\t/g, ' '); // Convert tabs to spaces first
@@ -342,8 +439,10 @@ var MizParser = {
         // 1. Remove all tabs (replace with space)
         text = text.replace(/\t/g, ' ');
 
-        // 2. Normalize multiple spaces to single space
-        text = text.replace(/\s+/g, ' ');
+        // 2. Normalize multiple spaces to single space, keeping line breaks
+        text = text.replace(/\r\n?/g, '\n');
+        text = text.replace(/[^\S\n]+/g, ' ');
+        text = text.replace(/ ?\n ?/g, '\n');
 
         // 3. Remove any remaining escape characters
         text = text.replace(/\\(?!n)/g, '');
@@ -351,9 +450,6 @@ var MizParser = {
         // 4. Final trim to remove leading/trailing whitespace
         text = text.trim();
 
-        // 5. Remove empty lines but preserve intentional line breaks
-        text = text.replace(/\n\s*\n/g, '\n');
-
         return text || null;
     },
 
@@ -530,12 +626,13 @@ var MizParser = {
         const results = [];
 
         if (!mission) return results;
+        mission = LuaParser.LuaTable.from(mission);
 
         const briefingKeys = ['sortie', 'descriptionText', 'descriptionBlueTask', 'descriptionRedTask', 'descriptionNeutralsTask'];
 
         for (const key of briefingKeys) {
-            if (mission[key]) {
-                const resolved = this.resolveText(mission[key], dictionary, true);
+            if (mission.get(key)) {
+                const resolved = this.resolveText(mission.get(key), dictionary, true);
                 if (resolved && resolved.text) {
                     results.push({
                         category: 'Briefing',
@@ -556,18 +653,19 @@ var MizParser = {
         const results = [];
 
         if (!mission) return results;
+        mission = LuaParser.LuaTable.from(mission);
 
         // Search for tasks in coalition data
         const coalitions = ['blue', 'red', 'neutrals'];
 
         for (const coalition of coalitions) {
-            const coalitionData = mission.coalition?.[coalition];
+            const coalitionData = mission.path('coalition', coalition);
             if (!coalitionData) continue;
 
             // Look through countries and groups
             this.traverseGroups(coalitionData, (group, path) => {
-                if (group.task) {
-                    const resolved = this.resolveText(group.task, dictionary, true);
+                if (group.get('task')) {
+                    const resolved = this.resolveText(group.get('task'), dictionary, true);
                     if (resolved && resolved.text) {
                         results.push({
                             category: 'Task',
@@ -583,328 +681,832 @@ var MizParser = {
     },
 
     /**
-     * Extract trigger messages
-     * Per issue #13: Support modern DCS mission format (2020-2025)
-     * Modern missions use mission.triggers.triggers or mission.trig with Lua code strings
-     * Extracts text from outText(), outTextForGroup(), outTextForCoalition(), outTextForUnit()
+     * Trigger actions that deliver text, by function name, and the names of their arguments
+     * kind is 'text' for messages shown on screen, 'sound' for radio transmissions and
+     * played sounds, whose text is their subtitle, 'menu' for F10 radio menu items and
+     * 'script' for Lua code, whose text is the code. Keyed by the last part of the function
+     * name, so trigger.action.outText and outText match.
      */
-    extractTriggers: function(mission, dictionary) {
-        const results = [];
-        const seen = new Set();
+    TRIGGER_ACTIONS: {
+        a_out_text_delay: { kind: 'text', args: ['text', 'duration', 'clearView'] },
+        a_out_text_delay_s: { kind: 'text', args: ['coalition', 'text', 'duration', 'clearView'] },
+        a_out_text_delay_c: { kind: 'text', args: ['country', 'text', 'duration', 'clearView'] },
+        a_out_text_delay_g: { kind: 'text', args: ['group', 'text', 'duration', 'clearView'] },
+        a_out_text_delay_u: { kind: 'text', args: ['unit', 'text', 'duration', 'clearView'] },
+        a_set_briefing: { kind: 'text', args: ['coalition', 'file', 'delay', 'text'] },
+        a_radio_transmission: {
+            kind: 'sound',
+            args: ['file', 'zone', 'modulation', 'loop', 'frequency', 'power', 'name', 'unit']
+        },
+        a_out_sound: { kind: 'sound', args: ['file', 'delay', 'clearView', 'text', 'duration'] },
+        a_out_sound_s: { kind: 'sound', args: ['coalition', 'file', 'delay', 'clearView', 'text', 'duration'] },
+        a_out_sound_c: { kind: 'sound', args: ['country', 'file', 'delay', 'clearView', 'text', 'duration'] },
+        a_out_sound_g: { kind: 'sound', args: ['group', 'file', 'delay', 'clearView', 'text', 'duration'] },
+        a_out_sound_u: { kind: 'sound', args: ['unit', 'file', 'delay', 'clearView', 'text', 'duration'] },
+        outText: { kind: 'text', args: ['text', 'duration', 'clearView'] },
+        outTextForCoalition: { kind: 'text', args: ['coalition', 'text', 'duration', 'clearView'] },
+        outTextForCountry: { kind: 'text', args: ['country', 'text', 'duration', 'clearView'] },
+        outTextForGroup: { kind: 'text', args: ['group', 'text', 'duration', 'clearView'] },
+        outTextForUnit: { kind: 'text', args: ['unit', 'text', 'duration', 'clearView'] },
+        a_add_radio_item: { kind: 'menu', args: ['text', 'flag', 'value'] },
+        a_add_radio_item_for_coalition: { kind: 'menu', args: ['coalition', 'text', 'flag', 'value'] },
+        a_add_radio_item_for_group: { kind: 'menu', args: ['group', 'text', 'flag', 'value'] },
+        a_do_script: { kind: 'script', args: ['text'] }
+    },
 
-        const addUnique = (text, context) => {
-            const clean = this.cleanText(text);
-            if (clean && !seen.has(clean)) {
-                seen.add(clean);
-                results.push({
-                    category: 'Trigger',
-                    context: context || 'Trigger Message',
-                    text: clean
-                });
-            }
-        };
+    /**
+     * Fields of trigrules action tables holding each action argument, in order of preference
+     */
+    TRIGGER_ACTION_FIELDS: {
+        text: ['text', 'KeyDict_text', 'message', 'subtitle', 'radioText'],
+        file: ['file'],
+        duration: ['seconds', 'duration'],
+        clearView: ['clearview'],
+        coalition: ['coalitionlist', 'coalition'],
+        country: ['countrylist', 'country'],
+        group: ['group'],
+        unit: ['unit']
+    },
 
-        // 1. New format: mission.triggers.triggers (modern DCS missions 2020-2025)
-        if (mission?.triggers?.triggers) {
-            const triggers = Array.isArray(mission.triggers.triggers)
-                ? mission.triggers.triggers
-                : Object.values(mission.triggers.triggers);
-
-            for (const trig of triggers) {
-                if (!trig?.actions) continue;
-                const actions = Array.isArray(trig.actions) ? trig.actions : Object.values(trig.actions);
-                for (const action of actions) {
-                    if (typeof action === 'string') {
-                        // Ищем outText, outTextForGroup, outTextForCoalition, outTextForUnit
-                        // Pattern matches: outText(..., "text", ...) or outTextFor*(..., "text", ...)
-                        const matches = action.matchAll(/outText(?:For\w+)?\s*\([^)]*?["']([^"']+)["']/g);
-                        for (const match of matches) {
-                            const text = match[1];
-                            if (text) addUnique(text, trig.comment || 'Trigger Action');
-                        }
-                    }
-                }
+    /**
+     * Read the text-delivering actions of a trigger action
+     * Action strings are parsed as Lua calls, so apostrophes, nested calls and leading
+     * group/unit arguments are handled; strings that are not valid Lua are skipped.
+     * trigrules action tables are read by their "predicate" (or "id") and fields; a table
+     * whose predicate is unknown counts as a sound when it has a file or subtitle.
+     * @param {string|LuaTable} action - Action string, e.g. 'a_out_text_delay(getValueDictByKey("DictKey_ActionText_12"), 10, false);',
+     *     or trigrules action table
+     * @returns {Array<object>} One record per action: {type, call, kind, index, text, file, duration,
+     *     clearView, coalition, country, group, unit, textNode, textField}; index is the position
+     *     of the top-level call in an action string (null for tables); text and file are the
+     *     DictKey/ResKey of getValueDictByKey("...")/getValueResourceByKey("..."), otherwise the
+     *     string literal, and missing arguments are null. A literal text is found at textNode
+     *     (string node in the action string) or in the textField of a table.
+     */
+    parseTriggerActions: function(action) {
+        const LuaTable = LuaParser.LuaTable;
+
+        if (LuaTable.isTable(action)) {
+            const type = action.get('predicate') || action.get('id') || null;
+            const known = Object.prototype.hasOwnProperty.call(this.TRIGGER_ACTIONS, type);
+            const record = this.createActionRecord(type, type, known ? this.TRIGGER_ACTIONS[type].kind : 'text', null);
+            for (const [name, fields] of Object.entries(this.TRIGGER_ACTION_FIELDS)) {
+                const field = fields.find(key => action.get(key) !== undefined && action.get(key) !== null);
+                if (field) record[name] = action.get(field);
+                if (field && name === 'text') record.textField = field;
             }
-        }
-
-        // 2. Alternative new format: mission.trig.actions (if exists)
-        if (mission?.trig?.actions) {
-            const actions = Array.isArray(mission.trig.actions) ? mission.trig.actions : Object.values(mission.trig.actions);
-            for (const action of actions) {
-                if (typeof action === 'string') {
-                    const matches = action.matchAll(/outText(?:For\w+)?\s*\([^)]*?["']([^"']+)["']/g);
-                    for (const match of matches) {
-                        const text = match[1];
-                        if (text) addUnique(text, 'Legacy Trigger');
-                    }
-                }
+            if (!known && (record.file || action.get('subtitle') || action.get('radioText'))) {
+                record.kind = 'sound';
+            }
+            // Old missions keep the DictKey of a transmitted message in "file"
+            if (!record.text && typeof record.file === 'string' && record.file.startsWith('DictKey_')) {
+                record.text = record.file;
+                record.textField = 'file';
+                record.file = null;
             }
+            return [record];
         }
 
-        // 3. Old format: mission.trigrules (backward compatibility)
-        if (mission?.trigrules) {
-            const trigrules = mission.trigrules;
-            const rules = Array.isArray(trigrules) ? trigrules : Object.values(trigrules);
+        if (typeof action !== 'string') return [];
 
-            for (const rule of rules) {
-                if (!rule || typeof rule !== 'object') continue;
-
-                if (rule.actions) {
-                    const actions = Array.isArray(rule.actions) ? rule.actions : Object.values(rule.actions);
-                    for (const action of actions) {
-                        if (!action) continue;
+        let calls;
+        try {
+            calls = LuaParser.parseCalls(action);
+        } catch (e) {
+            if (e instanceof LuaParser.LuaParseError) return [];
+            throw e;
+        }
 
-                        // Skip radio-specific actions (they're handled by extractRadioMessages)
-                        const isRadioAction =
-                            action.radioText ||
-                            (action.id && typeof action.id === 'string' &&
-                             (action.id.toLowerCase().includes('radio') ||
-                              action.id.toLowerCase().includes('transmit')));
+        const records = [];
+        calls.forEach((call, position) => {
+            LuaParser.walkCalls(call, node => {
+                const type = node.name ? node.name.split(/[.:]/).pop() : null;
+                if (!Object.prototype.hasOwnProperty.call(this.TRIGGER_ACTIONS, type)) return;
 
-                        if (isRadioAction) continue;
+                const spec = this.TRIGGER_ACTIONS[type];
+                const record = this.createActionRecord(type, node.name, spec.kind, position + 1);
+                spec.args.forEach((name, index) => {
+                    if (name in record) record[name] = this.actionArgValue(node.args[index]);
+                });
+                const textArg = node.args[spec.args.indexOf('text')];
+                if (textArg?.type === 'string') record.textNode = textArg;
+                if (typeof record.text !== 'string') record.text = null;
+                if (typeof record.file !== 'string') record.file = null;
+                records.push(record);
+            });
+        });
+        return records;
+    },
 
-                        // Look for text/message properties
-                        for (const key of ['text', 'message']) {
-                            if (action[key]) {
-                                const resolved = this.resolveText(action[key], dictionary, true);
-                                if (resolved && resolved.text) {
-                                    // Use DictKey as context if available, otherwise use human-readable name
-                                    const context = resolved.dictKey || (rule.comment || 'Trigger Message');
-                                    addUnique(resolved.text, context);
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-        }
+    /**
+     * Empty record of parseTriggerActions(), with null for every argument
+     */
+    createActionRecord: function(type, call, kind, index) {
+        const record = { type: type, call: call, kind: kind, index: index };
+        Object.keys(this.TRIGGER_ACTION_FIELDS).forEach(name => { record[name] = null; });
+        record.textNode = null;
+        record.textField = null;
+        return record;
+    },
 
-        // Если ничего не нашли — берём из dictionary (modern DCS missions 2020-2025)
-        if (results.length === 0 && dictionary) {
-            const fromDict = this._extractFromDictionary(
-                dictionary,
-                ['DictKey_ActionText_'],
-                'Trigger'
-            );
-            results.push(...fromDict);
-        }
+    /**
+     * missionCommands functions that add F10 radio menu items, and the names of their arguments
+     */
+    SCRIPT_MENU_CALLS: {
+        addCommand: ['text', 'path'],
+        addSubMenu: ['text', 'path'],
+        addCommandForCoalition: ['coalition', 'text', 'path'],
+        addSubMenuForCoalition: ['coalition', 'text', 'path'],
+        addCommandForGroup: ['group', 'text', 'path'],
+        addSubMenuForGroup: ['group', 'text', 'path']
+    },
 
-        return results;
+    /**
+     * Find the F10 radio menu items a Lua script adds with missionCommands.*
+     * The parent path is followed through the variables submenus are assigned to
+     * ("local support = missionCommands.addSubMenu(...)") and through table literals.
+     * @param {string} code - Lua code, e.g. of an a_do_script action
+     * @returns {Array<object>} parseTriggerActions() records with kind 'menu', index the
+     *     position of the call among the menu calls, path the names of the parent submenus
+     *     and submenu true for submenus; textNode and pathNodes (the strings of a table
+     *     literal path) are relative to the code
+     */
+    parseScriptMenus: function(code) {
+        const PREFIX = 'missionCommands.';
+        const found = LuaParser.findCalls(code, name =>
+            name.startsWith(PREFIX) && Object.prototype.hasOwnProperty.call(this.SCRIPT_MENU_CALLS, name.slice(PREFIX.length)));
+
+        const submenus = new Map();
+        return found.map(({ call, target }, position) => {
+            const type = call.name.slice(PREFIX.length);
+            const args = this.SCRIPT_MENU_CALLS[type];
+            const arg = name => (args.includes(name) ? call.args[args.indexOf(name)] : null);
+
+            const record = this.createActionRecord(type, call.name, 'menu', position + 1);
+            const textArg = arg('text');
+            const text = this.actionArgValue(textArg);
+            record.text = typeof text === 'string' ? text : null;
+            record.textNode = textArg?.type === 'string' ? textArg : null;
+            record.group = this.actionArgValue(arg('group'));
+            record.coalition = this.scriptArgValue(arg('coalition'));
+
+            const pathArg = arg('path');
+            record.path = [];
+            record.pathNodes = [];
+            if (pathArg?.type === 'name') {
+                record.path = submenus.get(pathArg.value) || [];
+            } else if (pathArg?.type === 'table') {
+                record.path = pathArg.fields.map(field => (field.value.type === 'string' ? field.value.value : '?'));
+                record.pathNodes = pathArg.fields.map(field => field.value).filter(node => node.type === 'string');
+            }
+            record.submenu = type.startsWith('addSubMenu');
+            if (record.submenu && target && record.text) {
+                submenus.set(target, record.path.concat([record.text]));
+            }
+            return record;
+        });
     },
 
     /**
-     * Extract unit names
+     * Script functions that show messages or play sounds, by name as written, and the
+     * names of their arguments
+     * MESSAGE:New and MESSAGE:NewType are the messages of the MOOSE framework.
      */
-    extractUnits: function(mission, dictionary) {
-        const results = [];
-        const seenNames = new Set();
+    SCRIPT_MESSAGE_CALLS: {
+        'trigger.action.outText': { kind: 'text', args: ['text', 'duration', 'clearView'] },
+        'trigger.action.outTextForCoalition': { kind: 'text', args: ['coalition', 'text', 'duration', 'clearView'] },
+        'trigger.action.outTextForCountry': { kind: 'text', args: ['country', 'text', 'duration', 'clearView'] },
+        'trigger.action.outTextForGroup': { kind: 'text', args: ['group', 'text', 'duration', 'clearView'] },
+        'trigger.action.outTextForUnit': { kind: 'text', args: ['unit', 'text', 'duration', 'clearView'] },
+        'trigger.action.outSound': { kind: 'sound', args: ['file'] },
+        'trigger.action.outSoundForCoalition': { kind: 'sound', args: ['coalition', 'file'] },
+        'trigger.action.outSoundForCountry': { kind: 'sound', args: ['country', 'file'] },
+        'trigger.action.outSoundForGroup': { kind: 'sound', args: ['group', 'file'] },
+        'trigger.action.outSoundForUnit': { kind: 'sound', args: ['unit', 'file'] },
+        'MESSAGE:New': { kind: 'text', args: ['text', 'duration', 'title', 'clearView'] },
+        'MESSAGE:NewType': { kind: 'text', args: ['text', 'messageType'] }
+    },
 
-        if (!mission) return results;
+    /**
+     * Find the message texts, message titles and sound files a Lua script passes to the
+     * functions of SCRIPT_MESSAGE_CALLS
+     * Only string literals and getValueDictByKey("...") are read; texts built at run time
+     * ("Target " .. name) are skipped.
+     * @param {string} code - Lua code, e.g. of an a_do_script action
+     * @returns {Array<object>} parseTriggerActions() records, one per string: type is the
+     *     function name without "trigger.action.", index the position of the string among
+     *     the strings found, argument 'text', 'title' or 'file' (text is then the file too);
+     *     textNode is relative to the code
+     */
+    parseScriptMessages: function(code) {
+        const found = LuaParser.findCalls(code, name => Object.prototype.hasOwnProperty.call(this.SCRIPT_MESSAGE_CALLS, name));
 
-        const coalitions = ['blue', 'red', 'neutrals'];
+        const records = [];
+        for (const { call } of found) {
+            const spec = this.SCRIPT_MESSAGE_CALLS[call.name];
+            const arg = name => (spec.args.includes(name) ? call.args[spec.args.indexOf(name)] : null);
 
-        for (const coalition of coalitions) {
-            const coalitionData = mission.coalition?.[coalition];
-            if (!coalitionData) continue;
+            for (const argument of ['text', 'title', 'file']) {
+                const value = this.scriptArgValue(arg(argument));
+                if (typeof value !== 'string' || !value.trim()) continue;
 
-            this.traverseUnits(coalitionData, (unit, path) => {
-                if (unit.name) {
-                    const resolved = this.resolveText(unit.name, dictionary, true);
-                    if (resolved && resolved.text && !seenNames.has(resolved.text)) {
-                        seenNames.add(resolved.text);
-                        results.push({
-                            category: 'Unit',
-                            context: resolved.dictKey || `${coalition}/${path}`,
-                            text: resolved.text
-                        });
-                    }
+                const record = this.createActionRecord(call.name.replace(/^trigger\.action\./, ''), call.name, spec.kind, records.length + 1);
+                for (const name of spec.args) {
+                    if (name in record) record[name] = this.scriptArgValue(arg(name));
                 }
-            });
+                record.text = value;
+                record.textNode = arg(argument).type === 'string' ? arg(argument) : null;
+                record.argument = argument;
+                records.push(record);
+            }
         }
+        return records;
+    },
 
-        return results;
+    /**
+     * Value of a script call argument: actionArgValue(), and coalition.side.BLUE as 'blue'
+     */
+    scriptArgValue: function(arg) {
+        const side = arg?.type === 'name' ? arg.value.match(/^coalition\.side\.(\w+)$/) : null;
+        return side ? side[1].toLowerCase() : this.actionArgValue(arg);
     },
 
     /**
-     * Extract waypoint information
+     * Value of a trigger action argument
+     * @param {object} arg - Argument node from LuaParser.parseCalls()
+     * @returns {string|number|boolean|null} The literal, the key of getValueDictByKey("...") or
+     *     getValueResourceByKey("..."), or null for anything else
      */
-    extractWaypoints: function(mission, dictionary) {
-        const results = [];
+    actionArgValue: function(arg) {
+        if (!arg) return null;
+        if (arg.type === 'string' || arg.type === 'number' || arg.type === 'boolean') return arg.value;
+        if (arg.type === 'call' && (arg.name === 'getValueDictByKey' || arg.name === 'getValueResourceByKey') &&
+            arg.args[0]?.type === 'string') {
+            return arg.args[0].value;
+        }
+        return null;
+    },
 
-        if (!mission) return results;
+    /**
+     * Find the texts shown on screen by a trigger action string
+     * @param {string} action - Action string
+     * @returns {Array<{call: string, value: string}>} Function name and text argument:
+     *     the DictKey for getValueDictByKey("..."), otherwise the string literal
+     */
+    parseActionTexts: function(action) {
+        return this.parseTriggerActions(action)
+            .filter(record => record.kind === 'text' && record.text)
+            .map(record => ({ call: record.call, value: record.text }));
+    },
 
-        const coalitions = ['blue', 'red', 'neutrals'];
+    /**
+     * Summaries of trigger conditions by predicate
+     * {field} is replaced with the condition field; units, groups and zones by their names.
+     */
+    TRIGGER_CONDITIONS: {
+        c_unit_in_zone: 'unit {unit} in zone {zone}',
+        c_unit_out_zone: 'unit {unit} out of zone {zone}',
+        c_unit_in_zone_unit: 'unit {unit} in moving zone of unit {zoneunit}',
+        c_unit_alive: 'unit {unit} alive',
+        c_unit_dead: 'unit {unit} dead',
+        c_unit_damaged: 'unit {unit} damaged',
+        c_group_alive: 'group {group} alive',
+        c_group_dead: 'group {group} dead',
+        c_all_of_group_in_zone: 'all of group {group} in zone {zone}',
+        c_part_of_group_in_zone: 'part of group {group} in zone {zone}',
+        c_part_of_coalition_in_zone: 'part of {coalitionlist} in zone {zone}',
+        c_flag_is_true: 'flag {flag} is true',
+        c_flag_is_false: 'flag {flag} is false',
+        c_flag_equals: 'flag {flag} equals {value}',
+        c_time_after: 'time after {seconds} s',
+        c_time_before: 'time before {seconds} s',
+        c_random_less: 'random {percent}%'
+    },
 
-        for (const coalition of coalitions) {
-            const coalitionData = mission.coalition?.[coalition];
-            if (!coalitionData) continue;
+    /**
+     * Firing types of trigger rule predicates ("triggerContinious" is the spelling DCS uses)
+     */
+    TRIGGER_FIRING: {
+        triggerOnce: 'once',
+        triggerContinious: 'continuous',
+        triggerContinuous: 'continuous',
+        triggerStart: 'mission start',
+        triggerFront: 'switched condition'
+    },
 
-            this.traverseGroups(coalitionData, (group, path) => {
-                if (group.route?.points) {
-                    const points = Array.isArray(group.route.points)
-                        ? group.route.points
-                        : Object.values(group.route.points);
-
-                    points.forEach((point, index) => {
-                        if (!point) return;
-
-                        if (point.name) {
-                            const resolved = this.resolveText(point.name, dictionary, true);
-                            if (resolved && resolved.text) {
-                                results.push({
-                                    category: 'Waypoint',
-                                    context: resolved.dictKey || `${path}/WP${index + 1}`,
-                                    text: resolved.text
-                                });
-                            }
-                        }
+    /**
+     * Map the unit, group and zone ids of a mission to their names
+     * @param {LuaTable} mission - Parsed mission
+     * @returns {{unit: Map<number, string>, group: Map<number, string>, zone: Map<number, string>}}
+     */
+    collectMissionNames: function(mission) {
+        const LuaTable = LuaParser.LuaTable;
+        const names = { unit: new Map(), group: new Map(), zone: new Map() };
 
-                        if (point.comment) {
-                            const resolved = this.resolveText(point.comment, dictionary, true);
-                            if (resolved && resolved.text) {
-                                results.push({
-                                    category: 'Waypoint',
-                                    context: resolved.dictKey || `${path}/WP${index + 1} Comment`,
-                                    text: resolved.text
-                                });
-                            }
-                        }
-                    });
+        for (const coalition of ['blue', 'red', 'neutrals']) {
+            const coalitionData = mission?.path('coalition', coalition);
+            if (!coalitionData) continue;
+
+            this.traverseGroups(coalitionData, group => {
+                names.group.set(group.get('groupId'), group.get('name'));
+                const units = group.get('units');
+                if (!LuaTable.isTable(units)) return;
+                for (const unit of units.values()) {
+                    if (LuaTable.isTable(unit)) names.unit.set(unit.get('unitId'), unit.get('name'));
                 }
             });
         }
 
-        return results;
+        const zones = mission?.path('triggers', 'zones');
+        if (LuaTable.isTable(zones)) {
+            for (const zone of zones.values()) {
+                if (LuaTable.isTable(zone)) names.zone.set(zone.get('zoneId'), zone.get('name'));
+            }
+        }
+        return names;
     },
 
     /**
-     * Extract radio messages
-     * Per issue #13: Support modern DCS mission format (2020-2025)
-     * Extracts subtitles from radioTransmission() calls and related outText() calls
-     * @param {object} mission - Mission data
-     * @param {object} dictionary - Dictionary for DictKey resolution
-     * @param {object} mapResource - mapResource.lua content for ResKey resolution
+     * Describe when a trigger fires
+     * Conditions are read from the trigger's "rules" tables; the condition strings of
+     * mission.trig are not summarised.
+     * @param {LuaTable|null} rule - trigrules (or triggers.triggers) entry
+     * @param {LuaTable|null} trig - mission.trig, for the firing type of triggers without a rule
+     * @param {number|string} key - Index of the trigger
+     * @param {object} names - Result of collectMissionNames()
+     * @returns {{rule: number|string, name: string|null, conditions: string|null, firing: string|null}}
      */
-    extractRadioMessages: function(mission, dictionary, mapResource) {
-        const results = [];
-        const seen = new Set();
+    describeTrigger: function(rule, trig, key, names) {
+        const LuaTable = LuaParser.LuaTable;
+        const description = { rule: key, name: null, conditions: null, firing: null };
+
+        if (LuaTable.isTable(rule)) {
+            description.name = rule.get('comment') || null;
+            description.firing = this.TRIGGER_FIRING[rule.get('predicate')] || null;
+            if (rule.get('eventlist')) description.firing = 'on-event';
+
+            const rules = rule.get('rules');
+            let summary = '';
+            let separator = '';
+            for (const condition of LuaTable.isTable(rules) ? rules.values() : []) {
+                if (!LuaTable.isTable(condition)) continue;
+                const predicate = condition.get('predicate');
+                if (predicate === 'or') {
+                    separator = summary ? ' or ' : '';
+                    continue;
+                }
 
-        const addUnique = (text, context) => {
-            const clean = this.cleanText(text);
-            if (clean && !seen.has(clean)) {
-                seen.add(clean);
-                results.push({
-                    category: 'Radio',
-                    context: context || 'Radio Transmission',
-                    text: clean
+                const format = this.TRIGGER_CONDITIONS[predicate] || predicate;
+                const text = format.replace(/\{(\w+)\}/g, (match, field) => {
+                    const value = condition.get(field);
+                    const kind = field === 'zoneunit' ? 'unit' : field;
+                    const name = names[kind]?.get(value);
+                    return name ? `'${name}'` : String(value ?? '?');
                 });
+                summary += separator + text;
+                separator = ' and ';
             }
-        };
+            if (summary) description.conditions = `when ${summary}`;
+        }
 
-        // Search in actions for radioTransmission + outText (subtitles)
-        const searchInActions = (actions, contextPrefix) => {
-            if (!actions) return;
-            const arr = Array.isArray(actions) ? actions : Object.values(actions);
-            for (const action of arr) {
-                if (typeof action !== 'string') continue;
-
-                // Subtitles from radio (outText with radio context)
-                const subtitleMatches = action.matchAll(/outText(?:For\w+)?\s*\([^)]*?["']([^"']+)["']/g);
-                for (const match of subtitleMatches) {
-                    if (match[1]) addUnique(match[1], contextPrefix || 'Radio Subtitle');
-                }
+        if (!description.firing && LuaTable.isTable(trig)) {
+            if (trig.path('funcStartup', key)) {
+                description.firing = 'mission start';
+            } else if (trig.path('events', key)) {
+                description.firing = 'on-event';
+            } else if (typeof trig.path('func', key) === 'string') {
+                // Once triggers clear their function after running
+                description.firing = /func\[\d+\]\s*=\s*nil/.test(trig.path('func', key)) ? 'once' : 'continuous';
+            }
+        }
 
-                // Radio transmission audio files (informational)
-                if (action.includes('radioTransmission')) {
-                    const audioMatches = action.matchAll(/["']([^"']*\.ogg)["']/g);
-                    for (const match of audioMatches) {
-                        if (match[1]) {
-                            addUnique(`[Radio Sound] ${match[1]}`, contextPrefix || 'Radio Audio');
-                        }
-                    }
-                }
+        return description;
+    },
 
-                // Check for ResKey references in mapResource
-                if (mapResource && action.includes('ResKey_')) {
-                    const resKeyMatches = action.matchAll(/ResKey_(\w+)/g);
-                    for (const match of resKeyMatches) {
-                        const resKey = `ResKey_${match[1]}`;
-                        const path = mapResource[resKey];
-                        if (path && typeof path === 'string') {
-                            addUnique(`[Resource] ${path}`, contextPrefix || 'Radio Resource');
-                        }
+    /**
+     * Readable context of a trigger, e.g. "Trigger 3 "Intro": once, when unit 'Enfield 1-1' in zone 'IP'"
+     * @param {object} trigger - The trigger field of an extracted item
+     */
+    formatTriggerContext: function(trigger) {
+        let context = `Trigger ${trigger.rule}`;
+        if (trigger.name) context += ` "${trigger.name}"`;
+        const details = [trigger.firing, trigger.conditions].filter(Boolean);
+        if (details.length > 0) context += `: ${details.join(', ')}`;
+        return context;
+    },
+
+    /**
+     * List the texts delivered by the mission's trigger actions
+     * Reads mission.triggers.triggers, the trig.actions strings (one per trigger) and the
+     * trigrules action tables. A text is a radio message when its action plays a sound, or
+     * when its trigger also plays a sound without a subtitle of its own; F10 menu items
+     * come from a_add_radio_item* actions and the a_do_script code of parseScriptMenus(),
+     * and the strings parseScriptMessages() finds in a_do_script code are script texts;
+     * the other texts are trigger messages.
+     * Each text has a stable id "<trigger index>_<action index>_<function>", followed by
+     * "_<call index>" for calls in scripts, so adding a trigger does not renumber the
+     * others. trig.actions and trigrules describe the same triggers; the action index of
+     * an action string is the position of its call.
+     * @param {LuaTable|object} mission - Parsed mission
+     * @returns {Array<{category: string, value: string, source: string, action: object, trigger: object, location: object}>}
+     *     category is 'triggers', 'radio', 'menus' or 'scripts', value the DictKey or literal text,
+     *     source the mission field ('triggers', 'trig' or 'trigrules'), action the parseTriggerActions(),
+     *     parseScriptMenus() or parseScriptMessages() record, trigger the describeTrigger() result with the id, and
+     *     location where a literal is written: {source, rule, entry, field, nodes}, where
+     *     entry is the key in the actions table (null for trig.actions), field the action
+     *     table field and nodes the string nodes leading to it in nested code
+     */
+    collectTriggerTexts: function(mission) {
+        const LuaTable = LuaParser.LuaTable;
+        mission = LuaTable.from(mission);
+        const texts = [];
+        const names = this.collectMissionNames(mission);
+        const trig = mission?.get('trig');
+        const trigrules = mission?.get('trigrules');
+
+        const addTrigger = (actions, source, key, rule) => {
+            const entries = [];
+            for (const [listKey, action] of actions) {
+                for (const record of this.parseTriggerActions(action)) {
+                    const index = listKey ?? record.index;
+                    const location = { source: source, rule: key, entry: listKey, field: record.textField, nodes: [] };
+                    if (record.textNode) location.nodes.push(record.textNode);
+
+                    if (record.kind !== 'script') {
+                        entries.push({ id: `${key}_${index}_${record.type}`, record: record, location: location });
+                        continue;
                     }
+                    // Literal Lua code; DictKey references to it are not followed
+                    if (!record.text || record.text.startsWith('DictKey_')) continue;
+                    const scriptEntry = (call, script) => ({
+                        id: `${key}_${index}_${call.type.replace(/\W/g, '_')}_${call.index}`,
+                        record: call,
+                        location: Object.assign({}, location, { nodes: location.nodes.concat(call.textNode || []) }),
+                        script: script
+                    });
+                    entries.push(...this.parseScriptMenus(record.text).map(menu => scriptEntry(menu, false)));
+                    entries.push(...this.parseScriptMessages(record.text).map(message => scriptEntry(message, true)));
                 }
             }
+
+            const unsubtitledSound = entries.some(({ record }) => record.kind === 'sound' && !record.text);
+            const description = this.describeTrigger(rule, trig, key, names);
+            for (const { id, record, location, script } of entries) {
+                if (!record.text) continue;
+
+                let category = record.kind === 'sound' || unsubtitledSound ? 'radio' : 'triggers';
+                if (record.kind === 'menu') category = 'menus';
+                if (script) category = 'scripts';
+                texts.push({
+                    category: category,
+                    value: record.text,
+                    source: source,
+                    action: record,
+                    trigger: Object.assign({ id: id }, description),
+                    location: location
+                });
+            }
         };
 
-        // 1. New format: mission.triggers.triggers
-        if (mission?.triggers?.triggers) {
-            const triggers = Array.isArray(mission.triggers.triggers)
-                ? mission.triggers.triggers
-                : Object.values(mission.triggers.triggers);
-            for (const t of triggers) {
-                if (t?.actions) {
-                    // Check if this trigger contains radio-related actions
-                    const actionsStr = JSON.stringify(t.actions);
-                    if (actionsStr.includes('radioTransmission') || actionsStr.includes('Radio')) {
-                        searchInActions(t.actions, t.comment || 'Radio Trigger');
-                    }
-                }
+        const triggers = mission?.path('triggers', 'triggers');
+        if (LuaTable.isTable(triggers)) {
+            for (const [key, rule] of triggers.pairs()) {
+                const actions = LuaTable.isTable(rule) ? rule.get('actions') : null;
+                if (LuaTable.isTable(actions)) addTrigger(actions.pairs(), 'triggers', key, rule);
             }
         }
 
-        // 2. Alternative new format: mission.trig
-        if (mission?.trig?.actions) {
-            const actionsStr = JSON.stringify(mission.trig.actions);
-            if (actionsStr.includes('radioTransmission') || actionsStr.includes('Radio')) {
-                searchInActions(mission.trig.actions, 'Legacy Radio');
+        const trigActions = mission?.path('trig', 'actions');
+        if (LuaTable.isTable(trigActions)) {
+            for (const [key, action] of trigActions.pairs()) {
+                const rule = LuaTable.isTable(trigrules) ? trigrules.get(key) : null;
+                addTrigger([[null, action]], 'trig', key, rule);
             }
         }
 
-        // 3. Old format: mission.trigrules (backward compatibility)
-        if (mission?.trigrules) {
-            const rules = Array.isArray(mission.trigrules) ? mission.trigrules : Object.values(mission.trigrules);
-
-            for (const rule of rules) {
-                if (!rule?.actions) continue;
-
-                const actions = Array.isArray(rule.actions) ? rule.actions : Object.values(rule.actions);
+        if (LuaTable.isTable(trigrules)) {
+            for (const [key, rule] of trigrules.pairs()) {
+                const actions = LuaTable.isTable(rule) ? rule.get('actions') : null;
+                if (LuaTable.isTable(actions)) addTrigger(actions.pairs(), 'trigrules', key, rule);
+            }
+        }
 
-                for (const action of actions) {
-                    if (!action) continue;
+        return texts;
+    },
 
-                    // DCS radio actions typically have specific action IDs
-                    if (action.radioText || action.file ||
-                        (action.id && typeof action.id === 'string' && action.id.toLowerCase().includes('radio'))) {
+    /**
+     * Extract one category of collectTriggerTexts(), first occurrence of each text only
+     * Texts without a DictKey get the readable trigger context (formatTriggerContext()).
+     * @param {string} category - 'triggers', 'radio', 'menus' or 'scripts'
+     * @param {string} label - Item category, e.g. 'Trigger'
+     * @param {Array<object>} [triggerTexts] - Result of collectTriggerTexts(); collected from
+     *     the mission when omitted
+     * @returns {Array<object>} Items with an action: {type, dictKey, duration, clearView,
+     *     coalition, country, group, unit} and a trigger: {id, rule, name, conditions, firing} field
+     */
+    _extractTriggerTexts: function(mission, dictionary, category, label, triggerTexts) {
+        const results = [];
+        const seen = new Set();
 
-                        const textKey = action.radioText || action.file || action.text;
-                        if (textKey) {
-                            const resolved = this.resolveText(textKey, dictionary, true);
-                            if (resolved && resolved.text) {
-                                // Use DictKey as context if available, otherwise use human-readable name
-                                const context = resolved.dictKey || (rule.comment || 'Radio Message');
-                                addUnique(resolved.text, context);
-                            }
-                        }
-                    }
-                }
+        for (const entry of triggerTexts || this.collectTriggerTexts(mission)) {
+            if (entry.category !== category) continue;
+
+            const resolved = this.resolveText(entry.value, dictionary, true);
+            const clean = resolved ? this.cleanText(resolved.text) : null;
+            if (!clean || seen.has(clean)) continue;
+            seen.add(clean);
+
+            const action = entry.action;
+            results.push({
+                category: label,
+                context: resolved.dictKey || this.formatTriggerContext(entry.trigger),
+                text: clean,
+                action: {
+                    type: action.type,
+                    dictKey: resolved.dictKey,
+                    duration: action.duration,
+                    clearView: action.clearView,
+                    coalition: action.coalition,
+                    country: action.country,
+                    group: action.group,
+                    unit: action.unit
+                },
+                trigger: entry.trigger
+            });
+            if (action.kind === 'menu') {
+                results[results.length - 1].menu = { path: action.path || [], submenu: action.submenu === true };
+            }
+            if (entry.category === 'scripts') {
+                results[results.length - 1].script = { call: action.call, argument: action.argument };
             }
         }
 
-        // 4. Search for radio messages in coalition groups (unit radio settings)
-        if (mission?.coalition) {
-            const coalitions = ['blue', 'red', 'neutrals'];
-
-            for (const coalition of coalitions) {
-                const coalitionData = mission.coalition[coalition];
-                if (!coalitionData) continue;
+        return results;
+    },
 
-                this.traverseGroups(coalitionData, (group, path) => {
-                    if (group.radio || group.frequency) {
+    /**
+     * Extract trigger messages
+     * Per issue #13: Support modern DCS mission format (2020-2025)
+     * Modern missions use mission.triggers.triggers or mission.trig with Lua code strings
+     * Extracts the on-screen texts of collectTriggerTexts(): a_out_text_delay*, outText(),
+     * outTextForGroup(), outTextForCoalition(), outTextForUnit() and trigrules messages
+     * @param {object} mission - Mission data
+     * @param {object} dictionary - Dictionary for DictKey resolution
+     * @param {Array<object>} [triggerTexts] - Result of collectTriggerTexts(), when the caller has it
+     */
+    extractTriggers: function(mission, dictionary, triggerTexts) {
+        const results = this._extractTriggerTexts(mission, dictionary, 'triggers', 'Trigger', triggerTexts);
+
+        // Если ничего не нашли — берём из dictionary (modern DCS missions 2020-2025)
+        if (results.length === 0 && dictionary) {
+            const fromDict = this._extractFromDictionary(
+                dictionary,
+                ['DictKey_ActionText_'],
+                'Trigger'
+            );
+            results.push(...fromDict);
+        }
+
+        return results;
+    },
+
+    /**
+     * Extract F10 radio menu items
+     * Items added by a_add_radio_item, a_add_radio_item_for_coalition and
+     * a_add_radio_item_for_group actions, and by missionCommands.addCommand/addSubMenu
+     * calls in a_do_script code (see collectTriggerTexts()).
+     * @param {object} mission - Mission data
+     * @param {object} dictionary - Dictionary for DictKey resolution
+     * @param {Array<object>} [triggerTexts] - Result of collectTriggerTexts(), when the caller has it
+     * @returns {Array<object>} Items with a menu: {path, submenu} field besides the action and
+     *     trigger fields of trigger messages
+     */
+    extractMenus: function(mission, dictionary, triggerTexts) {
+        return this._extractTriggerTexts(mission, dictionary, 'menus', 'Menu', triggerTexts);
+    },
+
+    /**
+     * Extract the messages of inline a_do_script code
+     * Texts and titles of trigger.action.outText*() and MESSAGE:New() calls, and the sound
+     * files of trigger.action.outSound*() calls (see parseScriptMessages()).
+     * @param {object} mission - Mission data
+     * @param {object} dictionary - Dictionary for DictKey resolution
+     * @param {Array<object>} [triggerTexts] - Result of collectTriggerTexts(), when the caller has it
+     * @returns {Array<object>} Items with a script: {call, argument} field besides the action and
+     *     trigger fields of trigger messages
+     */
+    extractScripts: function(mission, dictionary, triggerTexts) {
+        return this._extractTriggerTexts(mission, dictionary, 'scripts', 'Script', triggerTexts);
+    },
+
+    /**
+     * Editor default names of drawing objects, e.g. "Text Box 3" or "Polygon 12"
+     * Nobody reads these on the F10 map, so they are not extracted.
+     */
+    DRAWING_DEFAULT_NAME: /^(?:Text ?Box|Line|Polygon|Circle|Oval|Rectangle|Arrow|Icon|Segments?|Free)[\s_-]*\d*$/i,
+
+    /**
+     * Collect the texts of the F10 map drawings in mission.drawings
+     * Every object's text (Text Box objects and others that carry one), and the name of
+     * visible objects unless it is an editor default, in layer order.
+     * @param {object} mission - Mission data
+     * @returns {Array<object>} Entries {id, layer, name, type, field, value, location}: id is
+     *     '<layer>_<object>_<field>' from the layer and object indexes, layer the layer name
+     *     (Red, Blue, Neutral, Common, Author), type the primitiveType, field 'text' or 'name',
+     *     value the DictKey or literal text, location {layer, object} the table keys
+     */
+    collectDrawingTexts: function(mission) {
+        const texts = [];
+
+        if (!mission) return texts;
+        const layers = LuaParser.LuaTable.from(mission).path('drawings', 'layers');
+        if (!LuaParser.LuaTable.isTable(layers)) return texts;
+
+        for (const [layerKey, layer] of layers.pairs()) {
+            const objects = LuaParser.LuaTable.isTable(layer) ? layer.get('objects') : null;
+            if (!LuaParser.LuaTable.isTable(objects)) continue;
+            const layerName = typeof layer.get('name') === 'string' ? layer.get('name') : String(layerKey);
+
+            for (const [objectKey, object] of objects.pairs()) {
+                if (!LuaParser.LuaTable.isTable(object)) continue;
+                const name = typeof object.get('name') === 'string' ? object.get('name') : '';
+                const fields = ['text'];
+                if (object.get('visible') !== false && !this.DRAWING_DEFAULT_NAME.test(name.trim())) {
+                    fields.push('name');
+                }
+
+                for (const field of fields) {
+                    const value = object.get(field);
+                    if (typeof value !== 'string' || !value.trim()) continue;
+                    texts.push({
+                        id: `${layerKey}_${objectKey}_${field}`,
+                        layer: layerName,
+                        name: name,
+                        type: object.get('primitiveType') || 'Drawing',
+                        field: field,
+                        value: value,
+                        location: { layer: layerKey, object: objectKey }
+                    });
+                }
+            }
+        }
+
+        return texts;
+    },
+
+    /**
+     * Extract the text boxes and labels of F10 map drawings (see collectDrawingTexts())
+     * Each DictKey is extracted once, and each literal text once, however many objects show it.
+     * @param {object} mission - Mission data
+     * @param {object} dictionary - Dictionary for DictKey resolution
+     * @returns {Array<object>} Items with a drawing: {id, layer, name, type, field} field
+     */
+    extractDrawings: function(mission, dictionary) {
+        const results = [];
+        const seen = new Set();
+
+        for (const entry of this.collectDrawingTexts(mission)) {
+            const resolved = this.resolveText(entry.value, dictionary, true);
+            if (!resolved?.text || seen.has(resolved.dictKey || resolved.text)) continue;
+            seen.add(resolved.dictKey || resolved.text);
+
+            results.push({
+                category: 'Drawing',
+                context: resolved.dictKey || `${entry.layer}/${entry.name || entry.type}`,
+                text: resolved.text,
+                drawing: { id: entry.id, layer: entry.layer, name: entry.name, type: entry.type, field: entry.field }
+            });
+        }
+
+        return results;
+    },
+
+    /**
+     * Extract unit names
+     */
+    extractUnits: function(mission, dictionary) {
+        const results = [];
+        const seenNames = new Set();
+
+        if (!mission) return results;
+        mission = LuaParser.LuaTable.from(mission);
+
+        const coalitions = ['blue', 'red', 'neutrals'];
+
+        for (const coalition of coalitions) {
+            const coalitionData = mission.path('coalition', coalition);
+            if (!coalitionData) continue;
+
+            this.traverseUnits(coalitionData, (unit, path) => {
+                if (unit.get('name')) {
+                    const resolved = this.resolveText(unit.get('name'), dictionary, true);
+                    if (resolved && resolved.text && !seenNames.has(resolved.text)) {
+                        seenNames.add(resolved.text);
+                        results.push({
+                            category: 'Unit',
+                            context: resolved.dictKey || `${coalition}/${path}`,
+                            text: resolved.text
+                        });
+                    }
+                }
+            });
+        }
+
+        return results;
+    },
+
+    /**
+     * Extract waypoint information
+     */
+    extractWaypoints: function(mission, dictionary) {
+        const results = [];
+
+        if (!mission) return results;
+        mission = LuaParser.LuaTable.from(mission);
+
+        const coalitions = ['blue', 'red', 'neutrals'];
+
+        for (const coalition of coalitions) {
+            const coalitionData = mission.path('coalition', coalition);
+            if (!coalitionData) continue;
+
+            this.traverseGroups(coalitionData, (group, path) => {
+                const points = group.path('route', 'points');
+                if (!LuaParser.LuaTable.isTable(points)) return;
+
+                // Waypoints are numbered by their key, so WP3 stays WP3 even if WP2 is missing
+                for (const [index, point] of points.pairs()) {
+                    if (!LuaParser.LuaTable.isTable(point)) continue;
+
+                    if (point.get('name')) {
+                        const resolved = this.resolveText(point.get('name'), dictionary, true);
+                        if (resolved && resolved.text) {
+                            results.push({
+                                category: 'Waypoint',
+                                context: resolved.dictKey || `${path}/WP${index}`,
+                                text: resolved.text
+                            });
+                        }
+                    }
+
+                    if (point.get('comment')) {
+                        const resolved = this.resolveText(point.get('comment'), dictionary, true);
+                        if (resolved && resolved.text) {
+                            results.push({
+                                category: 'Waypoint',
+                                context: resolved.dictKey || `${path}/WP${index} Comment`,
+                                text: resolved.text
+                            });
+                        }
+                    }
+                }
+            });
+        }
+
+        return results;
+    },
+
+    /**
+     * Extract radio messages
+     * Per issue #13: Support modern DCS mission format (2020-2025)
+     * Extracts the radio texts of collectTriggerTexts(): subtitles of a_radio_transmission()
+     * and a_out_sound*() actions, and the messages shown by the same trigger.
+     * The sound files themselves are listed by extractAudioResources().
+     * @param {object} mission - Mission data
+     * @param {object} dictionary - Dictionary for DictKey resolution
+     * @param {Array<object>} [triggerTexts] - Result of collectTriggerTexts(), when the caller has it
+     */
+    extractRadioMessages: function(mission, dictionary, triggerTexts) {
+        triggerTexts = triggerTexts || this.collectTriggerTexts(mission);
+        const results = this._extractTriggerTexts(mission, dictionary, 'radio', 'Radio', triggerTexts);
+        const seen = new Set(results.map(item => item.text));
+        mission = LuaParser.LuaTable.from(mission);
+
+        const addUnique = (text, context) => {
+            const clean = this.cleanText(text);
+            if (clean && !seen.has(clean)) {
+                seen.add(clean);
+                results.push({
+                    category: 'Radio',
+                    context: context || 'Radio Transmission',
+                    text: clean
+                });
+            }
+        };
+
+        // Radio texts in coalition groups (unit radio settings)
+        if (mission?.get('coalition')) {
+            const coalitions = ['blue', 'red', 'neutrals'];
+
+            for (const coalition of coalitions) {
+                const coalitionData = mission.path('coalition', coalition);
+                if (!coalitionData) continue;
+
+                this.traverseGroups(coalitionData, (group, path) => {
+                    if (group.get('radio') || group.get('frequency')) {
                         ['radioText', 'message', 'radioMessage'].forEach(key => {
-                            if (group[key]) {
-                                const resolved = this.resolveText(group[key], dictionary, true);
+                            if (group.get(key)) {
+                                const resolved = this.resolveText(group.get(key), dictionary, true);
                                 if (resolved && resolved.text) {
                                     // Use DictKey as context if available, otherwise use path
                                     const context = resolved.dictKey || path;
@@ -918,45 +1520,237 @@ var MizParser = {
         }
 
         // Если ничего не нашли — берём из dictionary (modern DCS missions 2020-2025)
+        // F10 menu items also use DictKey_ActionRadioText_ keys; they are extracted by extractMenus()
         if (results.length === 0 && dictionary) {
+            const menuKeys = new Set(triggerTexts
+                .filter(entry => entry.category === 'menus')
+                .map(entry => entry.value));
             const fromDict = this._extractFromDictionary(
                 dictionary,
                 ['DictKey_subtitle_', 'DictKey_ActionRadioText_'],
                 'Radio'
             );
-            results.push(...fromDict);
+            results.push(...fromDict.filter(item => !menuKeys.has(item.context)));
         }
 
         return results;
     },
 
+    /**
+     * Trigger functions that play a sound resource
+     */
+    AUDIO_CALLS: [
+        'a_radio_transmission', 'a_out_sound', 'a_out_sound_s', 'a_out_sound_c', 'a_out_sound_g', 'a_out_sound_u'
+    ],
+
+    /**
+     * Find the ResKeys the mission references and what uses them
+     * Sources are the briefing picture fields and the trigger actions: action strings
+     * such as 'a_out_picture(getValueResourceByKey("ResKey_Action_6"), 10, ...)'
+     * and trigrules action tables with a "file" field.
+     * The subtitle of a sound is the first getValueDictByKey() argument of its call,
+     * the "subtitle" field of a trigrules action, or else a text shown by the same action.
+     * @param {LuaTable|object} mission - Parsed mission
+     * @returns {Map<string, {usage: string[], subtitle: string|null}>} ResKey -> users (picture
+     *     field or action function names) and subtitle (DictKey or literal text)
+     */
+    collectResourceKeys: function(mission) {
+        const LuaTable = LuaParser.LuaTable;
+        mission = LuaTable.from(mission);
+        const references = new Map();
+
+        const add = (resKey, usage, subtitle = null) => {
+            if (typeof resKey !== 'string' || !resKey.startsWith('ResKey_')) return;
+            if (!references.has(resKey)) references.set(resKey, { usage: [], subtitle: null });
+
+            const reference = references.get(resKey);
+            if (!reference.usage.includes(usage)) reference.usage.push(usage);
+            if (!reference.subtitle && typeof subtitle === 'string' && subtitle) reference.subtitle = subtitle;
+        };
+
+        // Briefing pictures: ["pictureFileNameB"] = { [1] = "ResKey_ImageBriefing_1" }
+        for (const field of Object.keys(this.BRIEFING_PICTURE_FIELDS)) {
+            const pictures = mission?.get(field);
+            for (const resKey of LuaTable.isTable(pictures) ? pictures.values() : [pictures]) {
+                add(resKey, field);
+            }
+        }
+
+        const searchInActions = (actions) => {
+            if (!LuaTable.isTable(actions)) return;
+            for (const action of actions.values()) {
+                if (LuaTable.isTable(action)) {
+                    add(action.get('file'), action.get('predicate') || action.get('id') || 'action', action.get('subtitle'));
+                    continue;
+                }
+                if (typeof action !== 'string' || !action.includes('ResKey_')) continue;
+
+                let calls;
+                try {
+                    calls = LuaParser.parseCalls(action);
+                } catch (e) {
+                    if (e instanceof LuaParser.LuaParseError) continue;
+                    throw e;
+                }
+
+                const shownText = this.parseActionTexts(action)[0]?.value || null;
+                for (const call of calls) {
+                    let resKey = null;
+                    let subtitle = null;
+                    LuaParser.walkCalls(call, node => {
+                        const arg = node.args[0];
+                        if (arg?.type !== 'string') return;
+                        if (node.name === 'getValueResourceByKey' && !resKey) resKey = arg.value;
+                        if (node.name === 'getValueDictByKey' && !subtitle) subtitle = arg.value;
+                    });
+                    add(resKey, call.name, subtitle || shownText);
+                }
+            }
+        };
+
+        const triggers = mission?.path('triggers', 'triggers');
+        if (LuaTable.isTable(triggers)) {
+            for (const t of triggers.values()) {
+                if (LuaTable.isTable(t)) searchInActions(t.get('actions'));
+            }
+        }
+        searchInActions(mission?.path('trig', 'actions'));
+
+        const trigrules = mission?.get('trigrules');
+        if (LuaTable.isTable(trigrules)) {
+            for (const rule of trigrules.values()) {
+                if (LuaTable.isTable(rule)) searchInActions(rule.get('actions'));
+            }
+        }
+
+        return references;
+    },
+
+    /**
+     * List the ResKeys of each locale's mapResource that pass a filter
+     * A locale without its own entry falls back to DEFAULT, as in DCS.
+     * @param {object} parsedData - Data from parse()
+     * @param {function(string, object): boolean} accept - Called with the file name and the
+     *     collectResourceKeys() reference ({usage: [], subtitle: null} when unreferenced)
+     * @returns {Object<string, Array<object>>} Locale -> [{resKey, fileName, path, usage,
+     *     localized, exists, reference}], where localized is false for DEFAULT fallbacks
+     *     and exists is null without a document
+     */
+    listLocaleResources: function(parsedData, accept) {
+        const document = parsedData.document || null;
+        const mapResources = parsedData.mapResources || {};
+        const defaultMap = mapResources.DEFAULT || {};
+        const references = this.collectResourceKeys(parsedData.missionTable || parsedData.mission);
+
+        const locales = ['DEFAULT'];
+        for (const locale of [...(parsedData.availableLocales || []), ...Object.keys(mapResources)]) {
+            if (!locales.includes(locale)) locales.push(locale);
+        }
+
+        const result = {};
+        for (const locale of locales) {
+            const map = mapResources[locale] || {};
+            result[locale] = [];
+
+            for (const resKey of new Set([...Object.keys(defaultMap), ...Object.keys(map)])) {
+                const localized = typeof map[resKey] === 'string';
+                const fileName = localized ? map[resKey] : defaultMap[resKey];
+                const reference = references.get(resKey) || { usage: [], subtitle: null };
+                if (typeof fileName !== 'string' || !accept(fileName, reference)) continue;
+
+                const path = `l10n/${localized ? locale : 'DEFAULT'}/${fileName}`;
+                result[locale].push({
+                    resKey: resKey,
+                    fileName: fileName,
+                    path: path,
+                    usage: reference.usage,
+                    localized: localized,
+                    exists: document ? document.hasFile(path) : null,
+                    reference: reference
+                });
+            }
+        }
+        return result;
+    },
+
+    /**
+     * List the image resources each locale references
+     * Images are found through ResKeys: l10n/<locale>/mapResource maps each one to a file.
+     * @param {object} parsedData - Data from parse()
+     * @returns {{locales: Object<string, Array<object>>, kneeboard: string[]}} Per locale:
+     *     {resKey, fileName, path, usage, localized, exists} (see listLocaleResources);
+     *     kneeboard lists KNEEBOARD/ images
+     */
+    extractImageResources: function(parsedData) {
+        const locales = this.listLocaleResources(parsedData, (fileName, reference) =>
+            MizDocument.resourceType(fileName) === 'image' ||
+            reference.usage.some(usage => usage in this.BRIEFING_PICTURE_FIELDS));
+
+        const result = { locales: {}, kneeboard: [] };
+        for (const [locale, images] of Object.entries(locales)) {
+            result.locales[locale] = images.map(({ reference, ...image }) => image);
+        }
+
+        if (parsedData.document) {
+            result.kneeboard = parsedData.document.kneeboard.filter(path => MizDocument.resourceType(path) === 'image');
+        }
+
+        return result;
+    },
+
+    /**
+     * List the sounds each locale plays, with their subtitles
+     * Covers radio transmissions and a_out_sound* actions, so voice-overs can be
+     * recorded per locale next to the translated subtitle.
+     * @param {object} parsedData - Data from parse()
+     * @returns {Object<string, Array<object>>} Locale -> [{resKey, fileName, path, usage,
+     *     localized, exists, subtitleKey, subtitle}]; subtitle is the text in that locale's
+     *     dictionary (DEFAULT as fallback), subtitleKey its DictKey if it has one
+     */
+    extractAudioResources: function(parsedData) {
+        const dictionaries = parsedData.dictionaries || {};
+        const locales = this.listLocaleResources(parsedData, (fileName, reference) =>
+            MizDocument.resourceType(fileName) === 'sound' ||
+            reference.usage.some(usage => this.AUDIO_CALLS.includes(usage)));
+
+        const result = {};
+        for (const [locale, sounds] of Object.entries(locales)) {
+            const dictionary = Object.assign({}, dictionaries.DEFAULT, dictionaries[locale]);
+            result[locale] = sounds.map(({ reference, ...sound }) => {
+                const resolved = reference.subtitle ? this.resolveText(reference.subtitle, dictionary, true) : null;
+                return Object.assign(sound, {
+                    subtitleKey: resolved?.dictKey || null,
+                    subtitle: resolved ? this.cleanText(resolved.text) : null
+                });
+            });
+        }
+        return result;
+    },
+
     /**
      * Traverse groups in coalition data
+     * Groups are visited in mission file order and passed to the callback as LuaTables.
+     * @param {LuaTable|object} coalitionData - mission.coalition.<side>
+     * @param {function(LuaTable, string)} callback - Called with the group and its path
      */
     traverseGroups: function(coalitionData, callback) {
-        if (!coalitionData?.country) return;
+        const LuaTable = LuaParser.LuaTable;
+        const countries = LuaTable.from(coalitionData)?.get('country');
+        if (!LuaTable.isTable(countries)) return;
 
-        const countries = Array.isArray(coalitionData.country)
-            ? coalitionData.country
-            : Object.values(coalitionData.country);
+        for (const country of countries.values()) {
+            if (!LuaTable.isTable(country)) continue;
 
-        for (const country of countries) {
-            if (!country) continue;
-
-            const countryName = country.name || 'Unknown';
+            const countryName = country.get('name') || 'Unknown';
             const groupTypes = ['plane', 'helicopter', 'vehicle', 'ship', 'static'];
 
             for (const groupType of groupTypes) {
-                const typeData = country[groupType];
-                if (!typeData?.group) continue;
-
-                const groups = Array.isArray(typeData.group)
-                    ? typeData.group
-                    : Object.values(typeData.group);
+                const groups = country.path(groupType, 'group');
+                if (!LuaTable.isTable(groups)) continue;
 
-                for (const group of groups) {
-                    if (group) {
-                        callback(group, `${countryName}/${groupType}/${group.name || 'Unknown'}`);
+                for (const group of groups.values()) {
+                    if (LuaTable.isTable(group)) {
+                        callback(group, `${countryName}/${groupType}/${group.get('name') || 'Unknown'}`);
                     }
                 }
             }
@@ -965,18 +1759,17 @@ var MizParser = {
 
     /**
      * Traverse units in coalition data
+     * @param {LuaTable|object} coalitionData - mission.coalition.<side>
+     * @param {function(LuaTable, string)} callback - Called with the unit and its group path
      */
     traverseUnits: function(coalitionData, callback) {
         this.traverseGroups(coalitionData, (group, path) => {
-            if (group.units) {
-                const units = Array.isArray(group.units)
-                    ? group.units
-                    : Object.values(group.units);
-
-                for (const unit of units) {
-                    if (unit) {
-                        callback(unit, path);
-                    }
+            const units = group.get('units');
+            if (!LuaParser.LuaTable.isTable(units)) return;
+
+            for (const unit of units.values()) {
+                if (LuaParser.LuaTable.isTable(unit)) {
+                    callback(unit, path);
                 }
             }
         });
@@ -1007,6 +1800,22 @@ var MizParser = {
      *
      *   РАДИОСООБЩЕНИЯ: / RADIO MESSAGES:
      *   ...
+     *
+     *   МЕНЮ РАДИО: / RADIO MENUS:
+     *   ...
+     *
+     *   СКРИПТЫ: / SCRIPTS:
+     *   ...
+     *
+     *   РИСУНКИ НА КАРТЕ: / MAP DRAWINGS:
+     *   ...
+     * Trigger, radio, menu and script texts without a DictKey are labelled with their stable trigger id,
+     * e.g. [TRIGGER_3_2_a_out_text_delay], and preceded by comment lines telling which
+     * trigger fires them and how they are delivered (see formatActionNote()).
+     * Drawing texts without a DictKey are labelled with their drawing id, e.g. [DRAWING_5_2_text],
+     * after a comment line naming their layer and object.
+     * Notes follow their string as comment lines: the old and new source of
+     * translations that need update, and "# TM 85%: ..." translation memory suggestions.
      */
     formatAsText: function(extractionResult) {
         const sections = [];
@@ -1020,126 +1829,642 @@ var MizParser = {
                 const label = this.getCleanPrefix(item.context, 'Briefing');
                 if (dictKey) {
                     // Keep DictKey for import compatibility
-                    briefingLines.push(`${dictKey}: ${item.text}`);
+                    briefingLines.push(`${dictKey}: ${this.escapeLineText(item.text)}`);
                 } else {
-                    briefingLines.push(`${label}: ${item.text}`);
+                    briefingLines.push(`${label}: ${this.escapeLineText(item.text)}`);
                 }
+                briefingLines.push(...this.formatItemNotes(item));
             }
             sections.push(briefingLines.join('\n'));
         }
 
-        // TRIGGERS SECTION
-        // Per issue #42: Display as [TRIGGER] label instead of raw DictKey
-        if (extractionResult.extracted.triggers && extractionResult.extracted.triggers.length > 0) {
-            const triggerLines = ['ТРИГГЕРЫ: / TRIGGERS:', ''];
-            let triggerIndex = 1;
-            for (const item of extractionResult.extracted.triggers) {
-                // Preserve DictKey for import, but show cleaner format
-                const dictKey = item.context?.startsWith('DictKey_') ? item.context : null;
-                if (dictKey) {
-                    // Keep DictKey for import compatibility, but now they're filtered
-                    triggerLines.push(`${dictKey}: ${item.text}`);
-                } else {
-                    triggerLines.push(`[TRIGGER_${triggerIndex}]: ${item.text}`);
+        // TRIGGERS SECTION
+        // Per issue #42: Display as [TRIGGER] label instead of raw DictKey
+        if (extractionResult.extracted.triggers && extractionResult.extracted.triggers.length > 0) {
+            const triggerLines = ['ТРИГГЕРЫ: / TRIGGERS:', ''];
+            let triggerIndex = 1;
+            for (const item of extractionResult.extracted.triggers) {
+                // Preserve DictKey for import, but show cleaner format
+                const dictKey = item.context?.startsWith('DictKey_') ? item.context : null;
+                triggerLines.push(...this.formatActionNote(item));
+                if (dictKey) {
+                    // Keep DictKey for import compatibility, but now they're filtered
+                    triggerLines.push(`${dictKey}: ${this.escapeLineText(item.text)}`);
+                } else {
+                    triggerLines.push(`[TRIGGER_${item.trigger?.id || triggerIndex}]: ${this.escapeLineText(item.text)}`);
+                }
+                triggerLines.push(...this.formatItemNotes(item));
+                triggerIndex++;
+            }
+            sections.push(triggerLines.join('\n'));
+        }
+
+        // RADIO MESSAGES SECTION
+        // Per issue #42: Display as [RADIO] label instead of raw DictKey
+        if (extractionResult.extracted.radio && extractionResult.extracted.radio.length > 0) {
+            const radioLines = ['РАДИОСООБЩЕНИЯ: / RADIO MESSAGES:', ''];
+            let radioIndex = 1;
+            for (const item of extractionResult.extracted.radio) {
+                // Preserve DictKey for import, but show cleaner format
+                const dictKey = item.context?.startsWith('DictKey_') ? item.context : null;
+                radioLines.push(...this.formatActionNote(item));
+                if (dictKey) {
+                    // Keep DictKey for import compatibility, but now they're filtered
+                    radioLines.push(`${dictKey}: ${this.escapeLineText(item.text)}`);
+                } else {
+                    radioLines.push(`[RADIO_${item.trigger?.id || radioIndex}]: ${this.escapeLineText(item.text)}`);
+                }
+                radioLines.push(...this.formatItemNotes(item));
+                radioIndex++;
+            }
+            sections.push(radioLines.join('\n'));
+        }
+
+        // F10 RADIO MENUS SECTION
+        if (extractionResult.extracted.menus && extractionResult.extracted.menus.length > 0) {
+            const menuLines = ['МЕНЮ РАДИО: / RADIO MENUS:', ''];
+            let menuIndex = 1;
+            for (const item of extractionResult.extracted.menus) {
+                const dictKey = item.context?.startsWith('DictKey_') ? item.context : null;
+                menuLines.push(...this.formatActionNote(item));
+                menuLines.push(`${dictKey || `[MENU_${item.trigger?.id || menuIndex}]`}: ${this.escapeLineText(item.text)}`);
+                menuLines.push(...this.formatItemNotes(item));
+                menuIndex++;
+            }
+            sections.push(menuLines.join('\n'));
+        }
+
+        // SCRIPT MESSAGES SECTION
+        if (extractionResult.extracted.scripts && extractionResult.extracted.scripts.length > 0) {
+            const scriptLines = ['СКРИПТЫ: / SCRIPTS:', ''];
+            let scriptIndex = 1;
+            for (const item of extractionResult.extracted.scripts) {
+                const dictKey = item.context?.startsWith('DictKey_') ? item.context : null;
+                scriptLines.push(...this.formatActionNote(item));
+                scriptLines.push(`${dictKey || `[SCRIPT_${item.trigger?.id || scriptIndex}]`}: ${this.escapeLineText(item.text)}`);
+                scriptLines.push(...this.formatItemNotes(item));
+                scriptIndex++;
+            }
+            sections.push(scriptLines.join('\n'));
+        }
+
+        // F10 MAP DRAWINGS SECTION
+        if (extractionResult.extracted.drawings && extractionResult.extracted.drawings.length > 0) {
+            const drawingLines = ['РИСУНКИ НА КАРТЕ: / MAP DRAWINGS:', ''];
+            let drawingIndex = 1;
+            for (const item of extractionResult.extracted.drawings) {
+                const dictKey = item.context?.startsWith('DictKey_') ? item.context : null;
+                const drawing = item.drawing;
+                if (drawing) {
+                    drawingLines.push(`# Layer ${drawing.layer}: ${drawing.type}` +
+                        (drawing.field === 'name' ? ' name' : (drawing.name ? ` "${drawing.name}"` : '')));
+                }
+                drawingLines.push(`${dictKey || `[DRAWING_${drawing?.id || drawingIndex}]`}: ${this.escapeLineText(item.text)}`);
+                drawingLines.push(...this.formatItemNotes(item));
+                drawingIndex++;
+            }
+            sections.push(drawingLines.join('\n'));
+        }
+
+        // OPTIONAL CATEGORIES (for manual mode)
+        if (extractionResult.extracted.tasks && extractionResult.extracted.tasks.length > 0) {
+            const taskLines = ['ЗАДАЧИ: / TASKS:', ''];
+            let taskIndex = 1;
+            for (const item of extractionResult.extracted.tasks) {
+                taskLines.push(`[TASK_${taskIndex}]: ${this.escapeLineText(item.text)}`);
+                taskLines.push(...this.formatItemNotes(item));
+                taskIndex++;
+            }
+            sections.push(taskLines.join('\n'));
+        }
+
+        if (extractionResult.extracted.units && extractionResult.extracted.units.length > 0) {
+            const unitLines = ['ПОДРАЗДЕЛЕНИЯ: / UNITS:', ''];
+            let unitIndex = 1;
+            for (const item of extractionResult.extracted.units) {
+                unitLines.push(`[UNIT_${unitIndex}]: ${this.escapeLineText(item.text)}`);
+                unitLines.push(...this.formatItemNotes(item));
+                unitIndex++;
+            }
+            sections.push(unitLines.join('\n'));
+        }
+
+        if (extractionResult.extracted.waypoints && extractionResult.extracted.waypoints.length > 0) {
+            const waypointLines = ['ПУТЕВЫЕ ТОЧКИ: / WAYPOINTS:', ''];
+            let waypointIndex = 1;
+            for (const item of extractionResult.extracted.waypoints) {
+                waypointLines.push(`[WAYPOINT_${waypointIndex}]: ${this.escapeLineText(item.text)}`);
+                waypointLines.push(...this.formatItemNotes(item));
+                waypointIndex++;
+            }
+            sections.push(waypointLines.join('\n'));
+        }
+
+        return sections.join('\n\n');
+    },
+
+    /**
+     * Get clean prefix for briefing contexts
+     */
+    getCleanPrefix: function(context, category) {
+        const contextMap = {
+            'Mission Name': 'Briefing_Mission',
+            'Description': 'Briefing_Description',
+            'Blue Task': 'Briefing_Blue',
+            'Red Task': 'Briefing_Red',
+            'Neutral Task': 'Briefing_Neutral'
+        };
+        return contextMap[context] || `${category}_${context.replace(/[^a-zA-Z0-9]/g, '_')}`;
+    },
+
+    /**
+     * Format extracted data as JSON
+     */
+    formatAsJson: function(extractionResult) {
+        const jsonOutput = {
+            metadata: {
+                locale: extractionResult.locale,
+                totalStrings: extractionResult.stats.totalStrings,
+                uniqueStrings: extractionResult.stats.uniqueStrings
+            },
+            strings: {}
+        };
+
+        let keyIndex = 1;
+        for (const [category, items] of Object.entries(extractionResult.extracted)) {
+            for (const item of items) {
+                const key = `${category}_${keyIndex++}`;
+                jsonOutput.strings[key] = {
+                    category: item.category,
+                    context: item.context,
+                    text: item.text
+                };
+                if (item.action) {
+                    jsonOutput.strings[key].action = item.action;
+                }
+                if (item.menu) {
+                    jsonOutput.strings[key].menu = item.menu;
+                }
+                if (item.script) {
+                    jsonOutput.strings[key].script = item.script;
+                }
+                if (item.drawing) {
+                    jsonOutput.strings[key].drawing = item.drawing;
+                }
+                if (item.memory) {
+                    jsonOutput.strings[key].source = item.memory.source;
+                    jsonOutput.strings[key].memory = item.memory;
+                }
+                if (item.stale) {
+                    jsonOutput.strings[key].needsUpdate = true;
+                    jsonOutput.strings[key].oldSource = item.stale.oldSource;
+                    jsonOutput.strings[key].newSource = item.stale.newSource;
+                }
+            }
+        }
+
+        return JSON.stringify(jsonOutput, null, 2);
+    },
+
+    /**
+     * Fill an extraction result from a translation memory
+     * Strings the memory has an exact translation for get that translation as their
+     * text; the others get the translations of similar strings as suggestions.
+     * @param {object} extractionResult - Result of extractText()
+     * @param {TranslationMemory} memory - The translation memory
+     * @param {string} targetLocale - Locale being translated into (e.g. 'RU')
+     * @param {object} [options] - TranslationMemory.suggest() options
+     * @returns {object} Copy of the result; items matched by the memory have a
+     *     memory: {match: 'exact'|'fuzzy', source, suggestions} field, and
+     *     stats.memory counts {exact, fuzzy} matches
+     */
+    applyTranslationMemory: function(extractionResult, memory, targetLocale, options = {}) {
+        const result = Object.assign({}, extractionResult, {
+            extracted: {},
+            stats: Object.assign({}, extractionResult.stats, { memory: { exact: 0, fuzzy: 0 } })
+        });
+
+        for (const [category, items] of Object.entries(extractionResult.extracted)) {
+            result.extracted[category] = items.map(item => {
+                const exact = memory.lookup(item.text, targetLocale);
+                if (exact) {
+                    result.stats.memory.exact++;
+                    return Object.assign({}, item, {
+                        text: exact.target,
+                        memory: { match: 'exact', source: item.text, suggestions: [] }
+                    });
+                }
+
+                const suggestions = memory.suggest(item.text, targetLocale, options);
+                if (suggestions.length === 0) return item;
+
+                result.stats.memory.fuzzy++;
+                return Object.assign({}, item, {
+                    memory: { match: 'fuzzy', source: item.text, suggestions: suggestions }
+                });
+            });
+        }
+
+        return result;
+    },
+
+    /**
+     * Comment lines telling which trigger fires a trigger, radio, menu or script text and how it is delivered, e.g.
+     * "# Trigger 3 "Intro": once, when unit 'Enfield 1-1' in zone 'IP'",
+     * "# a_out_text_delay_s: coalition blue, 10 s, clear view" and, for menu items,
+     * "# F10 menu: Other > Support (submenu)"; script strings other than message texts add
+     * "# DO SCRIPT: title of MESSAGE:New()"
+     * parseImportedText() skips them.
+     * @returns {string[]} The lines, or nothing for items without a trigger and action
+     */
+    formatActionNote: function(item) {
+        const notes = item.trigger ? [`# ${this.formatTriggerContext(item.trigger)}`] : [];
+        const action = item.action;
+        if (!action?.type) return notes;
+
+        const details = [];
+        for (const target of ['coalition', 'country', 'group', 'unit']) {
+            if (action[target] !== null && action[target] !== undefined) details.push(`${target} ${action[target]}`);
+        }
+        if (details.length === 0) details.push('all');
+        if (typeof action.duration === 'number') details.push(`${action.duration} s`);
+        if (action.clearView === true) details.push('clear view');
+        notes.push(`# ${action.type}: ${details.join(', ')}`);
+        if (item.menu) {
+            notes.push(`# F10 menu: ${['Other', ...item.menu.path].join(' > ')}${item.menu.submenu ? ' (submenu)' : ''}`);
+        }
+        if (item.script && item.script.argument !== 'text') {
+            notes.push(`# DO SCRIPT: ${item.script.argument} of ${item.script.call}()`);
+        }
+        return notes;
+    },
+
+    /**
+     * Comment lines about an item: the old and new source of a stale translation,
+     * the source of a translation pre-filled from the translation memory, and its suggestions
+     * parseImportedText() skips them.
+     */
+    formatItemNotes: function(item) {
+        const notes = [];
+        if (item.stale) {
+            notes.push('# NEEDS UPDATE / ТРЕБУЕТ ОБНОВЛЕНИЯ');
+            notes.push(`# Old source: ${this.escapeLineText(item.stale.oldSource)}`);
+            notes.push(`# New source: ${this.escapeLineText(item.stale.newSource)}`);
+        }
+        if (item.memory?.match === 'exact') {
+            notes.push(`# TM exact match: ${this.escapeLineText(item.memory.source)}`);
+        }
+        for (const suggestion of item.memory?.suggestions || []) {
+            notes.push(`# TM ${Math.round(suggestion.score * 100)}%: ${this.escapeLineText(suggestion.target)}`);
+        }
+        return notes;
+    },
+
+    /**
+     * Write a text on one line of a text export: backslashes as \\ and line breaks as \n
+     * parseImportedText() turns them back with unescapeLineText().
+     */
+    escapeLineText: function(text) {
+        return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+    },
+
+    /**
+     * Read a text written by escapeLineText()
+     */
+    unescapeLineText: function(text) {
+        return text.replace(/\\([\\n])/g, (escape, char) => (char === 'n' ? '\n' : '\\'));
+    },
+
+    /**
+     * Marker for a DictKey a locale has no entry for, in tabular exports
+     */
+    MISSING_MARKER: '<missing>',
+
+    /**
+     * Line up every DictKey across all available locales
+     * Keys are listed in DEFAULT order, followed by keys that only other locales have.
+     * @param {object} parsedData - Data from parse()
+     * @returns {{locales: string[], rows: Array<{dictKey: string, texts: Object<string, string|null>,
+     *     missing: string[]}>, stats: {totalKeys: number, byLocale: Object<string, {present: number, missing: number}>}}}
+     *     texts holds null where a locale has no entry; missing lists those locales
+     */
+    extractLocaleTable: function(parsedData) {
+        const dictionaries = parsedData.dictionaries || {};
+        const locales = [];
+        for (const locale of ['DEFAULT', ...(parsedData.availableLocales || [])]) {
+            if (dictionaries[locale] && !locales.includes(locale)) locales.push(locale);
+        }
+
+        const dictKeys = new Set();
+        for (const locale of locales) {
+            Object.keys(dictionaries[locale]).forEach(key => dictKeys.add(key));
+        }
+
+        const stats = { totalKeys: dictKeys.size, byLocale: {} };
+        locales.forEach(locale => { stats.byLocale[locale] = { present: 0, missing: 0 }; });
+
+        const rows = [];
+        for (const dictKey of dictKeys) {
+            const row = { dictKey: dictKey, texts: {}, missing: [] };
+            for (const locale of locales) {
+                const text = dictionaries[locale][dictKey];
+                if (typeof text === 'string') {
+                    row.texts[locale] = text;
+                    stats.byLocale[locale].present++;
+                } else {
+                    row.texts[locale] = null;
+                    row.missing.push(locale);
+                    stats.byLocale[locale].missing++;
+                }
+            }
+            rows.push(row);
+        }
+
+        return { locales: locales, rows: rows, stats: stats };
+    },
+
+    /**
+     * Format a locale table as JSON
+     * Missing entries are null and also listed per locale under "missing".
+     * @param {object} localeTable - Result of extractLocaleTable()
+     * @returns {string} JSON text
+     */
+    formatLocaleTableAsJson: function(localeTable) {
+        const jsonOutput = {
+            metadata: {
+                locales: localeTable.locales,
+                totalKeys: localeTable.stats.totalKeys,
+                coverage: localeTable.stats.byLocale
+            },
+            strings: {},
+            missing: {}
+        };
+
+        for (const locale of localeTable.locales) {
+            jsonOutput.missing[locale] = [];
+        }
+        for (const row of localeTable.rows) {
+            jsonOutput.strings[row.dictKey] = row.texts;
+            row.missing.forEach(locale => jsonOutput.missing[locale].push(row.dictKey));
+        }
+
+        return JSON.stringify(jsonOutput, null, 2);
+    },
+
+    /**
+     * Format a locale table as CSV: one row per DictKey, one column per locale
+     * Missing entries are written as MISSING_MARKER; fields are quoted as in RFC 4180,
+     * so multi-line texts open correctly in spreadsheet programs.
+     * @param {object} localeTable - Result of extractLocaleTable()
+     * @returns {string} CSV text
+     */
+    formatLocaleTableAsCsv: function(localeTable) {
+        const quote = (field) => /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+
+        const lines = [['DictKey', ...localeTable.locales].map(quote).join(',')];
+        for (const row of localeTable.rows) {
+            const cells = localeTable.locales.map(locale => row.texts[locale] ?? this.MISSING_MARKER);
+            lines.push([row.dictKey, ...cells].map(quote).join(','));
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Compare the translatable text of two revisions of a mission
+     * Both revisions go through extractText() in DEFAULT, so the same extractors
+     * decide what is translatable. Strings are matched by DictKey, or by category
+     * and context for text stored in the mission itself (e.g. a literal briefing).
+     * @param {object} oldData - Data from parse() for the old revision
+     * @param {object} newData - Data from parse() for the new revision
+     * @param {object} [options] - extractText() options (mode, categories, signal)
+     * @returns {{added: object[], removed: object[], changed: object[], stats: object}}
+     *     Items are {key, section, category, context, text} and their ITEM_DETAIL_FIELDS; changed items also have
+     *     oldText and diff (see diffWords)
+     */
+    compareMissions: function(oldData, newData, options = {}) {
+        const extractOptions = Object.assign({}, options, { preferredLocale: 'DEFAULT' });
+        const oldItems = this.indexExtractedItems(this.extractText(oldData, extractOptions));
+        const newItems = this.indexExtractedItems(this.extractText(newData, extractOptions));
+
+        const result = { added: [], removed: [], changed: [], stats: {} };
+        let unchanged = 0;
+
+        for (const [key, item] of newItems) {
+            const oldItem = oldItems.get(key);
+            if (!oldItem) {
+                result.added.push(item);
+            } else if (oldItem.text !== item.text) {
+                result.changed.push(Object.assign({}, item, {
+                    oldText: oldItem.text,
+                    diff: this.diffWords(oldItem.text, item.text)
+                }));
+            } else {
+                unchanged++;
+            }
+        }
+        for (const [key, item] of oldItems) {
+            if (!newItems.has(key)) result.removed.push(item);
+        }
+
+        result.stats = {
+            added: result.added.length,
+            removed: result.removed.length,
+            changed: result.changed.length,
+            unchanged: unchanged
+        };
+        return result;
+    },
+
+    /**
+     * Item fields besides the text that exports need to label and describe a string
+     */
+    ITEM_DETAIL_FIELDS: ['trigger', 'drawing', 'action', 'menu', 'script'],
+
+    /**
+     * Key extracted strings so that they can be matched across revisions
+     * @param {object} extractionResult - Result of extractText()
+     * @returns {Map<string, object>} Key -> {key, section, category, context, text}, plus the
+     *     ITEM_DETAIL_FIELDS the item has
+     */
+    indexExtractedItems: function(extractionResult) {
+        const items = new Map();
+        for (const [section, sectionItems] of Object.entries(extractionResult.extracted)) {
+            for (const item of sectionItems) {
+                let key = item.context?.startsWith('DictKey_') ? item.context
+                    : `${item.category}:${(item.trigger || item.drawing)?.id ?? item.context}`;
+                // Contexts without a DictKey or trigger id may repeat; number them in order
+                for (let n = 2; items.has(key); n++) {
+                    key = `${key.replace(/#\d+$/, '')}#${n}`;
+                }
+                const indexed = { key: key, section: section, category: item.category, context: item.context, text: item.text };
+                for (const field of this.ITEM_DETAIL_FIELDS) {
+                    if (item[field]) indexed[field] = item[field];
+                }
+                items.set(key, indexed);
+            }
+        }
+        return items;
+    },
+
+    /**
+     * Word-level diff of two texts
+     * Whitespace runs are kept as their own tokens, so joining the parts of one
+     * side gives back that text exactly.
+     * @param {string} oldText - Old text
+     * @param {string} newText - New text
+     * @returns {Array<{type: string, text: string}>} Parts; type is 'equal', 'removed' or 'added'
+     */
+    diffWords: function(oldText, newText) {
+        const a = oldText.match(/\s+|\S+/g) || [];
+        const b = newText.match(/\s+|\S+/g) || [];
+
+        // Common prefix and suffix need no table
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else if (text) {
+                parts.push({ type: type, text: text });
+            }
+        };
+
+        push('equal', a.slice(0, start).join(''));
+
+        const n = endA - start;
+        const m = endB - start;
+        if (n * m > this.DIFF_MAX_CELLS) {
+            // Too long to align word by word: show the middle as replaced
+            push('removed', a.slice(start, endA).join(''));
+            push('added', b.slice(start, endB).join(''));
+        } else {
+            // Longest common subsequence table, filled from the end
+            const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lcs[i][j] = a[start + i] === b[start + j]
+                        ? lcs[i + 1][j + 1] + 1
+                        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
                 }
-                triggerIndex++;
             }
-            sections.push(triggerLines.join('\n'));
-        }
 
-        // RADIO MESSAGES SECTION
-        // Per issue #42: Display as [RADIO] label instead of raw DictKey
-        if (extractionResult.extracted.radio && extractionResult.extracted.radio.length > 0) {
-            const radioLines = ['РАДИОСООБЩЕНИЯ: / RADIO MESSAGES:', ''];
-            let radioIndex = 1;
-            for (const item of extractionResult.extracted.radio) {
-                // Preserve DictKey for import, but show cleaner format
-                const dictKey = item.context?.startsWith('DictKey_') ? item.context : null;
-                if (dictKey) {
-                    // Keep DictKey for import compatibility, but now they're filtered
-                    radioLines.push(`${dictKey}: ${item.text}`);
+            let i = 0;
+            let j = 0;
+            while (i < n || j < m) {
+                if (i < n && j < m && a[start + i] === b[start + j]) {
+                    push('equal', a[start + i]);
+                    i++;
+                    j++;
+                } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                    push('removed', a[start + i]);
+                    i++;
                 } else {
-                    radioLines.push(`[RADIO_${radioIndex}]: ${item.text}`);
+                    push('added', b[start + j]);
+                    j++;
                 }
-                radioIndex++;
             }
-            sections.push(radioLines.join('\n'));
         }
 
-        // OPTIONAL CATEGORIES (for manual mode)
-        if (extractionResult.extracted.tasks && extractionResult.extracted.tasks.length > 0) {
-            const taskLines = ['ЗАДАЧИ: / TASKS:', ''];
-            let taskIndex = 1;
-            for (const item of extractionResult.extracted.tasks) {
-                taskLines.push(`[TASK_${taskIndex}]: ${item.text}`);
-                taskIndex++;
+        push('equal', a.slice(endA).join(''));
+        return parts;
+    },
+
+    /**
+     * Largest token table diffWords() builds before falling back to a plain replacement
+     */
+    DIFF_MAX_CELLS: 4000000,
+
+    /**
+     * Format a word diff as text: [-removed-] and {+added+}
+     * @param {Array<{type: string, text: string}>} parts - Result of diffWords()
+     * @returns {string}
+     */
+    formatWordDiff: function(parts) {
+        return parts.map(part => {
+            if (part.type === 'removed') return `[-${part.text}-]`;
+            if (part.type === 'added') return `{+${part.text}+}`;
+            return part.text;
+        }).join('');
+    },
+
+    /**
+     * Format a comparison as a readable report
+     * @param {object} comparison - Result of compareMissions()
+     * @returns {string}
+     */
+    formatComparisonAsText: function(comparison) {
+        const sections = [];
+        const label = item => item.key.startsWith('DictKey_') ? item.key : `[${item.category}] ${item.context}`;
+
+        if (comparison.added.length > 0) {
+            const lines = ['ДОБАВЛЕНО: / ADDED:', ''];
+            for (const item of comparison.added) {
+                lines.push(`${label(item)}: ${this.escapeLineText(item.text)}`);
             }
-            sections.push(taskLines.join('\n'));
+            sections.push(lines.join('\n'));
         }
 
-        if (extractionResult.extracted.units && extractionResult.extracted.units.length > 0) {
-            const unitLines = ['ПОДРАЗДЕЛЕНИЯ: / UNITS:', ''];
-            let unitIndex = 1;
-            for (const item of extractionResult.extracted.units) {
-                unitLines.push(`[UNIT_${unitIndex}]: ${item.text}`);
-                unitIndex++;
+        if (comparison.changed.length > 0) {
+            const lines = ['ИЗМЕНЕНО: / CHANGED:', ''];
+            for (const item of comparison.changed) {
+                lines.push(`${label(item)}: ${this.escapeLineText(this.formatWordDiff(item.diff))}`);
             }
-            sections.push(unitLines.join('\n'));
+            sections.push(lines.join('\n'));
         }
 
-        if (extractionResult.extracted.waypoints && extractionResult.extracted.waypoints.length > 0) {
-            const waypointLines = ['ПУТЕВЫЕ ТОЧКИ: / WAYPOINTS:', ''];
-            let waypointIndex = 1;
-            for (const item of extractionResult.extracted.waypoints) {
-                waypointLines.push(`[WAYPOINT_${waypointIndex}]: ${item.text}`);
-                waypointIndex++;
+        if (comparison.removed.length > 0) {
+            const lines = ['УДАЛЕНО: / REMOVED:', ''];
+            for (const item of comparison.removed) {
+                lines.push(`${label(item)}: ${this.escapeLineText(item.text)}`);
             }
-            sections.push(waypointLines.join('\n'));
+            sections.push(lines.join('\n'));
         }
 
         return sections.join('\n\n');
     },
 
     /**
-     * Get clean prefix for briefing contexts
-     */
-    getCleanPrefix: function(context, category) {
-        const contextMap = {
-            'Mission Name': 'Briefing_Mission',
-            'Description': 'Briefing_Description',
-            'Blue Task': 'Briefing_Blue',
-            'Red Task': 'Briefing_Red',
-            'Neutral Task': 'Briefing_Neutral'
-        };
-        return contextMap[context] || `${category}_${context.replace(/[^a-zA-Z0-9]/g, '_')}`;
-    },
-
-    /**
-     * Format extracted data as JSON
+     * Build an extraction result holding only the strings that need (re)translation
+     * Added and changed strings keep their section, context and trigger or drawing details, so the delta can be
+     * written with formatAsText() or formatAsJson() and translated like a full export.
+     * @param {object} comparison - Result of compareMissions()
+     * @returns {object} Extraction result in the shape of extractText()
      */
-    formatAsJson: function(extractionResult) {
-        const jsonOutput = {
-            metadata: {
-                locale: extractionResult.locale,
-                totalStrings: extractionResult.stats.totalStrings,
-                uniqueStrings: extractionResult.stats.uniqueStrings
-            },
-            strings: {}
+    buildDeltaResult: function(comparison) {
+        const result = {
+            locale: 'DEFAULT',
+            extracted: {},
+            stats: { totalStrings: 0, uniqueStrings: 0, byCategory: {} }
         };
 
-        let keyIndex = 1;
-        for (const [category, items] of Object.entries(extractionResult.extracted)) {
-            for (const item of items) {
-                const key = `${category}_${keyIndex++}`;
-                jsonOutput.strings[key] = {
-                    category: item.category,
-                    context: item.context,
-                    text: item.text
-                };
+        for (const item of comparison.added.concat(comparison.changed)) {
+            if (!result.extracted[item.section]) result.extracted[item.section] = [];
+            const extracted = { category: item.category, context: item.context, text: item.text };
+            for (const field of this.ITEM_DETAIL_FIELDS) {
+                if (item[field]) extracted[field] = item[field];
             }
+            result.extracted[item.section].push(extracted);
         }
 
-        return JSON.stringify(jsonOutput, null, 2);
+        const all = [];
+        for (const [section, items] of Object.entries(result.extracted)) {
+            result.stats.byCategory[section] = items.length;
+            all.push(...items);
+        }
+        result.stats.totalStrings = all.length;
+        result.stats.uniqueStrings = new Set(all.map(item => item.text)).size;
+
+        return result;
     },
 
     /**
@@ -1157,8 +2482,15 @@ var MizParser = {
             tasks: [],
             units: [],
             waypoints: [],
+            menus: [],
+            scripts: [],
+            drawings: [],
             // New: Store exact DictKey-to-text mappings
-            keyMappings: {}
+            keyMappings: {},
+            // Trigger texts without a DictKey, by stable trigger id (e.g. '3_2_a_out_text_delay')
+            triggerTexts: {},
+            // Drawing texts without a DictKey, by drawing id (e.g. '5_2_text')
+            drawingTexts: {}
         };
 
         const linePattern = /^([^:]+):\s*(.*)$/;
@@ -1172,6 +2504,12 @@ var MizParser = {
             'TRIGGERS': 'triggers',
             'РАДИОСООБЩЕНИЯ': 'radio',
             'RADIO MESSAGES': 'radio',
+            'МЕНЮ РАДИО': 'menus',
+            'RADIO MENUS': 'menus',
+            'СКРИПТЫ': 'scripts',
+            'SCRIPTS': 'scripts',
+            'РИСУНКИ НА КАРТЕ': 'drawings',
+            'MAP DRAWINGS': 'drawings',
             'ЗАДАЧИ': 'tasks',
             'TASKS': 'tasks',
             'ПОДРАЗДЕЛЕНИЯ': 'units',
@@ -1184,6 +2522,9 @@ var MizParser = {
             const trimmedLine = line.trim();
             if (!trimmedLine) continue;
 
+            // Notes: stale translations, translation memory suggestions
+            if (trimmedLine.startsWith('#')) continue;
+
             // Check if this is a section header
             const sectionMatch = trimmedLine.match(/^([А-ЯЁA-Z\s]+):\s*(?:\/\s*([A-Z\s]+):)?$/);
             if (sectionMatch) {
@@ -1197,7 +2538,7 @@ var MizParser = {
             if (!match) continue;
 
             const [, prefix, text] = match;
-            const cleanText = text.trim();
+            const cleanText = this.unescapeLineText(text.trim());
 
             if (!cleanText) continue;
 
@@ -1227,6 +2568,18 @@ var MizParser = {
             } else if (prefix.startsWith('Briefing_Neutral')) {
                 mappings.briefings.descriptionNeutralsTask = cleanText;
             }
+            // Stable trigger ids: [TRIGGER_3_2_a_out_text_delay], [RADIO_4_1_a_out_sound],
+            // [MENU_5_1_addCommand_2], [SCRIPT_6_1_outText_1]
+            else if (/^\[(TRIGGER|RADIO|MENU|SCRIPT)_\d+_\d+_\w+\]$/.test(prefix)) {
+                const [, section, id] = prefix.match(/^\[(TRIGGER|RADIO|MENU|SCRIPT)_(.+)\]$/);
+                mappings.triggerTexts[id] = cleanText;
+                mappings[{ TRIGGER: 'triggers', RADIO: 'radio', MENU: 'menus', SCRIPT: 'scripts' }[section]].push(cleanText);
+            }
+            // Drawing ids: [DRAWING_5_2_text]
+            else if (/^\[DRAWING_\d+_\d+_\w+\]$/.test(prefix)) {
+                mappings.drawingTexts[prefix.slice('[DRAWING_'.length, -1)] = cleanText;
+                mappings.drawings.push(cleanText);
+            }
             // Map triggers (old format and new [TRIGGER_X] format per issue #42)
             else if (prefix.startsWith('Trigger_Message_') || prefix.startsWith('Trigger_') ||
                      prefix.startsWith('[TRIGGER_') || prefix === '[TRIGGER]') {
@@ -1244,6 +2597,10 @@ var MizParser = {
                 mappings.units.push(cleanText);
             } else if (prefix.startsWith('Waypoint_') || prefix.startsWith('[WAYPOINT_') || prefix === '[WAYPOINT]') {
                 mappings.waypoints.push(cleanText);
+            } else if (prefix.startsWith('[MENU_') || prefix === '[MENU]') {
+                mappings.menus.push(cleanText);
+            } else if (prefix.startsWith('[SCRIPT_') || prefix === '[SCRIPT]') {
+                mappings.scripts.push(cleanText);
             }
         }
 
@@ -1256,82 +2613,78 @@ var MizParser = {
      * @returns {string} Lua dictionary content
      */
     generateLuaDictionary: function(mappings) {
-        const entries = [];
+        const dictionary = {};
         let keyIndex = 1;
 
-        // Helper to escape Lua strings
-        const escapeLua = (str) => {
-            return str
-                .replace(/\\/g, '\\\\')
-                .replace(/"/g, '\\"')
-                .replace(/\n/g, '\\n')
-                .replace(/\t/g, '\\t');
-        };
-
         // Add briefings
         for (const [key, value] of Object.entries(mappings.briefings)) {
             if (value) {
-                const dictKey = `DictKey_${key}`;
-                entries.push(`    ["${dictKey}"] = "${escapeLua(value)}"`);
+                dictionary[`DictKey_${key}`] = value;
             }
         }
 
         // Add triggers
         for (const text of mappings.triggers) {
-            const dictKey = `DictKey_Trigger_${keyIndex++}`;
-            entries.push(`    ["${dictKey}"] = "${escapeLua(text)}"`);
+            dictionary[`DictKey_Trigger_${keyIndex++}`] = text;
         }
 
         // Add radio messages
         for (const text of mappings.radio) {
-            const dictKey = `DictKey_Radio_${keyIndex++}`;
-            entries.push(`    ["${dictKey}"] = "${escapeLua(text)}"`);
+            dictionary[`DictKey_Radio_${keyIndex++}`] = text;
         }
 
         // Build Lua dictionary
-        const luaContent = `dictionary = {\n${entries.join(',\n')}\n}`;
-        return luaContent;
+        return LuaParser.serialize(dictionary, 'dictionary');
     },
 
     /**
      * Import translated text back into .miz file
-     * Per Issue #26: Copy ALL files from DEFAULT except dictionary,
-     * and merge dictionary preserving non-translatable strings
+     * Per Issue #26: Copy ALL files from DEFAULT except dictionary (files the target locale
+     * already has are kept), and merge dictionary preserving non-translatable strings
      * Per Issue #28: Preserve exact format of DEFAULT dictionary (quotes, line breaks, order)
-     * @param {File|ArrayBuffer} originalMizFile - The original .miz file
+     * Unlike extraction, import is not streamed: to write texts stored in the mission file
+     * itself, the whole mission is read as one string and parsed into a syntax tree once.
+     * @param {File|ArrayBuffer|MizDocument} originalMizFile - The original .miz file;
+     *     a MizDocument is updated in place
      * @param {string} importedText - The translated text content
      * @param {string} targetLocale - Target locale (e.g., 'RU')
      * @param {Function} progressCallback - Progress callback
+     * @param {object} [options] - Import options
+     * @param {AbortSignal} [options.signal] - Cancels the import with an AbortError
+     * @param {Object<string, {name: string, data: Blob|ArrayBuffer|Uint8Array}>} [options.resources] -
+     *     Replacement files per ResKey (e.g. localized briefing images), written to
+     *     l10n/<targetLocale>/ and mapped in that locale's mapResource
+     * @param {TranslationMemory} [options.memory] - Remembers the translated strings
+     *     (source text -> imported text); the caller saves it
      * @returns {Promise<Blob>} New .miz file with imported locale
      */
-    importToMiz: async function(originalMizFile, importedText, targetLocale = 'RU', progressCallback = () => {}) {
+    importToMiz: async function(originalMizFile, importedText, targetLocale = 'RU', progressCallback = () => {}, options = {}) {
+        progressCallback = this.checkpoint(progressCallback, options.signal);
         progressCallback(5, 'Loading original .miz file...');
 
-        // Load original .miz
-        let zip;
-        try {
-            zip = await JSZip.loadAsync(originalMizFile);
-        } catch (e) {
-            throw new Error(`Invalid .miz file: Unable to read as ZIP archive. Error: ${e.message}`);
-        }
+        // Load original .miz; only raw entries are needed
+        const document = await MizDocument.load(originalMizFile, { parse: false });
+
+        // Legacy encodings are decoded on read; write every Lua entry back as UTF-8
+        progressCallback(10, 'Checking text encodings...');
+        await document.convertToUtf8();
 
         progressCallback(15, 'Copying DEFAULT locale files...');
 
         // Issue #26: Copy ALL files from DEFAULT to target locale except dictionary
-        const allFiles = Object.keys(zip.files);
-        const defaultFiles = allFiles.filter(f => f.startsWith('l10n/DEFAULT/'));
-
-        for (const defaultPath of defaultFiles) {
-            const file = zip.file(defaultPath);
-            // Skip directories and dictionary file
-            if (!file || file.dir || defaultPath.endsWith('dictionary')) {
+        for (const defaultPath of document.listFiles('l10n/DEFAULT/')) {
+            // Skip dictionary file
+            if (defaultPath.endsWith('dictionary')) {
                 continue;
             }
 
-            // Copy to target locale
+            // Copy to target locale, unless the locale has its own file: its mapResource
+            // points ResKeys at the images and recordings of earlier imports
             const newPath = defaultPath.replace('l10n/DEFAULT/', `l10n/${targetLocale}/`);
-            const content = await file.async('arraybuffer');
-            zip.file(newPath, content);
+            if (document.hasFile(newPath)) {
+                continue;
+            }
+            document.setFile(newPath, await document.getFile(defaultPath, 'uint8array'));
 
             progressCallback(15 + Math.random() * 5, `Copying ${defaultPath}...`);
         }
@@ -1344,11 +2697,8 @@ var MizParser = {
         progressCallback(40, 'Reading DEFAULT dictionary format...');
 
         // Issue #28: Read raw DEFAULT dictionary to preserve exact format
-        const defaultDictFile = zip.file('l10n/DEFAULT/dictionary');
-        let defaultDictRaw = '';
-        if (defaultDictFile) {
-            defaultDictRaw = await defaultDictFile.async('string');
-        } else {
+        const defaultDictRaw = await document.getFile('l10n/DEFAULT/dictionary');
+        if (defaultDictRaw === null) {
             throw new Error('No DEFAULT dictionary found in .miz file');
         }
 
@@ -1357,11 +2707,21 @@ var MizParser = {
         // Issue #40: Update mission file with translated briefings
         // Briefings (sortie, descriptionText, etc.) are stored in mission file, not dictionary
         // We need to update them directly in the mission file
-        const missionFile = zip.file('mission');
-        if (missionFile && Object.keys(mappings.briefings).length > 0) {
-            let missionContent = await missionFile.async('string');
-            missionContent = this.updateMissionBriefings(missionContent, mappings.briefings);
-            zip.file('mission', missionContent);
+        // Trigger and drawing texts without a DictKey (literal messages, F10 menu names,
+        // strings in script code, map labels) are written there too
+        // The mission is parsed once; the updaters and the translation memory share its tree
+        const hasLiteralTexts = [mappings.briefings, mappings.triggerTexts, mappings.drawingTexts]
+            .some(texts => Object.keys(texts).length > 0);
+        const missionContent = hasLiteralTexts && document.hasFile('mission') ? await document.getFile('mission') : null;
+        const missionNode = missionContent !== null ? LuaParser.getRootNode(LuaParser.parseTree(missionContent), 'mission') : null;
+        const mission = missionNode?.type === 'table' ? LuaParser.nodeToValue(missionNode, { luaTables: true }) : null;
+        if (mission) {
+            const edits = [
+                ...this.getBriefingEdits(missionNode, mappings.briefings),
+                ...this.getTriggerTextEdits(missionNode, mission, mappings.triggerTexts),
+                ...this.getDrawingEdits(missionNode, mission, mappings.drawingTexts)
+            ];
+            await document.updateFile('mission', LuaParser.applyEdits(missionContent, edits));
         }
 
         progressCallback(60, 'Generating new locale dictionary...');
@@ -1371,24 +2731,201 @@ var MizParser = {
 
         progressCallback(70, 'Updating .miz archive...');
 
-        // Add/update locale dictionary in zip
-        const localePath = `l10n/${targetLocale}/dictionary`;
-        zip.file(localePath, dictionaryContent);
+        // Add/update locale dictionary
+        await document.updateFile(`l10n/${targetLocale}/dictionary`, dictionaryContent);
+
+        // Remember which DEFAULT text each translation was made from, to detect stale ones later;
+        // entries of earlier imports are kept for the DictKeys this import leaves out
+        const defaultDict = LuaParser.parse(defaultDictRaw) || {};
+        const metaPath = document.findL10nPath(targetLocale, 'translation-meta') || `l10n/${targetLocale}/translation-meta`;
+        const translationMeta = this.buildTranslationMeta(defaultDict, mappings);
+        if (Object.keys(translationMeta).length > 0) {
+            const metaRaw = await document.getFile(metaPath);
+            const merged = Object.assign({}, metaRaw ? LuaParser.parse(metaRaw) : null, translationMeta);
+            await document.updateFile(metaPath, LuaParser.serialize(merged, 'translationMeta'));
+        }
+
+        if (options.memory) {
+            options.memory.addPairs(this.collectTranslationPairs(defaultDict, mappings, mission), targetLocale);
+        }
+
+        const resources = Object.entries(options.resources || {});
+        if (resources.length > 0) {
+            progressCallback(75, 'Adding localized resources...');
+            await this.importResources(document, resources, targetLocale);
+        }
 
         progressCallback(80, 'Finalizing .miz file...');
 
-        // Generate new .miz file
-        const newMizBlob = await zip.generateAsync({
-            type: 'blob',
-            compression: 'DEFLATE',
-            compressionOptions: { level: 6 }
-        });
+        // Generate new .miz file; untouched entries are copied with their compression, date and order
+        const newMizBlob = await document.save();
 
         progressCallback(100, 'Import complete!');
 
         return newMizBlob;
     },
 
+    /**
+     * Pair the translated strings of an import with their source text
+     * DictKey strings are paired with their DEFAULT text; literal briefings and trigger,
+     * menu, script and drawing texts with the text the mission held before the import.
+     * Strings left untranslated (same text as the source) are skipped.
+     * @param {object} defaultDict - DEFAULT dictionary
+     * @param {object} mappings - Result of parseImportedText()
+     * @param {LuaTable|null} [mission] - Mission table before the import (LuaParser.nodeToValue() with luaTables)
+     * @returns {Array<{dictKey: string|null, source: string, target: string}>} dictKey is null for literal texts
+     */
+    collectTranslationPairs: function(defaultDict, mappings, mission = null) {
+        const pairs = [];
+        const add = (dictKey, text, target) => {
+            const source = this.cleanText(text);
+            if (source && target && source !== target) {
+                pairs.push({ dictKey: dictKey, source: source, target: target });
+            }
+        };
+
+        for (const dictKey of Object.keys(mappings.keyMappings)) {
+            add(dictKey, defaultDict[dictKey], mappings.keyMappings[dictKey]);
+        }
+
+        if (!mission) return pairs;
+
+        const isLiteral = value => typeof value === 'string' && !value.startsWith('DictKey_');
+        for (const [key, target] of Object.entries(mappings.briefings)) {
+            if (isLiteral(mission.get(key))) add(null, mission.get(key), target);
+        }
+        for (const entry of this.collectTriggerTexts(mission)) {
+            if (isLiteral(entry.value)) add(null, entry.value, mappings.triggerTexts[entry.trigger.id]);
+        }
+        for (const entry of this.collectDrawingTexts(mission)) {
+            if (isLiteral(entry.value)) add(null, entry.value, mappings.drawingTexts[entry.id]);
+        }
+        return pairs;
+    },
+
+    /**
+     * Record the DEFAULT text of every imported DictKey
+     * Stored as l10n/<locale>/translation-meta, so extraction can tell which
+     * translations were made from a source that has changed since. The hash is taken
+     * from the dictionary value itself, so edits to its whitespace count as changes too.
+     * @param {object} defaultDict - DEFAULT dictionary
+     * @param {object} mappings - Result of parseImportedText()
+     * @returns {Object<string, {hash: string, source: string}>} DictKey -> source hash and cleaned text
+     */
+    buildTranslationMeta: function(defaultDict, mappings) {
+        const meta = {};
+        for (const dictKey of Object.keys(mappings.keyMappings)) {
+            const value = defaultDict[dictKey];
+            const source = this.cleanText(value);
+            if (source) {
+                meta[dictKey] = { hash: this.hashText(value), source: source };
+            }
+        }
+        return meta;
+    },
+
+    /**
+     * Flag extracted translations whose DEFAULT text no longer matches the recorded source
+     * Flagged items get stale: {oldSource, newSource}; their text stays the current translation.
+     * @param {object} extracted - extractText() result items by category
+     * @param {object} defaultDict - DEFAULT dictionary
+     * @param {object} translationMeta - Translation meta of the extracted locale
+     * @returns {number} Number of flagged items
+     */
+    markStaleTranslations: function(extracted, defaultDict, translationMeta) {
+        let count = 0;
+        for (const items of Object.values(extracted)) {
+            for (const item of items) {
+                const meta = translationMeta[item.context];
+                if (!meta) continue;
+
+                const value = defaultDict[item.context];
+                const newSource = this.cleanText(value);
+                if (newSource && this.hashText(value) !== meta.hash) {
+                    item.stale = { oldSource: meta.source, newSource: newSource };
+                    count++;
+                }
+            }
+        }
+        return count;
+    },
+
+    /**
+     * Short hash of a string (32-bit FNV-1a as hex), the same in browser and Node.js
+     */
+    hashText: function(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    /**
+     * Add replacement resources to a locale and map their ResKeys to them
+     * Only the target locale changes; DEFAULT keeps its files and mapResource.
+     * @param {MizDocument} document - The .miz being imported into
+     * @param {Array<[string, {name: string, data: *}]>} resources - [ResKey, file] pairs
+     * @param {string} targetLocale - Target locale (e.g. 'RU')
+     */
+    importResources: async function(document, resources, targetLocale) {
+        const fileNames = {};
+        for (const [resKey, resource] of resources) {
+            const fileName = resource.name.split(/[\\/]/).pop();
+            document.setFile(`l10n/${targetLocale}/${fileName}`, resource.data);
+            fileNames[resKey] = fileName;
+        }
+
+        const mapResourcePath = document.findL10nPath(targetLocale, 'mapResource') || `l10n/${targetLocale}/mapResource`;
+        const mapResourceRaw = await document.getFile(mapResourcePath);
+        await document.updateFile(mapResourcePath, this.updateMapResource(mapResourceRaw, fileNames));
+    },
+
+    /**
+     * Point ResKeys of a mapResource file at new files
+     * Existing entries are edited in place and new ones are appended, so the rest
+     * of the file keeps its formatting.
+     * @param {string|null} mapResourceRaw - Raw mapResource content (null to create one)
+     * @param {Object<string, string>} resources - ResKey -> file name
+     * @returns {string} Updated mapResource content
+     */
+    updateMapResource: function(mapResourceRaw, resources) {
+        const tree = mapResourceRaw ? LuaParser.parseTree(mapResourceRaw) : null;
+        const tableNode = tree ? LuaParser.getRootNode(tree, 'mapResource') : null;
+        if (!tableNode || tableNode.type !== 'table') {
+            return LuaParser.serialize(resources, 'mapResource');
+        }
+
+        const edits = [];
+        let added = '';
+        for (const [resKey, fileName] of Object.entries(resources)) {
+            const field = LuaParser.findField(tableNode, resKey);
+            if (field && field.value.type === 'string') {
+                edits.push(LuaParser.replaceString(field.value, fileName));
+            } else if (field) {
+                edits.push({ start: field.value.start, end: field.value.end, text: LuaParser.quoteString(fileName) });
+            } else {
+                added += `\t${LuaParser.formatKey(resKey)} = ${LuaParser.quoteString(fileName)},\n`;
+            }
+        }
+
+        if (added) {
+            // Insert before the closing brace, after a separator for the last field
+            const closing = tableNode.end - 1;
+            const lastField = tableNode.fields[tableNode.fields.length - 1];
+            if (lastField && !/[,;]/.test(mapResourceRaw.slice(lastField.end, closing))) {
+                edits.push({ start: lastField.end, end: lastField.end, text: ',' });
+            }
+            if (!/\n[ \t]*$/.test(mapResourceRaw.slice(0, closing))) {
+                added = '\n' + added;
+            }
+            edits.push({ start: closing, end: closing, text: added });
+        }
+
+        return LuaParser.applyEdits(mapResourceRaw, edits);
+    },
+
     /**
      * Update mission file with translated briefings
      * Per Issue #40: Briefings are stored directly in mission file, not as DictKey references
@@ -1398,71 +2935,221 @@ var MizParser = {
      * @returns {string} Updated mission file content
      */
     updateMissionBriefings: function(missionContent, briefings) {
-        // Helper to escape Lua strings
-        const escapeLua = (str) => {
-            if (typeof str !== 'string') {
-                str = String(str);
-            }
-            return str
-                .replace(/\\/g, '\\\\')
-                .replace(/"/g, '\\"')
-                .replace(/\n/g, '\\n')
-                .replace(/\t/g, '\\t');
-        };
+        const missionNode = LuaParser.getRootNode(LuaParser.parseTree(missionContent), 'mission');
+        return LuaParser.applyEdits(missionContent, this.getBriefingEdits(missionNode, briefings));
+    },
 
-        // Map of briefing keys to mission file property names
-        const briefingProps = {
-            'sortie': 'sortie',
-            'descriptionText': 'descriptionText',
-            'descriptionBlueTask': 'descriptionBlueTask',
-            'descriptionRedTask': 'descriptionRedTask',
-            'descriptionNeutralsTask': 'descriptionNeutralsTask'
-        };
+    /**
+     * Get the edits that write translated briefings into the mission file
+     * @param {object} missionNode - Mission table node from LuaParser.parseTree()
+     * @param {object} briefings - Briefing mappings (sortie, descriptionText, etc.)
+     * @returns {Array<{start: number, end: number, text: string}>} Edits for LuaParser.applyEdits()
+     */
+    getBriefingEdits: function(missionNode, briefings) {
+        const briefingProps = ['sortie', 'descriptionText', 'descriptionBlueTask', 'descriptionRedTask', 'descriptionNeutralsTask'];
 
-        let result = missionContent;
+        // Edit only the spans of the top-level mission fields, so nested keys with
+        // the same name and the rest of the file stay untouched
+        const edits = [];
 
         for (const [key, value] of Object.entries(briefings)) {
-            if (!value || !briefingProps[key]) continue;
+            if (!value || !briefingProps.includes(key)) continue;
 
-            const prop = briefingProps[key];
+            const field = LuaParser.findField(missionNode, key);
+            if (!field || field.value.type !== 'string') continue;
 
-            // Pattern to match the property assignment in Lua
-            // Matches: ["sortie"] = "value" or ["sortie"] = "value",
-            const pattern = new RegExp(
-                `(\\["${prop}"\\]\\s*=\\s*)["']([^"'\\\\]*(?:\\\\.[^"'\\\\]*)*)["']`,
-                'g'
-            );
+            // DictKey references are translated through the locale dictionary instead
+            if (field.value.value.startsWith('DictKey_')) continue;
 
-            result = result.replace(pattern, (match, prefix, oldValue) => {
-                return `${prefix}"${escapeLua(value)}"`;
-            });
+            // Briefings imported back unchanged keep their original spelling
+            if (value === this.cleanText(field.value.value)) continue;
+
+            edits.push(LuaParser.replaceString(field.value, value));
         }
 
-        return result;
+        return edits;
+    },
+
+    /**
+     * Write translated trigger texts without a DictKey into the mission file
+     * Translations are keyed by the stable ids of collectTriggerTexts(). Every literal with
+     * the same source text as a translated one gets the translation, so the copies of a
+     * text in trig.actions and trigrules, and repeated menu names, stay in step. Only the
+     * spans of the rewritten strings change, also for strings nested in script code.
+     * @param {string} missionContent - Raw mission file content
+     * @param {Object<string, string>} triggerTexts - Translations by trigger id (see parseImportedText())
+     * @returns {string} Updated mission file content
+     */
+    updateMissionTriggerTexts: function(missionContent, triggerTexts) {
+        const missionNode = LuaParser.getRootNode(LuaParser.parseTree(missionContent), 'mission');
+        if (missionNode?.type !== 'table') return missionContent;
+
+        const mission = LuaParser.nodeToValue(missionNode, { luaTables: true });
+        return LuaParser.applyEdits(missionContent, this.getTriggerTextEdits(missionNode, mission, triggerTexts));
+    },
+
+    /**
+     * Get the edits that write translated trigger texts without a DictKey into the mission file
+     * @param {object} missionNode - Mission table node from LuaParser.parseTree()
+     * @param {LuaTable} mission - The same table as a value (LuaParser.nodeToValue() with luaTables)
+     * @param {Object<string, string>} triggerTexts - Translations by trigger id (see parseImportedText())
+     * @returns {Array<{start: number, end: number, text: string}>} Edits for LuaParser.applyEdits()
+     */
+    getTriggerTextEdits: function(missionNode, mission, triggerTexts) {
+        if (Object.keys(triggerTexts).length === 0) return [];
+
+        const entries = this.collectTriggerTexts(mission)
+            .filter(entry => !entry.value.startsWith('DictKey_'));
+
+        // Exported (cleaned) source text -> translation
+        const translations = new Map();
+        for (const entry of entries) {
+            const text = triggerTexts[entry.trigger.id];
+            if (text) translations.set(this.cleanText(entry.value), text);
+        }
+
+        // Replacements by the mission string that holds them; texts the export was
+        // imported back with unchanged keep their original spelling
+        const strings = new Map();
+        for (const entry of entries) {
+            const source = this.cleanText(entry.value);
+            const text = translations.get(source);
+            const location = entry.location;
+            if (!text || text === source || (!location.field && location.nodes.length === 0)) continue;
+
+            const node = this.findActionString(missionNode, location);
+            if (!node) continue;
+            if (!strings.has(node.start)) strings.set(node.start, { node: node, replacements: [] });
+            strings.get(node.start).replacements.push({ nodes: location.nodes, text: text });
+        }
+
+        // Menu paths written as table literals name translated submenus
+        for (const entry of entries) {
+            for (const pathNode of entry.action.pathNodes || []) {
+                const source = this.cleanText(pathNode.value);
+                const text = translations.get(source);
+                const node = text && text !== source ? this.findActionString(missionNode, entry.location) : null;
+                if (!node) continue;
+                if (!strings.has(node.start)) strings.set(node.start, { node: node, replacements: [] });
+                strings.get(node.start).replacements.push({ nodes: entry.location.nodes.slice(0, -1).concat(pathNode), text: text });
+            }
+        }
+
+        const edits = [];
+        for (const { node, replacements } of strings.values()) {
+            edits.push(LuaParser.replaceString(node, this.rewriteNestedStrings(node.value, replacements)));
+        }
+        return edits;
+    },
+
+    /**
+     * Find the string node of a trigger action in the mission tree
+     * @param {object} missionNode - Mission table node from LuaParser.parseTree()
+     * @param {object} location - Location from collectTriggerTexts()
+     * @returns {object|null} The action string, or the field string of an action table
+     */
+    findActionString: function(missionNode, location) {
+        const find = (node, ...keys) => keys.reduce((current, key) => LuaParser.findField(current, key)?.value || null, node);
+
+        let node;
+        if (location.source === 'trig') {
+            node = find(missionNode, 'trig', 'actions', location.rule);
+        } else if (location.source === 'triggers') {
+            node = find(missionNode, 'triggers', 'triggers', location.rule, 'actions', location.entry);
+        } else {
+            node = find(missionNode, 'trigrules', location.rule, 'actions', location.entry);
+        }
+        if (location.field) node = find(node, location.field);
+        return node?.type === 'string' ? node : null;
+    },
+
+    /**
+     * Replace string literals in Lua code, including literals in code nested in other literals
+     * @param {string} code - Lua code
+     * @param {Array<{nodes: object[], text: string}>} replacements - String nodes from the outermost
+     *     one in the code to the one to replace (empty to replace the whole code), and the new text
+     * @returns {string} Updated code
+     */
+    rewriteNestedStrings: function(code, replacements) {
+        const edits = new Map();
+        const nested = new Map();
+        for (const { nodes, text } of replacements) {
+            if (nodes.length === 0) return text;
+            if (nodes.length === 1) {
+                edits.set(nodes[0].start, LuaParser.replaceString(nodes[0], text));
+                continue;
+            }
+            if (!nested.has(nodes[0].start)) nested.set(nodes[0].start, { node: nodes[0], replacements: [] });
+            nested.get(nodes[0].start).replacements.push({ nodes: nodes.slice(1), text: text });
+        }
+
+        for (const { node, replacements: inner } of nested.values()) {
+            edits.set(node.start, LuaParser.replaceString(node, this.rewriteNestedStrings(node.value, inner)));
+        }
+        return LuaParser.applyEdits(code, Array.from(edits.values()));
+    },
+
+    /**
+     * Write translated drawing texts without a DictKey into the mission file
+     * Translations are keyed by the ids of collectDrawingTexts(); every literal with the same
+     * source text gets the translation. Only the spans of the rewritten strings change.
+     * @param {string} missionContent - Raw mission file content
+     * @param {Object<string, string>} drawingTexts - Translations by drawing id (see parseImportedText())
+     * @returns {string} Updated mission file content
+     */
+    updateMissionDrawings: function(missionContent, drawingTexts) {
+        const missionNode = LuaParser.getRootNode(LuaParser.parseTree(missionContent), 'mission');
+        if (missionNode?.type !== 'table') return missionContent;
+
+        const mission = LuaParser.nodeToValue(missionNode, { luaTables: true });
+        return LuaParser.applyEdits(missionContent, this.getDrawingEdits(missionNode, mission, drawingTexts));
+    },
+
+    /**
+     * Get the edits that write translated drawing texts without a DictKey into the mission file
+     * @param {object} missionNode - Mission table node from LuaParser.parseTree()
+     * @param {LuaTable} mission - The same table as a value (LuaParser.nodeToValue() with luaTables)
+     * @param {Object<string, string>} drawingTexts - Translations by drawing id (see parseImportedText())
+     * @returns {Array<{start: number, end: number, text: string}>} Edits for LuaParser.applyEdits()
+     */
+    getDrawingEdits: function(missionNode, mission, drawingTexts) {
+        if (Object.keys(drawingTexts).length === 0) return [];
+
+        const entries = this.collectDrawingTexts(mission)
+            .filter(entry => !entry.value.startsWith('DictKey_'));
+
+        // Source text -> translation
+        const translations = new Map();
+        for (const entry of entries) {
+            const text = drawingTexts[entry.id];
+            if (text) translations.set(this.cleanText(entry.value), text);
+        }
+
+        const find = (node, ...keys) => keys.reduce((current, key) => LuaParser.findField(current, key)?.value || null, node);
+        const edits = [];
+        for (const entry of entries) {
+            const source = this.cleanText(entry.value);
+            const text = translations.get(source);
+            if (!text || text === source) continue;
+
+            const { layer, object } = entry.location;
+            const node = find(missionNode, 'drawings', 'layers', layer, 'objects', object, entry.field);
+            if (node?.type === 'string') edits.push(LuaParser.replaceString(node, text));
+        }
+
+        return edits;
     },
 
     /**
      * Generate dictionary by copying DEFAULT and replacing values by keys
      * Per Issue #48: Simplified import scheme - copy original file, modify only by keys
-     * No dictionary parsing/rebuilding - just find keys and replace their values
+     * No dictionary rebuilding - only the spans of translated values are rewritten
      * @param {string} defaultDictRaw - Raw DEFAULT dictionary content (copied as-is)
      * @param {object} mappings - Import mappings with translated strings
      * @param {string} targetLocale - Target locale
      * @returns {string} New dictionary with replaced values
      */
     generateDictionaryPreservingFormat: function(defaultDictRaw, mappings, targetLocale) {
-        // Helper to escape Lua strings
-        const escapeLua = (str) => {
-            if (typeof str !== 'string') {
-                str = String(str);
-            }
-            return str
-                .replace(/\\/g, '\\\\')
-                .replace(/"/g, '\\"')
-                .replace(/\n/g, '\\n')
-                .replace(/\t/g, '\\t');
-        };
-
         // Per Issue #48: No dictionary rebuilding - use keyMappings directly
         // keyMappings contains exact DictKey-to-text mappings from the imported file
         const translations = {};
@@ -1472,7 +3159,12 @@ var MizParser = {
             Object.assign(translations, mappings.keyMappings);
         }
 
-        // Add briefing translations if keys are found in raw content
+        // Per Issue #48: Copy original file content and modify only by keys
+        // Each translated value replaces just the span of the original string literal
+        const tree = LuaParser.parseTree(defaultDictRaw);
+        const dictionaryNode = LuaParser.getRootNode(tree, 'dictionary');
+
+        // Add briefing translations if keys are found in the dictionary
         const briefingKeyMap = {
             'sortie': 'DictKey_sortie',
             'descriptionText': 'DictKey_descriptionText',
@@ -1484,49 +3176,37 @@ var MizParser = {
         for (const [key, value] of Object.entries(mappings.briefings)) {
             if (value) {
                 const dictKey = briefingKeyMap[key] || `DictKey_${key}`;
-                // Only add if this key appears in the raw dictionary content
-                if (defaultDictRaw.includes(`["${dictKey}"]`) || defaultDictRaw.includes(`['${dictKey}']`)) {
+                if (LuaParser.findField(dictionaryNode, dictKey)) {
                     translations[dictKey] = value;
                 }
             }
         }
 
-        // Per Issue #48: Copy original file content and modify only by keys
-        // Find each key in the raw content and replace its value (what's in quotes)
-        let result = defaultDictRaw;
-
-        // Pattern to match dictionary entries: ["key"] = "value"
-        // Captures: prefix (["key"] = ), key name, and value in quotes
-        const entryPattern = /(\[["']([^"']+)["']\]\s*=\s*)["']((?:[^"'\\]|\\.)*)["']/g;
-
         // Replace values only for keys that have translations
-        result = result.replace(entryPattern, (match, prefix, key, value) => {
-            if (translations[key]) {
-                // Found the key - delete what's in quotes, insert changed text
-                return `${prefix}"${escapeLua(translations[key])}"`;
+        const edits = [];
+        for (const field of dictionaryNode?.fields || []) {
+            if (typeof field.key === 'string' && translations[field.key] && field.value.type === 'string') {
+                edits.push(LuaParser.replaceString(field.value, translations[field.key]));
             }
-            // Keep original entry unchanged
-            return match;
-        });
+        }
 
-        return result;
+        return LuaParser.applyEdits(defaultDictRaw, edits);
     },
 
     /**
      * Merge dictionary with DEFAULT preserving non-translatable strings
      * Per Issue #26: Preserve all strings except triggers, radio, briefings
-     * @param {JSZip} zip - The zip archive
+     * @param {MizDocument} document - The loaded .miz file
      * @param {object} mappings - Import mappings with translated strings
      * @param {string} targetLocale - Target locale
      * @returns {Promise<object>} Merged dictionary entries
      */
-    mergeDictionaryWithDefault: async function(zip, mappings, targetLocale) {
+    mergeDictionaryWithDefault: async function(document, mappings, targetLocale) {
         const merged = {};
 
         // Read DEFAULT dictionary
-        const defaultDictFile = zip.file('l10n/DEFAULT/dictionary');
-        if (defaultDictFile) {
-            const defaultDictContent = await defaultDictFile.async('string');
+        const defaultDictContent = await document.getFile('l10n/DEFAULT/dictionary');
+        if (defaultDictContent !== null) {
             const defaultDict = LuaParser.parse(defaultDictContent);
 
             if (defaultDict) {
@@ -1614,38 +3294,24 @@ var MizParser = {
      * @returns {string} Lua dictionary content
      */
     generateLuaDictionaryFromMerged: function(mergedDict) {
-        const entries = [];
-
-        // Helper to escape Lua strings
-        const escapeLua = (str) => {
-            if (typeof str !== 'string') {
-                str = String(str);
-            }
-            return str
-                .replace(/\\/g, '\\\\')
-                .replace(/"/g, '\\"')
-                .replace(/\n/g, '\\n')
-                .replace(/\t/g, '\\t');
-        };
+        const sorted = {};
 
         // Sort keys for consistent output
-        const sortedKeys = Object.keys(mergedDict).sort();
-
-        for (const key of sortedKeys) {
-            const value = mergedDict[key];
-            entries.push(`    ["${key}"] = "${escapeLua(value)}"`);
+        for (const key of Object.keys(mergedDict).sort()) {
+            sorted[key] = mergedDict[key];
         }
 
-        const luaContent = `dictionary = {\n${entries.join(',\n')}\n}`;
-        return luaContent;
+        return LuaParser.serialize(sorted, 'dictionary');
     },
 
     /**
      * Validate .miz file structure
-     * @param {File|ArrayBuffer} mizFile - The .miz file to validate
+     * @param {File|ArrayBuffer|MizDocument} mizFile - The .miz file to validate
+     * @param {object} [options] - Validation options
+     * @param {AbortSignal} [options.signal] - Cancels validation with an AbortError
      * @returns {Promise<object>} Validation result
      */
-    validateMiz: async function(mizFile) {
+    validateMiz: async function(mizFile, options = {}) {
         const result = {
             valid: true,
             errors: [],
@@ -1653,32 +3319,46 @@ var MizParser = {
         };
 
         try {
-            const zip = await JSZip.loadAsync(mizFile);
+            const document = await MizDocument.load(mizFile, { parse: false });
 
             // Check for mission file
-            const missionFile = zip.file('mission');
-            if (!missionFile) {
+            if (!document.hasFile('mission')) {
                 result.valid = false;
                 result.errors.push('Missing mission file');
                 return result;
             }
 
-            // Try to parse mission file
-            const missionContent = await missionFile.async('string');
-            const mission = LuaParser.parse(missionContent);
+            // Try to parse mission file, reporting syntax errors with their position
+            const missionContent = await document.getFile('mission');
+            this.throwIfAborted(options.signal);
+            const missionParse = LuaParser.parseTolerant(missionContent);
 
-            if (!mission || typeof mission !== 'object') {
+            for (const error of missionParse.diagnostics) {
                 result.valid = false;
-                result.errors.push('Invalid mission file format');
+                result.errors.push(error.setFileName('mission').message);
             }
 
             // Check for at least DEFAULT locale
-            const defaultDict = zip.file('l10n/DEFAULT/dictionary');
-            if (!defaultDict) {
+            const defaultDict = await document.getFile('l10n/DEFAULT/dictionary');
+            if (defaultDict === null) {
                 result.warnings.push('No DEFAULT locale dictionary found');
+            } else {
+                const dictParse = LuaParser.parseTolerant(defaultDict);
+                for (const error of dictParse.diagnostics) {
+                    result.valid = false;
+                    result.errors.push(error.setFileName('l10n/DEFAULT/dictionary').message);
+                }
+            }
+
+            for (const fix of document.pathFixes) {
+                result.warnings.push(this.formatPathWarning(fix));
+            }
+            for (const [path, encoding] of document.encodings) {
+                result.warnings.push(this.formatEncodingWarning(path, encoding));
             }
 
         } catch (e) {
+            if (e.name === 'AbortError') throw e;
             result.valid = false;
             result.errors.push(`Validation error: ${e.message}`);
         }
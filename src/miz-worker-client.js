@@ -0,0 +1,261 @@
+/**
+ * Miz Editor - Worker client
+ * Sends parse/extract/import jobs to src/miz-worker.js and turns its messages
+ * back into promises. Where workers are unavailable (e.g. index.html opened from
+ * file:// in a browser) jobs run in the current thread through MizWorker.
+ */
+
+var MizWorkerClient = {
+    /**
+     * How long a cancelled job may take to stop before the worker is terminated
+     * (a long synchronous step, such as parsing a huge mission file, cannot see the cancel message)
+     */
+    CANCEL_TIMEOUT: 2000,
+
+    worker: null,
+    nextId: 1,
+
+    /**
+     * Pending jobs: id -> { resolve, reject, onProgress }
+     */
+    pending: new Map(),
+
+    /**
+     * Cancelled jobs the worker has not stopped yet: id -> timer that terminates the worker
+     */
+    cancelled: new Map(),
+
+    /**
+     * Parse a .miz file and extract its text
+     * @param {Blob|ArrayBuffer|Uint8Array} file - The .miz file
+     * @param {object} options - MizParser.extractText() options
+     * @param {{signal?: AbortSignal, onProgress?: Function}} [control] - Cancellation and progress
+     * @returns {Promise<{availableLocales: string[], extractionResult: object, localeTable: object,
+     *     imageResources: object, audioResources: object}>}
+     */
+    extract: function(file, options, control = {}) {
+        return this.run('extract', { file: file, options: options }, control);
+    },
+
+    /**
+     * List the image and sound resources of a .miz file
+     * @returns {Promise<{images: object, audio: object}>}
+     */
+    listResources: function(file, control = {}) {
+        return this.run('resources', { file: file }, control);
+    },
+
+    /**
+     * Compare the translatable text of two revisions of a mission
+     * @param {Blob|ArrayBuffer|Uint8Array} oldFile - The old revision
+     * @param {Blob|ArrayBuffer|Uint8Array} newFile - The new revision
+     * @param {object} options - MizParser.extractText() options
+     * @param {{signal?: AbortSignal, onProgress?: Function}} [control] - Cancellation and progress
+     * @returns {Promise<object>} Result of MizParser.compareMissions()
+     */
+    compare: function(oldFile, newFile, options, control = {}) {
+        return this.run('compare', { oldFile: oldFile, newFile: newFile, options: options }, control);
+    },
+
+    /**
+     * Check a .miz file before import
+     * @returns {Promise<object>} Result of MizParser.validateMiz()
+     */
+    validate: function(file, control = {}) {
+        return this.run('validate', { file: file }, control);
+    },
+
+    /**
+     * Validate a .miz file and import translated text into it
+     * @param {Blob|ArrayBuffer|Uint8Array} file - The original .miz file
+     * @param {string} text - Translated text
+     * @param {string} targetLocale - Target locale (e.g. 'RU')
+     * @param {object} [options] - Import options
+     * @param {object} [options.resources] - Replacement files per ResKey (see MizParser.importToMiz())
+     * @param {TranslationMemory} [options.memory] - Remembers the imported translations; saved
+     *     after the import
+     * @param {{signal?: AbortSignal, onProgress?: Function}} [control] - Cancellation and progress
+     * @returns {Promise<Blob>} New .miz file
+     */
+    importToMiz: async function(file, text, targetLocale, options = {}, control = {}) {
+        const result = await this.run('import', {
+            file: file,
+            text: text,
+            targetLocale: targetLocale,
+            resources: options.resources || null
+        }, control);
+
+        if (options.memory) {
+            const changes = options.memory.merge(result.translations);
+            if (changes.added + changes.updated > 0) {
+                await options.memory.save();
+            }
+        }
+        return result.miz;
+    },
+
+    /**
+     * Run a job in the worker
+     * Rejects with an AbortError when the signal is aborted.
+     * @param {string} type - Job type (see MizWorker.JOBS)
+     * @param {object} payload - Job input
+     * @param {{signal?: AbortSignal, onProgress?: Function}} [control] - Cancellation and progress
+     * @returns {Promise<*>} Job result
+     */
+    run: function(type, payload, control = {}) {
+        const { signal, onProgress = () => {} } = control;
+
+        if (signal?.aborted) {
+            return Promise.reject(this.createAbortError());
+        }
+
+        const worker = this.getWorker();
+        if (!worker) {
+            return MizWorker.runJob(type, payload, signal, onProgress);
+        }
+
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve: resolve, reject: reject, onProgress: onProgress });
+
+            if (signal) {
+                signal.addEventListener('abort', () => this.cancel(id), { once: true });
+            }
+
+            this.updateRef();
+            worker.postMessage({ id: id, type: type, payload: payload });
+        });
+    },
+
+    /**
+     * Reject a job with an AbortError and ask the worker to stop it
+     * If the job does not stop in time, the worker is terminated; the other pending
+     * jobs then fail with an ordinary error, as they were not cancelled.
+     */
+    cancel: function(id) {
+        const job = this.pending.get(id);
+        if (!job || !this.worker) return;
+
+        this.pending.delete(id);
+        job.reject(this.createAbortError());
+
+        this.worker.postMessage({ id: id, type: 'cancel' });
+        this.cancelled.set(id, setTimeout(() => {
+            this.cancelled.delete(id);
+            this.terminate(new Error('The background worker was restarted to stop a cancelled job'));
+        }, this.CANCEL_TIMEOUT));
+        this.updateRef();
+    },
+
+    /**
+     * Stop the worker; pending jobs are rejected with the given error
+     * The next job starts a new worker.
+     */
+    terminate: function(error = this.createAbortError()) {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        for (const timer of this.cancelled.values()) {
+            clearTimeout(timer);
+        }
+        this.cancelled.clear();
+        for (const job of this.pending.values()) {
+            job.reject(error);
+        }
+        this.pending.clear();
+    },
+
+    /**
+     * Get the worker, starting it on first use
+     * @returns {Worker|null} Worker, or null if workers are unavailable
+     */
+    getWorker: function() {
+        if (this.worker) return this.worker;
+
+        try {
+            if (typeof module !== 'undefined' && module.exports) {
+                const { Worker } = require('worker_threads');
+                this.worker = new Worker(require('path').join(__dirname, 'miz-worker.js'));
+                this.worker.on('message', data => this.handleMessage(data));
+                this.worker.on('error', error => this.terminate(error));
+            } else if (typeof Worker !== 'undefined') {
+                this.worker = new Worker('src/miz-worker.js');
+                this.worker.onmessage = event => this.handleMessage(event.data);
+                this.worker.onerror = event => {
+                    event.preventDefault();
+                    this.terminate(new Error(event.message || 'Worker failed to start'));
+                };
+            }
+        } catch (e) {
+            console.warn('Background worker unavailable, processing on the main thread:', e.message);
+            this.worker = null;
+        }
+
+        return this.worker;
+    },
+
+    /**
+     * Handle a message from the worker
+     */
+    handleMessage: function(data) {
+        // A cancelled job has stopped once the worker answers it
+        if (this.cancelled.has(data.id) && data.type !== 'progress') {
+            clearTimeout(this.cancelled.get(data.id));
+            this.cancelled.delete(data.id);
+        }
+
+        const job = this.pending.get(data.id);
+        if (!job) return;
+
+        if (data.type === 'progress') {
+            job.onProgress(data.percent, data.message);
+            return;
+        }
+
+        this.pending.delete(data.id);
+        this.updateRef();
+        if (data.type === 'result') {
+            job.resolve(data.result);
+        } else {
+            job.reject(this.deserializeError(data.error));
+        }
+    },
+
+    /**
+     * Under Node, keep the process alive only while jobs are pending
+     */
+    updateRef: function() {
+        if (!this.worker || typeof this.worker.ref !== 'function') return;
+        if (this.pending.size > 0) {
+            this.worker.ref();
+        } else {
+            this.worker.unref();
+        }
+    },
+
+    /**
+     * Rebuild an error sent by MizWorker.serializeError()
+     */
+    deserializeError: function(data) {
+        const error = new Error(data.message);
+        error.name = data.name;
+        error.fileName = data.fileName;
+        error.line = data.line;
+        error.column = data.column;
+        return error;
+    },
+
+    createAbortError: function() {
+        const error = new Error('Operation cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+};
+
+// Export for both browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MizWorkerClient;
+} else if (typeof window !== 'undefined') {
+    window.MizWorkerClient = MizWorkerClient;
+}
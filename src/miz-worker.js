@@ -0,0 +1,209 @@
+/**
+ * Miz Editor - Background worker
+ * Runs the parse/extract/import pipeline off the UI thread.
+ * Loads as a Web Worker (new Worker('src/miz-worker.js')), under Node worker_threads,
+ * and as a plain script, where MizWorkerClient uses it to run jobs in the current thread.
+ *
+ * Messages in:
+ *   { id, type: 'extract' | 'resources' | 'compare' | 'validate' | 'import', payload }
+ *   { id, type: 'cancel' }
+ * Messages out:
+ *   { id, type: 'progress', percent, message }
+ *   { id, type: 'result', result }
+ *   { id, type: 'error', error: { name, message, fileName, line, column } }
+ */
+
+var MizWorker = {
+    /**
+     * Running jobs: id -> AbortController
+     */
+    running: new Map(),
+
+    /**
+     * Job handlers
+     * Each receives the message payload, an AbortSignal and a progress callback.
+     */
+    JOBS: {
+        /**
+         * Parse a .miz file and extract its text
+         * @param {{file: Blob|ArrayBuffer|Uint8Array, options: object}} payload
+         * @returns {Promise<{availableLocales: string[], extractionResult: object, localeTable: object,
+         *     imageResources: object, audioResources: object}>}
+         */
+        extract: async function(payload, signal, progress) {
+            const parsedData = await MizParser.parse(payload.file, progress, {
+                signal: signal,
+                missionFields: MizParser.MISSION_TEXT_FIELDS.concat(MizParser.MISSION_RESOURCE_FIELDS)
+            });
+
+            progress(80, 'Extracting text...');
+            const options = Object.assign({}, payload.options, { signal: signal });
+            const extractionResult = MizParser.extractText(parsedData, options);
+
+            return {
+                availableLocales: parsedData.availableLocales,
+                extractionResult: extractionResult,
+                localeTable: MizParser.extractLocaleTable(parsedData),
+                imageResources: MizParser.extractImageResources(parsedData),
+                audioResources: MizParser.extractAudioResources(parsedData)
+            };
+        },
+
+        /**
+         * List the image and sound resources of a .miz file
+         * @param {{file: Blob|ArrayBuffer|Uint8Array}} payload
+         * @returns {Promise<{images: object, audio: object}>} Results of MizParser.extractImageResources()
+         *     and MizParser.extractAudioResources()
+         */
+        resources: async function(payload, signal, progress) {
+            const parsedData = await MizParser.parse(payload.file, progress, {
+                signal: signal,
+                missionFields: ['trig', 'trigrules', 'triggers'].concat(MizParser.MISSION_RESOURCE_FIELDS)
+            });
+            return {
+                images: MizParser.extractImageResources(parsedData),
+                audio: MizParser.extractAudioResources(parsedData)
+            };
+        },
+
+        /**
+         * Compare the translatable text of two revisions of a mission
+         * @param {{oldFile: Blob|ArrayBuffer|Uint8Array, newFile: Blob|ArrayBuffer|Uint8Array, options: object}} payload
+         * @returns {Promise<object>} Result of MizParser.compareMissions()
+         */
+        compare: async function(payload, signal, progress) {
+            const parseOptions = { signal: signal, missionFields: MizParser.MISSION_TEXT_FIELDS };
+            const oldData = await MizParser.parse(payload.oldFile,
+                (percent, message) => progress(percent * 0.45, `Old revision: ${message}`), parseOptions);
+            const newData = await MizParser.parse(payload.newFile,
+                (percent, message) => progress(45 + percent * 0.45, `New revision: ${message}`), parseOptions);
+
+            progress(90, 'Comparing text...');
+            const options = Object.assign({}, payload.options, { signal: signal });
+            return MizParser.compareMissions(oldData, newData, options);
+        },
+
+        /**
+         * Check a .miz file before import
+         * @param {{file: Blob|ArrayBuffer|Uint8Array}} payload
+         * @returns {Promise<object>} Result of MizParser.validateMiz()
+         */
+        validate: async function(payload, signal) {
+            return MizParser.validateMiz(payload.file, { signal: signal });
+        },
+
+        /**
+         * Validate a .miz file and import translated text into it
+         * @param {{file: Blob|ArrayBuffer|Uint8Array, text: string, targetLocale: string, resources: object}} payload
+         * @returns {Promise<{miz: Blob, translations: object[]}>} New .miz file, and the translation
+         *     memory entries of the import (merged by the caller into its own memory)
+         */
+        import: async function(payload, signal, progress) {
+            // Open the archive once for both validation and import
+            const document = await MizDocument.load(payload.file, { parse: false });
+
+            progress(30, 'Validating .miz file...');
+            const validation = await MizParser.validateMiz(document, { signal: signal });
+
+            if (!validation.valid) {
+                throw new Error(`Invalid .miz file: ${validation.errors.join(', ')}`);
+            }
+
+            const memory = new TranslationMemory();
+            const miz = await MizParser.importToMiz(document, payload.text, payload.targetLocale,
+                (percent, message) => progress(30 + (percent * 0.7), message),
+                { signal: signal, resources: payload.resources, memory: memory });
+
+            return { miz: miz, translations: memory.exportData().entries };
+        }
+    },
+
+    /**
+     * Run a job and report progress
+     * @param {string} type - Job type (key of JOBS)
+     * @param {object} payload - Job input
+     * @param {AbortSignal} [signal] - Cancels the job
+     * @param {Function} [onProgress] - Called with (percent, message)
+     * @returns {Promise<*>} Job result
+     */
+    runJob: async function(type, payload, signal, onProgress = () => {}) {
+        const job = this.JOBS[type];
+        if (!job) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+        return job(payload, signal, onProgress);
+    },
+
+    /**
+     * Handle a message from the main thread
+     * @param {object} data - Message data
+     * @param {Function} post - Sends a message back
+     */
+    handleMessage: async function(data, post) {
+        if (data.type === 'cancel') {
+            const controller = this.running.get(data.id);
+            if (controller) controller.abort();
+            return;
+        }
+
+        const controller = new AbortController();
+        this.running.set(data.id, controller);
+
+        try {
+            const result = await this.runJob(data.type, data.payload, controller.signal, (percent, message) => {
+                post({ id: data.id, type: 'progress', percent: percent, message: message });
+            });
+            post({ id: data.id, type: 'result', result: result });
+        } catch (error) {
+            post({ id: data.id, type: 'error', error: this.serializeError(error) });
+        } finally {
+            this.running.delete(data.id);
+        }
+    },
+
+    /**
+     * Convert an error to a plain object that survives postMessage
+     * LuaParseError position details are kept so the UI can show them.
+     */
+    serializeError: function(error) {
+        return {
+            name: error?.name || 'Error',
+            message: error?.message || String(error),
+            fileName: error?.fileName || null,
+            line: error?.line || null,
+            column: error?.column || null
+        };
+    }
+};
+
+// Start listening when loaded as a worker
+if (typeof module !== 'undefined' && module.exports) {
+    if (typeof MizDocument === 'undefined') {
+        var MizDocument = require('./miz-document.js');
+    }
+    if (typeof MizParser === 'undefined') {
+        var MizParser = require('./miz-parser.js');
+    }
+    if (typeof TranslationMemory === 'undefined') {
+        var TranslationMemory = require('./translation-memory.js');
+    }
+
+    const { parentPort } = require('worker_threads');
+    if (parentPort) {
+        parentPort.on('message', data => MizWorker.handleMessage(data, message => parentPort.postMessage(message)));
+    }
+
+    module.exports = MizWorker;
+} else if (typeof importScripts === 'function' && typeof window === 'undefined') {
+    importScripts(
+        'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+        'lua-parser.js',
+        'miz-document.js',
+        'miz-parser.js',
+        'translation-memory.js'
+    );
+
+    self.onmessage = event => MizWorker.handleMessage(event.data, message => self.postMessage(message));
+} else if (typeof window !== 'undefined') {
+    window.MizWorker = MizWorker;
+}
@@ -0,0 +1,420 @@
+/**
+ * Translation Memory - Source/target pairs remembered across missions
+ * Every import adds the strings it translated, so repeated phrases ("RTB",
+ * "Splash one", standard ATC calls) are pre-filled or suggested on the next export.
+ * Kept in IndexedDB in the browser, and in a JSON file under Electron and Node.js.
+ */
+
+var TranslationMemory = class TranslationMemory {
+    /**
+     * @param {object|null} [store] - Persistent storage with load() and save(entries);
+     *     null keeps the memory in this instance only
+     */
+    constructor(store = null) {
+        this.store = store;
+
+        /**
+         * Entries: key (target locale + normalized source) -> {source, target, targetLocale, updated}
+         * with source and target as they were added
+         */
+        this.entries = new Map();
+
+        /**
+         * Word -> entry keys, for finding fuzzy match candidates; rebuilt after changes
+         */
+        this.index = null;
+    }
+
+    /**
+     * Open the translation memory of this environment and load its entries
+     * @param {object} [options] - Store options
+     * @param {object} [options.store] - Storage to use instead of the default one
+     * @param {string} [options.path] - JSON file path (Node.js)
+     * @returns {Promise<TranslationMemory>}
+     */
+    static async open(options = {}) {
+        const memory = new TranslationMemory(options.store || TranslationMemory.createDefaultStore(options));
+        await memory.load();
+        return memory;
+    }
+
+    /**
+     * Pick the storage of the current environment
+     * @returns {object|null} A store, or null when nothing persistent is available
+     */
+    static createDefaultStore(options = {}) {
+        if (typeof window !== 'undefined' && window.electronAPI?.loadTranslationMemory) {
+            return new TranslationMemory.ElectronStore(window.electronAPI);
+        }
+        if (typeof indexedDB !== 'undefined') {
+            return new TranslationMemory.IndexedDBStore(options.databaseName);
+        }
+        if (typeof module !== 'undefined' && module.exports) {
+            return new TranslationMemory.FileStore(options.path || TranslationMemory.FileStore.defaultPath());
+        }
+        return null;
+    }
+
+    /**
+     * Replace the entries with the stored ones
+     */
+    async load() {
+        this.entries.clear();
+        this.index = null;
+        if (this.store) {
+            this.merge(await this.store.load());
+        }
+    }
+
+    /**
+     * Write all entries to the store
+     */
+    async save() {
+        if (this.store) {
+            await this.store.save(Array.from(this.entries.values()));
+        }
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Remember a translation, replacing an older one of the same source
+     * Source and target are kept as given, line breaks included; only the lookup key
+     * and word index use their normalized form.
+     * @param {string} source - Source (DEFAULT) text
+     * @param {string} target - Translated text
+     * @param {string} targetLocale - Locale of the translation (e.g. 'RU')
+     * @param {string} [updated] - ISO date of the translation; now by default
+     * @returns {boolean} True if the memory changed
+     */
+    add(source, target, targetLocale, updated = new Date().toISOString()) {
+        if (!TranslationMemory.normalize(source) || !TranslationMemory.normalize(target) || !targetLocale) return false;
+
+        const key = TranslationMemory.entryKey(source, targetLocale);
+        const existing = this.entries.get(key);
+        if (existing && existing.source === source && existing.target === target) return false;
+
+        this.entries.set(key, { source: source, target: target, targetLocale: targetLocale, updated: updated });
+        this.index = null;
+        return true;
+    }
+
+    /**
+     * Remember the pairs of one import
+     * @param {Array<{source: string, target: string}>} pairs - Translated strings
+     * @param {string} targetLocale - Locale they were imported into
+     * @returns {number} Number of new or changed entries
+     */
+    addPairs(pairs, targetLocale) {
+        let count = 0;
+        for (const pair of pairs) {
+            if (this.add(pair.source, pair.target, targetLocale)) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Merge entries from another memory; the more recent translation of a source wins
+     * @param {Array<{source: string, target: string, targetLocale: string, updated?: string}>} entries
+     * @returns {{added: number, updated: number}}
+     */
+    merge(entries) {
+        const result = { added: 0, updated: 0 };
+        for (const entry of entries || []) {
+            if (!entry || typeof entry.source !== 'string' || typeof entry.target !== 'string') continue;
+
+            const existing = this.entries.get(TranslationMemory.entryKey(entry.source, entry.targetLocale));
+            if (existing && entry.updated && existing.updated && entry.updated < existing.updated) continue;
+
+            if (this.add(entry.source, entry.target, entry.targetLocale, entry.updated || new Date().toISOString())) {
+                result[existing ? 'updated' : 'added']++;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Find the translation of exactly this source
+     * @returns {{source: string, target: string, targetLocale: string, updated: string}|null}
+     */
+    lookup(source, targetLocale) {
+        return this.entries.get(TranslationMemory.entryKey(source, targetLocale)) || null;
+    }
+
+    /**
+     * Find translations of similar sources
+     * Candidates must share a word with the source; the best of them are scored by
+     * edit distance.
+     * @param {string} source - Text to translate
+     * @param {string} targetLocale - Locale of the wanted translation
+     * @param {object} [options]
+     * @param {number} [options.limit=3] - Maximum number of suggestions
+     * @param {number} [options.minScore=0.7] - Lowest similarity to suggest (0..1)
+     * @returns {Array<{source: string, target: string, score: number}>} Best matches first;
+     *     an exact match is left to lookup()
+     */
+    suggest(source, targetLocale, options = {}) {
+        const { limit = 3, minScore = 0.7 } = options;
+        const normalized = TranslationMemory.normalize(source);
+        if (!normalized) return [];
+
+        const index = this.getIndex();
+        const shared = new Map();
+        for (const word of TranslationMemory.words(normalized)) {
+            for (const key of index.get(word) || []) {
+                shared.set(key, (shared.get(key) || 0) + 1);
+            }
+        }
+
+        const ownKey = TranslationMemory.entryKey(normalized, targetLocale);
+        const candidates = Array.from(shared.entries())
+            .filter(([key]) => key !== ownKey && this.entries.get(key).targetLocale === targetLocale)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, TranslationMemory.MAX_CANDIDATES);
+
+        const suggestions = [];
+        for (const [key] of candidates) {
+            const entry = this.entries.get(key);
+            const score = TranslationMemory.similarity(normalized, entry.source, minScore);
+            if (score >= minScore) {
+                suggestions.push({ source: entry.source, target: entry.target, score: Math.round(score * 100) / 100 });
+            }
+        }
+
+        return suggestions.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    /**
+     * Word index of the entries, built on first use after a change
+     */
+    getIndex() {
+        if (!this.index) {
+            this.index = new Map();
+            for (const [key, entry] of this.entries) {
+                for (const word of TranslationMemory.words(entry.source)) {
+                    if (!this.index.has(word)) this.index.set(word, []);
+                    this.index.get(word).push(key);
+                }
+            }
+        }
+        return this.index;
+    }
+
+    /**
+     * Forget every entry
+     */
+    clear() {
+        this.entries.clear();
+        this.index = null;
+    }
+
+    /**
+     * Build the file the team shares
+     * @returns {{format: string, version: number, entries: object[]}}
+     */
+    exportData() {
+        return {
+            format: TranslationMemory.FORMAT,
+            version: TranslationMemory.VERSION,
+            entries: Array.from(this.entries.values())
+        };
+    }
+
+    /**
+     * Merge a file written by exportData()
+     * @param {string|object} data - File content, or its parsed JSON
+     * @returns {{added: number, updated: number}}
+     * @throws {Error} If the data is not a translation memory
+     */
+    importData(data) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (!data || data.format !== TranslationMemory.FORMAT || !Array.isArray(data.entries)) {
+            throw new Error('Not a translation memory file');
+        }
+        return this.merge(data.entries);
+    }
+
+    /**
+     * Collapse whitespace so that reflowed text still matches
+     */
+    static normalize(text) {
+        return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    static entryKey(source, targetLocale) {
+        return `${targetLocale}\u0000${TranslationMemory.normalize(source)}`;
+    }
+
+    /**
+     * Distinct lowercase words of a text, ignoring one-letter words
+     */
+    static words(text) {
+        const words = text.toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+        return new Set(words);
+    }
+
+    /**
+     * Similarity of two texts: 1 minus their case-insensitive edit distance
+     * relative to the longer one
+     * @param {number} [minScore=0] - Scores below this may be returned as 0 without
+     *     computing the distance
+     * @returns {number} 0..1
+     */
+    static similarity(a, b, minScore = 0) {
+        a = TranslationMemory.normalize(a).toLowerCase();
+        b = TranslationMemory.normalize(b).toLowerCase();
+        const longest = Math.max(a.length, b.length);
+        if (longest === 0) return 1;
+
+        // The distance is at least the difference in length
+        if (1 - Math.abs(a.length - b.length) / longest < minScore) return 0;
+
+        let previous = new Uint32Array(b.length + 1);
+        let current = new Uint32Array(b.length + 1);
+        for (let j = 0; j <= b.length; j++) previous[j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            current[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            [previous, current] = [current, previous];
+        }
+
+        return 1 - previous[b.length] / longest;
+    }
+};
+
+/**
+ * Identifies files written by exportData()
+ */
+TranslationMemory.FORMAT = 'miz-editor-translation-memory';
+TranslationMemory.VERSION = 1;
+
+/**
+ * How many of the entries sharing the most words with a source are scored by suggest()
+ */
+TranslationMemory.MAX_CANDIDATES = 50;
+
+/**
+ * Entries in a JSON file (Node.js, and the Electron main process)
+ */
+TranslationMemory.FileStore = class {
+    constructor(path) {
+        this.path = path;
+    }
+
+    /**
+     * ~/.miz-editor/translation-memory.json
+     */
+    static defaultPath() {
+        return require('path').join(require('os').homedir(), '.miz-editor', 'translation-memory.json');
+    }
+
+    async load() {
+        const fs = require('fs');
+        let content;
+        try {
+            content = await fs.promises.readFile(this.path, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return [];
+            throw e;
+        }
+        return JSON.parse(content).entries || [];
+    }
+
+    async save(entries) {
+        const fs = require('fs');
+        const path = require('path');
+        const data = {
+            format: TranslationMemory.FORMAT,
+            version: TranslationMemory.VERSION,
+            entries: entries
+        };
+
+        // Write a temporary file first, so an interrupted save keeps the old memory
+        await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+        const tempPath = `${this.path}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        await fs.promises.rename(tempPath, this.path);
+    }
+};
+
+/**
+ * Entries in the JSON file of the Electron main process, reached through the preload API
+ */
+TranslationMemory.ElectronStore = class {
+    constructor(api) {
+        this.api = api;
+    }
+
+    async load() {
+        return (await this.api.loadTranslationMemory()) || [];
+    }
+
+    async save(entries) {
+        await this.api.saveTranslationMemory(entries);
+    }
+};
+
+/**
+ * Entries in an IndexedDB object store (browser)
+ */
+TranslationMemory.IndexedDBStore = class {
+    constructor(databaseName = 'miz-editor') {
+        this.databaseName = databaseName;
+        this.storeName = 'translation-memory';
+        this.database = null;
+    }
+
+    open() {
+        if (this.database) return Promise.resolve(this.database);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.databaseName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.database = request.result;
+                resolve(this.database);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async load() {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = database.transaction(this.storeName).objectStore(this.storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async save(entries) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(this.storeName, 'readwrite');
+            const objectStore = transaction.objectStore(this.storeName);
+            objectStore.clear();
+            for (const entry of entries) {
+                objectStore.put(Object.assign({ id: TranslationMemory.entryKey(entry.source, entry.targetLocale) }, entry));
+            }
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+};
+
+// Export for both browser and Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TranslationMemory;
+} else if (typeof window !== 'undefined') {
+    window.TranslationMemory = TranslationMemory;
+}
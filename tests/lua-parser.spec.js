@@ -0,0 +1,325 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const LuaParser = require('../src/lua-parser.js');
+
+/**
+ * Lua Parser Tests
+ * Run in Node without a browser page
+ */
+
+test.describe('Lua Parser - comments and strings', () => {
+  test('should keep double dashes inside briefing text', async () => {
+    const dict = LuaParser.parse(`dictionary =
+{
+    ["DictKey_descriptionText_1"] = "Strike the bridge -- then RTB",
+    ["DictKey_ActionText_2"] = "Intel: https://example.com/intel--report",
+    ["DictKey_ActionText_3"] = "----- PHASE 2 -----",
+} -- end of dictionary
+`);
+
+    expect(dict['DictKey_descriptionText_1']).toBe('Strike the bridge -- then RTB');
+    expect(dict['DictKey_ActionText_2']).toBe('Intel: https://example.com/intel--report');
+    expect(dict['DictKey_ActionText_3']).toBe('----- PHASE 2 -----');
+  });
+
+  test('should keep text after a double dash in single-quoted strings', async () => {
+    const dict = LuaParser.parse("dictionary = { ['DictKey_1'] = 'Wait -- hold' }");
+    expect(dict['DictKey_1']).toBe('Wait -- hold');
+  });
+
+  test('should keep ]] inside quoted strings', async () => {
+    const dict = LuaParser.parse(`dictionary =
+{
+    --[[ translated by hand ]]
+    ["DictKey_1"] = "Array index a[b[1]] is fine",
+    ["DictKey_2"] = "Second entry",
+}`);
+
+    expect(dict['DictKey_1']).toBe('Array index a[b[1]] is fine');
+    expect(dict['DictKey_2']).toBe('Second entry');
+  });
+
+  test('should read long bracket strings with levels', async () => {
+    const dict = LuaParser.parse(`dictionary =
+{
+    ["DictKey_1"] = [==[Text with ]] and -- inside]==],
+    ["DictKey_2"] = [[
+First line
+Second line]],
+}`);
+
+    expect(dict['DictKey_1']).toBe('Text with ]] and -- inside');
+    expect(dict['DictKey_2']).toBe('First line\nSecond line');
+  });
+
+  test('should skip comments that contain ]] and quotes', async () => {
+    const dict = LuaParser.parse(`dictionary =
+{
+    --[==[ old value: ["DictKey_1"] = "x]]" ]==]
+    ["DictKey_1"] = "Current", -- it's "current"
+}`);
+
+    expect(dict).toEqual({ DictKey_1: 'Current' });
+  });
+
+  test('should read DCS backslash-newline line breaks', async () => {
+    const dict = LuaParser.parse('dictionary = { ["DictKey_1"] = "Line 1\\\nLine 2 -- still text" }');
+    expect(dict['DictKey_1']).toBe('Line 1\nLine 2 -- still text');
+  });
+});
+
+test.describe('Lua Parser - escapes and numbers', () => {
+  test('should decode byte, hex and unicode escapes as UTF-8', async () => {
+    const dict = LuaParser.parse('dictionary = { ["a"] = "\\208\\159\\209\\128\\208\\184", ["b"] = "\\xD0\\x9F!", ["c"] = "\\u{41F}\\65\\0669", ["d"] = "bell\\a\\b\\f\\v" }');
+    expect(dict.a).toBe('При');
+    expect(dict.b).toBe('П!');
+    expect(dict.c).toBe('ПAB9');
+    expect(dict.d).toBe('bell\x07\b\f\v');
+  });
+
+  test('should skip whitespace after \\z', async () => {
+    const dict = LuaParser.parse('dictionary = { ["a"] = "one \\z\n      two" }');
+    expect(dict.a).toBe('one two');
+  });
+
+  test('should round-trip control characters', async () => {
+    const value = { text: 'a\x01b\x00' + '1' };
+    const lua = LuaParser.serialize(value, 't');
+    expect(lua).toContain('a\\001b\\0001');
+    expect(LuaParser.parse(lua)).toEqual(value);
+  });
+
+  test('should read hex, exponent and special numeric literals', async () => {
+    const mission = LuaParser.parse(`mission = {
+    ["hex"] = 0x1F, ["hexFloat"] = 0x1.8p3, ["exp"] = 1e-3,
+    ["inf"] = 1.#INF, ["negInf"] = -1.#INF, ["ind"] = -1.#IND,
+    ["huge"] = math.huge, ["nan"] = 0/0, ["neg"] = - 5,
+}`);
+    expect(mission.hex).toBe(31);
+    expect(mission.hexFloat).toBe(12);
+    expect(mission.exp).toBe(0.001);
+    expect(mission.inf).toBe(Infinity);
+    expect(mission.negInf).toBe(-Infinity);
+    expect(mission.ind).toBeNaN();
+    expect(mission.huge).toBe(Infinity);
+    expect(mission.nan).toBeNaN();
+    expect(mission.neg).toBe(-5);
+  });
+
+  test('should preserve numeric literals when asked', async () => {
+    const source = 'mission = { ["a"] = 1.0, ["b"] = 0x10, ["c"] = 7 }';
+    const mission = LuaParser.parse(source, { preserveNumbers: true });
+
+    expect(mission.a).toBeInstanceOf(LuaParser.LuaNumber);
+    expect(mission.a.isInteger).toBe(false);
+    expect(mission.b.isInteger).toBe(true);
+    expect(mission.b + 1).toBe(17);
+    expect(mission.c).toBe(7);
+
+    const lua = LuaParser.serialize(mission, 'mission');
+    expect(lua).toContain('["a"] = 1.0,');
+    expect(lua).toContain('["b"] = 0x10,');
+  });
+
+  test('should serialize special numbers as valid Lua', async () => {
+    const lua = LuaParser.serialize({ a: Infinity, b: -Infinity, c: NaN, d: -0 }, 't');
+    const value = LuaParser.parse(lua);
+    expect(value.a).toBe(Infinity);
+    expect(value.b).toBe(-Infinity);
+    expect(value.c).toBeNaN();
+    expect(Object.is(value.d, -0)).toBe(true);
+  });
+});
+
+test.describe('Lua Parser - LuaTable', () => {
+  test('should keep key order and integer vs string keys', async () => {
+    const table = LuaParser.parse('t = { ["z"] = 1, [3] = "c", [1] = "a", ["1"] = "s", "pos" }', { luaTables: true });
+
+    expect(table).toBeInstanceOf(LuaParser.LuaTable);
+    expect(Array.from(table.keys())).toEqual(['z', 3, 1, '1']);
+    expect(table.get(1)).toBe('pos');
+    expect(table.get('1')).toBe('s');
+    expect(table.length).toBe(1);
+    expect(Array.from(table.ipairs())).toEqual([[1, 'pos']]);
+  });
+
+  test('should iterate sparse sequences without guessing', async () => {
+    const table = LuaParser.parse('t = { [1] = "a", [3] = "c" }', { luaTables: true });
+    expect(Array.from(table.ipairs())).toEqual([[1, 'a']]);
+    expect(Array.from(table.pairs())).toEqual([[1, 'a'], [3, 'c']]);
+    expect(table.isArray()).toBe(false);
+  });
+
+  test('should serialize in source order with explicit keys', async () => {
+    const source = 't = { ["b"] = { "x", "y" }, ["a"] = 1, ["2"] = true }';
+    const table = LuaParser.parse(source, { luaTables: true });
+    table.set('a', null).set('c', 'new');
+
+    const lua = LuaParser.serialize(table, 't');
+    expect(lua).toBe('t = \n{\n\t["b"] = \n\t{\n\t\t[1] = "x",\n\t\t[2] = "y",\n\t}, -- end of ["b"]\n\t["2"] = true,\n\t["c"] = "new",\n} -- end of t\n');
+    expect(JSON.parse(JSON.stringify(table))).toEqual({ b: ['x', 'y'], 2: true, c: 'new' });
+  });
+
+  test('should convert plain values and walk nested paths', async () => {
+    const mission = LuaParser.LuaTable.from({ coalition: { blue: { country: [{ name: 'USA' }] } } });
+    expect(mission.path('coalition', 'blue', 'country', 1, 'name')).toBe('USA');
+    expect(mission.path('coalition', 'red', 'country')).toBeUndefined();
+  });
+});
+
+test.describe('Lua Parser - globals', () => {
+  test('should return every top-level assignment', async () => {
+    const globals = LuaParser.parseGlobals(`mission = { ["sortie"] = "Op" }
+maxDictId = 42
+local theatre = "Caucasus"; flags = { 1, 2 }
+maxDictId = 43`);
+
+    expect(globals).toEqual({
+      mission: { sortie: 'Op' },
+      maxDictId: 43,
+      theatre: 'Caucasus',
+      flags: [1, 2]
+    });
+  });
+
+  test('should keep parse() returning the main table', async () => {
+    expect(LuaParser.parse('count = 3\nmapResource = { ["ResKey_1"] = "a.ogg" }')).toEqual({ ResKey_1: 'a.ogg' });
+  });
+});
+
+test.describe('Lua Parser - streaming', () => {
+  const source = `mission =
+{
+    ["sortie"] = "Strike -- \\"Alpha\\"",
+    ["coalition"] = { ["blue"] = { ["country"] = { [1] = { ["name"] = "USA", ["id"] = country.id.USA } } } },
+    ["weather"] = { ["clouds"] = { 1, 2.5, -3 }, ["fog"] = [==[long ]] text]==] },
+    ["trigrules"] = { { ["predicate"] = "triggerOnce", ["limit"] = -math.huge } },
+} -- end of mission
+maxDictId = 42`;
+
+  test('should match parseGlobals whatever the chunk boundaries', async () => {
+    const expected = LuaParser.parseGlobals(source, { luaTables: true });
+
+    for (const size of [1, 2, 3, 7, 64]) {
+      const parser = LuaParser.createStreamParser({ luaTables: true });
+      for (let i = 0; i < source.length; i += size) {
+        parser.write(source.slice(i, i + size));
+      }
+      expect(JSON.stringify(parser.end())).toBe(JSON.stringify(expected));
+    }
+  });
+
+  test('should build only picked fields of top-level tables', async () => {
+    const globals = LuaParser.parseStream(source, { pick: ['coalition', 'trigrules'] });
+    expect(Object.keys(globals.mission)).toEqual(['coalition', 'trigrules']);
+    expect(globals.mission.coalition.blue.country[1].name).toBe('USA');
+    expect(globals.maxDictId).toBe(42);
+  });
+
+  test('should report progress and positions in the whole input', async () => {
+    const progress = [];
+    LuaParser.parseStream(source, { onProgress: (parsed, total) => progress.push([parsed, total]) });
+    expect(progress[progress.length - 1]).toEqual([source.length, source.length]);
+
+    const parser = LuaParser.createStreamParser();
+    let error = null;
+    try {
+      parser.write('x = {\n  ["a"] = 1,\n');
+      parser.write('  ["b"] = = 2 }');
+      parser.end();
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(LuaParser.LuaParseError);
+    expect(error.message).toBe("line 3, col 11: unexpected '='");
+  });
+});
+
+test.describe('Lua Parser - calls', () => {
+  test('should parse trigger action calls with typed arguments', async () => {
+    const [call] = LuaParser.parseCalls('a_out_text_delay(getValueDictByKey("DictKey_ActionText_12"), 10, false);');
+
+    expect(call.name).toBe('a_out_text_delay');
+    expect(call.args.map(arg => arg.type)).toEqual(['call', 'number', 'boolean']);
+    expect(call.args[0].name).toBe('getValueDictByKey');
+    expect(call.args[0].args[0].value).toBe('DictKey_ActionText_12');
+  });
+
+  test('should parse method calls and visit nested calls', async () => {
+    const calls = LuaParser.parseCalls('MESSAGE:New("Go", 10):ToAll() trigger.action.outText(string.format("%d", 5), -1)');
+    const names = [];
+    calls.forEach(call => LuaParser.walkCalls(call, node => names.push(node.name)));
+
+    expect(names).toEqual([':ToAll', 'MESSAGE:New', 'trigger.action.outText', 'string.format']);
+    expect(calls[1].args[1].value).toBe(-1);
+  });
+
+  test('should reject code that is not a call', async () => {
+    expect(() => LuaParser.parseCalls('x = 1')).toThrow(LuaParser.LuaParseError);
+  });
+
+  test('should find calls in any script code', async () => {
+    const code = [
+      'local support = missionCommands.addSubMenu("Support") -- F10',
+      'missionCommands.addCommand("Request CAS", support, function() local a, b = 1, 2 if a then cas(b) end end)',
+      'missionCommands.addCommand("Smoke " .. color, nil, smoke)',
+      'MESSAGE:New("Go", 10):ToAll()'
+    ].join('\n');
+    const found = LuaParser.findCalls(code, name => name.startsWith('missionCommands.') || name === 'MESSAGE:New');
+
+    expect(found.map(({ call, target }) => [call.name, target])).toEqual([
+      ['missionCommands.addSubMenu', 'support'],
+      ['missionCommands.addCommand', null],
+      ['missionCommands.addCommand', null],
+      ['MESSAGE:New', null]
+    ]);
+    expect(found[1].call.args.map(arg => arg.type)).toEqual(['string', 'name', 'expression']);
+    expect(found[2].call.args[0].type).toBe('expression');
+    expect(code.slice(found[1].call.args[0].start, found[1].call.args[0].end)).toBe('"Request CAS"');
+  });
+});
+
+test.describe('Lua Parser - errors', () => {
+  test('should report unterminated strings with line and column', async () => {
+    let error = null;
+    try {
+      LuaParser.parse('mission =\n{\n    ["sortie"] = "Broken,\n}');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(LuaParser.LuaParseError);
+    expect(error.line).toBe(3);
+    expect(error.column).toBe(18);
+    expect(error.message).toBe('line 3, col 18: unterminated string');
+  });
+
+  test('should return partial results in tolerant mode', async () => {
+    const result = LuaParser.parseTolerant('dictionary = { ["a"] = "ok", ["b"] = = "bad" }');
+    expect(result.value).toEqual({ a: 'ok' });
+    expect(result.diagnostics).toHaveLength(1);
+  });
+});
+
+test.describe('Lua Parser - round trip', () => {
+  test('should parse serialized tables back to the same value', async () => {
+    const value = {
+      sortie: 'Mission -- with "quotes"\nand a second line',
+      trig: { actions: ['a_out_text_delay(getValueDictByKey("DictKey_ActionText_1"), 10)'] },
+      coalition: { blue: { country: { 1: { id: 2, name: 'USA' } } } },
+      weight: 0.25,
+      enabled: false
+    };
+
+    expect(LuaParser.parse(LuaParser.serialize(value, 'mission'))).toEqual(value);
+  });
+
+  test('should rewrite only the edited string span', async () => {
+    const source = "dictionary = {\n    ['DictKey_1'] = 'Old', -- keep me\n    [\"DictKey_2\"] = \"Other\",\n}\n";
+    const tree = LuaParser.parseTree(source);
+    const field = LuaParser.findField(LuaParser.getRootNode(tree, 'dictionary'), 'DictKey_1');
+    const edited = LuaParser.applyEdits(source, [LuaParser.replaceString(field.value, "New 'one'")]);
+
+    expect(edited).toBe("dictionary = {\n    ['DictKey_1'] = 'New \\'one\\'', -- keep me\n    [\"DictKey_2\"] = \"Other\",\n}\n");
+  });
+});
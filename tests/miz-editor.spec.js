@@ -273,3 +273,27 @@ test.describe('Miz Editor - Accessibility', () => {
     await expect(page.locator('label[for="format-json"]')).toBeVisible();
   });
 });
+
+test.describe('Miz Editor - Scripts', () => {
+  test('should load every script of the page and the worker', async ({ page }) => {
+    const errors = [];
+    page.on('pageerror', error => errors.push(error.message));
+    await page.goto('/');
+
+    const modules = await page.evaluate(() => [
+      typeof window.LuaParser, typeof window.MizDocument, typeof window.MizParser,
+      typeof window.TranslationMemory, typeof window.MizWorker, typeof window.MizWorkerClient
+    ]);
+    expect(modules).toEqual(['object', 'function', 'object', 'function', 'object', 'object']);
+    expect(errors).toEqual([]);
+
+    // The worker script answers only if it loaded next to its importScripts() dependencies
+    const reply = await page.evaluate(() => new Promise(resolve => {
+      const worker = new Worker('src/miz-worker.js');
+      worker.onmessage = event => resolve(event.data);
+      worker.onerror = event => resolve({ type: 'load error', message: event.message });
+      worker.postMessage({ id: 1, type: 'unknown', payload: {} });
+    }));
+    expect(reply).toMatchObject({ id: 1, type: 'error', error: { message: 'Unknown job type: unknown' } });
+  });
+});
@@ -0,0 +1,1298 @@
+// @ts-check
+const { test, expect } = require('@playwright/test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const LuaParser = require('../src/lua-parser.js');
+const MizDocument = require('../src/miz-document.js');
+const MizParser = require('../src/miz-parser.js');
+const MizWorkerClient = require('../src/miz-worker-client.js');
+const TranslationMemory = require('../src/translation-memory.js');
+
+/**
+ * Miz Parser Tests
+ * Run in Node without a browser page
+ */
+
+/**
+ * Build a .miz archive in memory
+ * @param {Object<string, string>} files - Archive entry name -> content
+ * @returns {Promise<Buffer>}
+ */
+async function createMiz(files) {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) {
+    zip.file(name, content);
+  }
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+const SAMPLE_FILES = {
+  mission: `mission = {
+    ["sortie"] = "DictKey_sortie_1",
+    ["trig"] = { ["actions"] = { [1] = "a_out_text_delay(getValueDictByKey(\\"DictKey_ActionText_2\\"), 10, false);" } },
+} -- end of mission
+`,
+  'l10n/DEFAULT/dictionary': `dictionary = {
+    ["DictKey_sortie_1"] = "Operation Dawn",
+    ["DictKey_ActionText_2"] = "Bandits, bearing 270",
+} -- end of dictionary
+`
+};
+
+test.describe('Miz Parser - syntax errors', () => {
+  test('should name the file, line and column of a syntax error', async () => {
+    let error = null;
+    try {
+      MizDocument.parseLuaFile('mission =\n{\n    ["sortie"] = "Broken,\n}', 'mission');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error).toBeInstanceOf(LuaParser.LuaParseError);
+    expect(error.fileName).toBe('mission');
+    expect(error.message).toBe('mission: line 3, col 18: unterminated string');
+  });
+
+  test('should report every syntax error of the mission and dictionary when validating', async () => {
+    const zip = new JSZip();
+    zip.file('mission', 'mission = { ["sortie"] = "ok", ["a"] = = 1 }');
+    zip.file('l10n/DEFAULT/dictionary', 'dictionary = { ["DictKey_1"] = "Broken, }');
+    const result = await MizParser.validateMiz(await zip.generateAsync({ type: 'nodebuffer' }));
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      "mission: line 1, col 40: unexpected '='",
+      'l10n/DEFAULT/dictionary: line 1, col 32: unterminated string'
+    ]);
+  });
+});
+
+test.describe('Miz Parser - mission model', () => {
+  test('should return the mission as plain objects and as a LuaTable', async () => {
+    const parsedData = await MizParser.parse(await createMiz(SAMPLE_FILES));
+
+    expect(parsedData.mission.sortie).toBe('DictKey_sortie_1');
+    expect(parsedData.mission.trig.actions[0]).toContain('DictKey_ActionText_2');
+    expect(parsedData.missionTable.get('sortie')).toBe('DictKey_sortie_1');
+    expect(parsedData.missionTable.path('trig', 'actions', 1)).toContain('DictKey_ActionText_2');
+  });
+});
+
+test.describe('Miz Parser - trigger actions', () => {
+  test('should read the text argument of text output calls', async () => {
+    const texts = MizParser.parseActionTexts(
+      'a_out_text_delay(getValueDictByKey("DictKey_ActionText_12"), 10, false); ' +
+      'trigger.action.outTextForGroup(12, "Don\'t engage (yet)", 10)'
+    );
+
+    expect(texts).toEqual([
+      { call: 'a_out_text_delay', value: 'DictKey_ActionText_12' },
+      { call: 'trigger.action.outTextForGroup', value: "Don't engage (yet)" }
+    ]);
+  });
+
+  test('should skip action strings that are not valid Lua', async () => {
+    expect(MizParser.parseActionTexts('a_out_text_delay("unterminated, 10)')).toEqual([]);
+  });
+
+  test('should extract trig.actions texts with their DictKeys', async () => {
+    const mission = {
+      trig: {
+        actions: [
+          'a_out_text_delay(getValueDictByKey("DictKey_ActionText_4"), 10, false);',
+          'a_out_text_delay_s("blue", "Hold \'til dawn", 5, false);'
+        ]
+      }
+    };
+    const dictionary = { DictKey_ActionText_4: 'Bandits, bearing 270' };
+
+    expect(MizParser.extractTriggers(mission, dictionary)).toEqual([
+      {
+        category: 'Trigger', context: 'DictKey_ActionText_4', text: 'Bandits, bearing 270',
+        action: {
+          type: 'a_out_text_delay', dictKey: 'DictKey_ActionText_4', duration: 10, clearView: false,
+          coalition: null, country: null, group: null, unit: null
+        },
+        trigger: { id: '1_1_a_out_text_delay', rule: 1, name: null, conditions: null, firing: null }
+      },
+      {
+        category: 'Trigger', context: 'Trigger 2', text: "Hold 'til dawn",
+        action: {
+          type: 'a_out_text_delay_s', dictKey: null, duration: 5, clearView: false,
+          coalition: 'blue', country: null, group: null, unit: null
+        },
+        trigger: { id: '2_1_a_out_text_delay_s', rule: 2, name: null, conditions: null, firing: null }
+      }
+    ]);
+  });
+
+  test('should split trigger and radio texts by their actions', async () => {
+    const mission = {
+      trig: {
+        actions: [
+          'a_out_text_delay_g(12, getValueDictByKey("DictKey_ActionText_1"), 15, true);',
+          'a_radio_transmission(getValueResourceByKey("ResKey_Action_2"), "Tower", 0, false, 124000000, 100, "Tower", 15); ' +
+            'a_out_text_delay(getValueDictByKey("DictKey_ActionText_3"), 10, false);',
+          'a_out_sound_s("red", getValueResourceByKey("ResKey_Action_4"), 0, false, getValueDictByKey("DictKey_subtitle_5"), 8); ' +
+            'a_out_text_delay(getValueDictByKey("DictKey_ActionText_6"), 10, false);',
+          // Mentions "Radio" but transmits nothing
+          'a_out_text_delay(getValueDictByKey("DictKey_ActionText_7"), 10, false); -- Radio check'
+        ]
+      },
+      // trigrules entries describe the trig.actions strings with the same index
+      trigrules: {
+        5: { comment: 'Bullseye call', actions: [
+          { predicate: 'a_out_text_delay_u', text: 'DictKey_ActionText_8', seconds: 20, clearview: false, unit: 7 }
+        ] },
+        6: { actions: [{ predicate: 'a_out_sound', file: 'ResKey_Action_9', subtitle: 'DictKey_subtitle_10' }] }
+      }
+    };
+    const dictionary = {
+      DictKey_ActionText_1: 'Push now', DictKey_ActionText_3: 'Cleared to land', DictKey_subtitle_5: 'Weapons free',
+      DictKey_ActionText_6: 'Engage at will', DictKey_ActionText_7: 'Radio check', DictKey_ActionText_8: 'Bullseye 090',
+      DictKey_subtitle_10: 'Welcome aboard'
+    };
+
+    const triggers = MizParser.extractTriggers(mission, dictionary);
+    const radio = MizParser.extractRadioMessages(mission, dictionary);
+    expect(triggers.map(item => item.text)).toEqual(['Push now', 'Engage at will', 'Radio check', 'Bullseye 090']);
+    expect(radio.map(item => item.text)).toEqual(['Cleared to land', 'Weapons free', 'Welcome aboard']);
+
+    expect(triggers[0].action).toMatchObject({ type: 'a_out_text_delay_g', group: 12, duration: 15, clearView: true });
+    expect(triggers[3].action).toMatchObject({ type: 'a_out_text_delay_u', unit: 7, duration: 20 });
+    expect(radio[1].action).toMatchObject({
+      type: 'a_out_sound_s', dictKey: 'DictKey_subtitle_5', coalition: 'red', duration: 8
+    });
+
+    const text = MizParser.formatAsText({ extracted: { triggers: triggers, radio: radio } });
+    expect(text).toContain('# Trigger 1\n# a_out_text_delay_g: group 12, 15 s, clear view\nDictKey_ActionText_1: Push now');
+    expect(text).toContain('# a_out_sound_s: coalition red, 8 s\nDictKey_subtitle_5: Weapons free');
+    expect(MizParser.parseImportedText(text).keyMappings.DictKey_ActionText_1).toBe('Push now');
+  });
+
+  test('should collect the trigger texts once per extraction', async () => {
+    const parsedData = await MizParser.parse(await createMiz(SAMPLE_FILES));
+    const collect = MizParser.collectTriggerTexts;
+    let calls = 0;
+    MizParser.collectTriggerTexts = function(...args) {
+      calls++;
+      return collect.apply(this, args);
+    };
+    try {
+      const result = MizParser.extractText(parsedData, { mode: 'auto' });
+      expect(result.extracted.triggers.map(item => item.text)).toEqual(['Bandits, bearing 270']);
+    } finally {
+      MizParser.collectTriggerTexts = collect;
+    }
+    expect(calls).toBe(1);
+  });
+
+  test('should label literal texts with stable trigger ids and describe their triggers', async () => {
+    const mission = {
+      coalition: { blue: { country: [{ name: 'USA', plane: { group: [
+        { groupId: 1, name: 'Enfield 1', units: [{ unitId: 5, name: 'Enfield 1-1' }] }
+      ] } }] } },
+      triggers: { zones: [{ zoneId: 2, name: 'IP' }] },
+      trig: {
+        actions: [
+          'a_set_flag(1); a_out_text_delay("Push now", 10, false);',
+          'a_out_text_delay_s("blue", "RTB", 10, false);'
+        ],
+        func: [
+          'if mission.trig.conditions[1]() then mission.trig.actions[1]() mission.trig.func[1]=nil end',
+          'if mission.trig.conditions[2]() then mission.trig.actions[2]() end'
+        ]
+      },
+      trigrules: [
+        {
+          comment: 'Push', predicate: 'triggerOnce',
+          rules: [{ predicate: 'c_unit_in_zone', unit: 5, zone: 2 }, { predicate: 'c_flag_is_false', flag: 4 }],
+          actions: [{ predicate: 'a_set_flag', flag: 1 }, { predicate: 'a_out_text_delay', text: 'Push now', seconds: 10 }]
+        },
+        { comment: 'Winchester', predicate: 'triggerOnce', eventlist: 'shot', actions: [] }
+      ]
+    };
+
+    const triggers = MizParser.extractTriggers(mission, {});
+    expect(triggers.map(item => [item.trigger.id, item.context])).toEqual([
+      ['1_2_a_out_text_delay', 'Trigger 1 "Push": once, when unit \'Enfield 1-1\' in zone \'IP\' and flag 4 is false'],
+      ['2_1_a_out_text_delay_s', 'Trigger 2 "Winchester": on-event']
+    ]);
+
+    // Inserting a trigger before them does not change their ids
+    const text = MizParser.formatAsText({ extracted: { triggers: triggers } });
+    expect(text).toContain([
+      '# Trigger 1 "Push": once, when unit \'Enfield 1-1\' in zone \'IP\' and flag 4 is false',
+      '# a_out_text_delay: all, 10 s',
+      '[TRIGGER_1_2_a_out_text_delay]: Push now'
+    ].join('\n'));
+
+    const translated = text.replace('Push now', 'Вперёд').replace(': RTB', ': На базу');
+    expect(MizParser.parseImportedText(translated).triggerTexts).toEqual({
+      '1_2_a_out_text_delay': 'Вперёд',
+      '2_1_a_out_text_delay_s': 'На базу'
+    });
+
+    delete mission.trigrules;
+    expect(MizParser.extractTriggers(mission, {}).map(item => item.context)).toEqual([
+      'Trigger 1: once', 'Trigger 2: continuous'
+    ]);
+  });
+
+  test('should leave literal texts untouched when their export is imported unchanged', async () => {
+    const files = Object.assign({}, SAMPLE_FILES, {
+      mission: `mission = {
+    ["trig"] = { ["actions"] = {
+        [1] = "a_out_text_delay(\\"Push  now \\", 10, false); a_add_radio_item(\\"Request  CAS\\", 1, 1);",
+    } },
+} -- end of mission
+`
+    });
+    const text = MizParser.formatAsText(MizParser.extractText(await MizParser.parse(await createMiz(files))));
+    expect(text).toContain('[TRIGGER_1_1_a_out_text_delay]: Push now\n');
+    expect(text).toContain('[MENU_1_2_a_add_radio_item]: Request CAS');
+
+    const imported = await JSZip.loadAsync(await MizParser.importToMiz(await createMiz(files), text, 'RU'));
+    expect(await imported.file('mission').async('string')).toBe(files.mission);
+  });
+
+  test('should keep line breaks and quotes of literal texts through export and import', async () => {
+    const source = '"Push"  now\nLine two';
+    const files = Object.assign({}, SAMPLE_FILES, {
+      mission: `mission = {
+    ["trig"] = { ["actions"] = {
+        [1] = ${LuaParser.quoteString(`a_out_text_delay(${LuaParser.quoteString(source)}, 10, false);`)},
+    } },
+    ["trigrules"] = {
+        [1] = { ["actions"] = {
+            [1] = { ["predicate"] = "a_out_text_delay", ["text"] = ${LuaParser.quoteString(source)}, ["seconds"] = 10 },
+        } },
+    },
+} -- end of mission
+`
+    });
+    const text = MizParser.formatAsText(MizParser.extractText(await MizParser.parse(await createMiz(files))));
+    expect(text).toContain('[TRIGGER_1_1_a_out_text_delay]: "Push" now\\nLine two');
+
+    // An untouched export leaves the mission as it was, byte for byte
+    const untouched = await JSZip.loadAsync(await MizParser.importToMiz(await createMiz(files), text, 'RU'));
+    expect(await untouched.file('mission').async('string')).toBe(files.mission);
+
+    const translated = await MizParser.parse(await MizParser.importToMiz(await createMiz(files), text
+      .replace('"Push" now\\nLine two', '"Вперёд"\\nВторая строка'), 'RU'));
+    expect(translated.missionTable.path('trigrules', 1, 'actions', 1, 'text')).toBe('"Вперёд"\nВторая строка');
+    expect(translated.missionTable.path('trig', 'actions', 1))
+      .toBe(`a_out_text_delay(${LuaParser.quoteString('"Вперёд"\nВторая строка')}, 10, false);`);
+  });
+
+  test('should write backslashes and line breaks of texts as escapes on one line', () => {
+    const text = 'C:\\Saved Games\\new\nLine two';
+    expect(MizParser.escapeLineText(text)).toBe('C:\\\\Saved Games\\\\new\\nLine two');
+    expect(MizParser.unescapeLineText(MizParser.escapeLineText(text))).toBe(text);
+
+    const mappings = MizParser.parseImportedText(`[TRIGGER_1_1_a_out_text_delay]: ${MizParser.escapeLineText(text)}`);
+    expect(mappings.triggerTexts['1_1_a_out_text_delay']).toBe(text);
+  });
+});
+
+test.describe('Miz Parser - F10 menus', () => {
+  const MENU_SCRIPT = [
+    'local support = missionCommands.addSubMenuForCoalition(coalition.side.BLUE, "Support")',
+    'missionCommands.addCommandForCoalition(coalition.side.BLUE, "Request CAS", support, function() cas() end)',
+    "missionCommands.addCommand('Smoke', {'Support'}, smoke)"
+  ].join('\n');
+  const FILES = Object.assign({}, SAMPLE_FILES, {
+    mission: `mission = {
+    ["trig"] = { ["actions"] = {
+        [1] = "a_add_radio_item(getValueDictByKey(\\"DictKey_ActionRadioText_3\\"), 1, 1); a_add_radio_item_for_group(7, \\"Tanker track\\", 2, 1);",
+        [2] = ${LuaParser.quoteString(`a_do_script(${LuaParser.quoteString(MENU_SCRIPT)})`)},
+    } },
+    ["trigrules"] = {
+        [1] = { ["actions"] = {
+            [1] = { ["predicate"] = "a_add_radio_item", ["text"] = "DictKey_ActionRadioText_3", ["flag"] = 1, ["value"] = 1 },
+            [2] = { ["predicate"] = "a_add_radio_item_for_group", ["text"] = "Tanker track", ["group"] = 7, ["flag"] = 2, ["value"] = 1 },
+        } },
+    },
+} -- end of mission
+`,
+    'l10n/DEFAULT/dictionary': `dictionary = {
+    ["DictKey_ActionRadioText_3"] = "Request picture",
+} -- end of dictionary
+`
+  });
+
+  test('should extract menu items with their path and target', async () => {
+    const parsedData = await MizParser.parse(await createMiz(FILES));
+    const result = MizParser.extractText(parsedData);
+
+    expect(result.extracted.radio).toEqual([]);
+    expect(result.extracted.menus.map(item => [item.trigger.id, item.text, item.menu])).toEqual([
+      ['1_1_a_add_radio_item', 'Request picture', { path: [], submenu: false }],
+      ['1_2_a_add_radio_item_for_group', 'Tanker track', { path: [], submenu: false }],
+      ['2_1_addSubMenuForCoalition_1', 'Support', { path: [], submenu: true }],
+      ['2_1_addCommandForCoalition_2', 'Request CAS', { path: ['Support'], submenu: false }],
+      ['2_1_addCommand_3', 'Smoke', { path: ['Support'], submenu: false }]
+    ]);
+    expect(result.extracted.menus[1].action).toMatchObject({ group: 7 });
+    expect(result.extracted.menus[3].action).toMatchObject({ coalition: 'blue' });
+
+    const text = MizParser.formatAsText(result);
+    expect(text).toContain([
+      '# addCommandForCoalition: coalition blue',
+      '# F10 menu: Other > Support',
+      '[MENU_2_1_addCommandForCoalition_2]: Request CAS'
+    ].join('\n'));
+  });
+
+  test('should import translated menu names into the mission', async () => {
+    const parsedData = await MizParser.parse(await createMiz(FILES));
+    const text = MizParser.formatAsText(MizParser.extractText(parsedData))
+      .replace(': Request picture', ': Запросить обстановку')
+      .replace(': Tanker track', ': Маршрут заправщика')
+      .replace(': Support', ': Поддержка')
+      .replace(': Request CAS', ': Запросить НАП');
+
+    const translated = await MizParser.parse(await MizParser.importToMiz(await createMiz(FILES), text, 'RU'));
+    expect(translated.dictionaries.RU.DictKey_ActionRadioText_3).toBe('Запросить обстановку');
+
+    const menus = MizParser.extractMenus(translated.missionTable, translated.dictionaries.RU);
+    expect(menus.map(item => [item.text, item.menu.path])).toEqual([
+      ['Запросить обстановку', []],
+      ['Маршрут заправщика', []],
+      ['Поддержка', []],
+      ['Запросить НАП', ['Поддержка']],
+      ['Smoke', ['Поддержка']]
+    ]);
+    // Both copies of a literal are translated
+    expect(translated.missionTable.path('trigrules', 1, 'actions', 2, 'text')).toBe('Маршрут заправщика');
+  });
+});
+
+test.describe('Miz Parser - script messages', () => {
+  const SCRIPT = [
+    "trigger.action.outText('Bandits, bullseye 270', 10)",
+    'MESSAGE:New("Tanker on station", 15, "AWACS"):ToCoalition(coalition.side.BLUE)',
+    "trigger.action.outSoundForCoalition(coalition.side.RED, 'l10n/DEFAULT/alarm.ogg')",
+    "trigger.action.outText('Target ' .. name, 5)"
+  ].join('\n');
+  const FILES = Object.assign({}, SAMPLE_FILES, {
+    mission: `mission = {
+    ["trig"] = { ["actions"] = {
+        [1] = ${LuaParser.quoteString(`a_do_script(${LuaParser.quoteString(SCRIPT)})`)},
+    } },
+    ["trigrules"] = {
+        [1] = { ["actions"] = {
+            [1] = { ["predicate"] = "a_do_script", ["text"] = ${LuaParser.quoteString(SCRIPT)} },
+        } },
+    },
+} -- end of mission
+`
+  });
+
+  test('should extract the string arguments of messages in script code', async () => {
+    const parsedData = await MizParser.parse(await createMiz(FILES));
+    const result = MizParser.extractText(parsedData);
+
+    expect(result.extracted.triggers.map(item => item.text)).not.toContain('Bandits, bullseye 270');
+    expect(result.extracted.scripts.map(item => [item.trigger.id, item.text, item.script.argument])).toEqual([
+      ['1_1_outText_1', 'Bandits, bullseye 270', 'text'],
+      ['1_1_MESSAGE_New_2', 'Tanker on station', 'text'],
+      ['1_1_MESSAGE_New_3', 'AWACS', 'title'],
+      ['1_1_outSoundForCoalition_4', 'l10n/DEFAULT/alarm.ogg', 'file']
+    ]);
+    expect(result.extracted.scripts[0].action).toMatchObject({ type: 'outText', duration: 10 });
+    expect(result.extracted.scripts[3].action).toMatchObject({ coalition: 'red' });
+
+    const text = MizParser.formatAsText(result);
+    expect(text).toContain([
+      '# MESSAGE:New: all, 15 s',
+      '# DO SCRIPT: title of MESSAGE:New()',
+      '[SCRIPT_1_1_MESSAGE_New_3]: AWACS'
+    ].join('\n'));
+  });
+
+  test('should rewrite translated strings inside the script code', async () => {
+    const parsedData = await MizParser.parse(await createMiz(FILES));
+    const text = MizParser.formatAsText(MizParser.extractText(parsedData))
+      .replace(': Bandits, bullseye 270', ': Бандиты, буллсай 270')
+      .replace(': Tanker on station', ': Заправщик на позиции')
+      .replace(': AWACS', ': ДРЛО');
+
+    const translated = await MizParser.parse(await MizParser.importToMiz(await createMiz(FILES), text, 'RU'));
+    const script = translated.missionTable.path('trigrules', 1, 'actions', 1, 'text');
+    expect(script).toBe(SCRIPT
+      .replace('Bandits, bullseye 270', 'Бандиты, буллсай 270')
+      .replace('"Tanker on station"', '"Заправщик на позиции"')
+      .replace('"AWACS"', '"ДРЛО"'));
+    expect(translated.missionTable.path('trig', 'actions', 1)).toBe(`a_do_script(${LuaParser.quoteString(script)})`);
+  });
+
+  test('should keep quotes and line breaks of script strings', async () => {
+    const script = [
+      'trigger.action.outText("Say \\"Hello\\"", 10)',
+      'MESSAGE:New("Hi \\"there\\"", 15, "Line one\\nLine two"):ToAll()'
+    ].join('\n');
+    const files = Object.assign({}, SAMPLE_FILES, {
+      mission: `mission = {
+    ["trig"] = { ["actions"] = {
+        [1] = ${LuaParser.quoteString(`a_do_script(${LuaParser.quoteString(script)})`)},
+    } },
+    ["trigrules"] = {
+        [1] = { ["actions"] = {
+            [1] = { ["predicate"] = "a_do_script", ["text"] = ${LuaParser.quoteString(script)} },
+        } },
+    },
+} -- end of mission
+`
+    });
+    const result = MizParser.extractText(await MizParser.parse(await createMiz(files)));
+    expect(result.extracted.scripts.map(item => item.text)).toEqual(['Say "Hello"', 'Hi "there"', 'Line one\nLine two']);
+
+    const text = MizParser.formatAsText(result);
+    const untouched = await JSZip.loadAsync(await MizParser.importToMiz(await createMiz(files), text, 'RU'));
+    expect(await untouched.file('mission').async('string')).toBe(files.mission);
+
+    const translated = await MizParser.parse(await MizParser.importToMiz(await createMiz(files), text
+      .replace(': Hi "there"', ': Привет "всем"')
+      .replace(': Line one\\nLine two', ': Строка один\\nСтрока два'), 'RU'));
+    const messages = MizParser.parseScriptMessages(translated.missionTable.path('trigrules', 1, 'actions', 1, 'text'));
+    expect(messages.map(message => message.text)).toEqual(['Say "Hello"', 'Привет "всем"', 'Строка один\nСтрока два']);
+  });
+});
+
+test.describe('Miz Parser - map drawings', () => {
+  const FILES = Object.assign({}, SAMPLE_FILES, {
+    mission: `mission = {
+    ["drawings"] = {
+        ["layers"] = {
+            [1] = { ["name"] = "Red", ["visible"] = true, ["objects"] = {} },
+            [2] = { ["name"] = "Blue", ["visible"] = true, ["objects"] = {
+                [1] = { ["primitiveType"] = "Polygon", ["name"] = "Kill box Alpha", ["visible"] = true },
+                [2] = { ["primitiveType"] = "Line", ["name"] = "Line 4", ["visible"] = true },
+                [3] = { ["primitiveType"] = "Polygon", ["name"] = "Hidden zone", ["visible"] = false },
+            } },
+            [5] = { ["name"] = "Author", ["visible"] = true, ["objects"] = {
+                [1] = { ["primitiveType"] = "TextBox", ["name"] = "Text Box 1", ["text"] = "Hold short of the river", ["visible"] = true },
+                [2] = { ["primitiveType"] = "TextBox", ["name"] = "Text Box 2", ["text"] = "DictKey_DrawingText_7", ["visible"] = true },
+                [3] = { ["primitiveType"] = "TextBox", ["name"] = "Text Box 3", ["text"] = "Hold short of the river", ["visible"] = true },
+            } },
+        },
+    },
+} -- end of mission
+`,
+    'l10n/DEFAULT/dictionary': `dictionary = {
+    ["DictKey_DrawingText_7"] = "SAM threat",
+} -- end of dictionary
+`
+  });
+
+  test('should extract text boxes and visible names by layer', async () => {
+    const parsedData = await MizParser.parse(await createMiz(FILES));
+    const result = MizParser.extractText(parsedData);
+
+    expect(result.extracted.drawings.map(item => [item.context, item.text, item.drawing.id])).toEqual([
+      ['Blue/Kill box Alpha', 'Kill box Alpha', '2_1_name'],
+      ['Author/Text Box 1', 'Hold short of the river', '5_1_text'],
+      ['DictKey_DrawingText_7', 'SAM threat', '5_2_text']
+    ]);
+
+    const text = MizParser.formatAsText(result);
+    expect(text).toContain([
+      'РИСУНКИ НА КАРТЕ: / MAP DRAWINGS:',
+      '',
+      '# Layer Blue: Polygon name',
+      '[DRAWING_2_1_name]: Kill box Alpha',
+      '# Layer Author: TextBox "Text Box 1"',
+      '[DRAWING_5_1_text]: Hold short of the river',
+      '# Layer Author: TextBox "Text Box 2"',
+      'DictKey_DrawingText_7: SAM threat'
+    ].join('\n'));
+  });
+
+  test('should import drawing texts into the mission file and the dictionary', async () => {
+    const parsedData = await MizParser.parse(await createMiz(FILES));
+    const text = MizParser.formatAsText(MizParser.extractText(parsedData))
+      .replace(': Kill box Alpha', ': Зона поражения Альфа')
+      .replace(': Hold short of the river', ': Не пересекать реку')
+      .replace(': SAM threat', ': Угроза ЗРК');
+
+    const translated = await MizParser.parse(await MizParser.importToMiz(await createMiz(FILES), text, 'RU'));
+    expect(translated.dictionaries.RU.DictKey_DrawingText_7).toBe('Угроза ЗРК');
+    expect(translated.dictionaries.DEFAULT.DictKey_DrawingText_7).toBe('SAM threat');
+
+    const objects = layer => translated.missionTable.path('drawings', 'layers', layer, 'objects');
+    expect(objects(2).path(1, 'name')).toBe('Зона поражения Альфа');
+    expect(objects(2).path(3, 'name')).toBe('Hidden zone');
+    // Both text boxes with the same text are translated
+    expect(objects(5).path(1, 'text')).toBe('Не пересекать реку');
+    expect(objects(5).path(3, 'text')).toBe('Не пересекать реку');
+    expect(objects(5).path(2, 'text')).toBe('DictKey_DrawingText_7');
+  });
+
+  test('should leave drawings untouched when their export is imported unchanged', async () => {
+    const files = Object.assign({}, FILES, {
+      mission: FILES.mission.replace('"Hold short of the river"', LuaParser.quoteString('Hold  short\n"Weapons hold" '))
+    });
+    const text = MizParser.formatAsText(MizParser.extractText(await MizParser.parse(await createMiz(files))));
+    expect(text).toContain('[DRAWING_5_1_text]: Hold short\\n"Weapons hold"');
+
+    const imported = await JSZip.loadAsync(await MizParser.importToMiz(await createMiz(files), text, 'RU'));
+    expect(await imported.file('mission').async('string')).toBe(files.mission);
+  });
+});
+
+test.describe('Miz Document', () => {
+  const FILES = Object.assign({}, SAMPLE_FILES, {
+    options: 'options = {\n    ["difficulty"] = { ["labels"] = 1 },\n} -- end of options\n',
+    theatre: 'Caucasus\n',
+    'l10n/DEFAULT/mapResource': 'mapResource = {\n    ["ResKey_Briefing_1"] = "brief.png",\n} -- end of mapResource\n',
+    'l10n/DEFAULT/brief.png': 'PNG',
+    'l10n/DEFAULT/radio.ogg': 'OGG',
+    'KNEEBOARD/IMAGES/page1.jpg': 'JPG',
+    'Scripts/init.lua': 'env.info("init")'
+  });
+
+  test('should load every entry with typed accessors', async () => {
+    const document = await MizDocument.load(await createMiz(FILES));
+
+    expect(document.mission.get('sortie')).toBe('DictKey_sortie_1');
+    expect(document.options.path('difficulty', 'labels')).toBe(1);
+    expect(document.theatre).toBe('Caucasus');
+    expect(document.locales).toEqual(['DEFAULT']);
+    expect(document.getDictionary('DEFAULT').DictKey_sortie_1).toBe('Operation Dawn');
+    expect(document.getMapResource('DEFAULT')).toEqual({ ResKey_Briefing_1: 'brief.png' });
+    expect(document.getResources('DEFAULT')).toEqual([
+      { path: 'l10n/DEFAULT/brief.png', name: 'brief.png', type: 'image' },
+      { path: 'l10n/DEFAULT/radio.ogg', name: 'radio.ogg', type: 'sound' }
+    ]);
+    expect(document.kneeboard).toEqual(['KNEEBOARD/IMAGES/page1.jpg']);
+    expect(document.scripts).toEqual(['Scripts/init.lua']);
+    expect(await document.getFile('Scripts/init.lua')).toBe('env.info("init")');
+  });
+
+  test('should update parsed entries and save a new archive', async () => {
+    const document = await MizDocument.load(await createMiz(FILES));
+
+    document.setFile('l10n/RU/dictionary', 'dictionary = { ["DictKey_sortie_1"] = "Операция Рассвет" }');
+    document.removeFile('Scripts/init.lua');
+
+    expect(document.locales).toEqual(['DEFAULT', 'RU']);
+    expect(document.getDictionary('RU').DictKey_sortie_1).toBe('Операция Рассвет');
+    expect(document.scripts).toEqual([]);
+
+    const reloaded = await MizDocument.load(await document.save({ type: 'nodebuffer' }));
+    expect(reloaded.getDictionary('RU').DictKey_sortie_1).toBe('Операция Рассвет');
+    expect(reloaded.hasFile('Scripts/init.lua')).toBe(false);
+    expect(await reloaded.getFile('KNEEBOARD/IMAGES/page1.jpg')).toBe('JPG');
+  });
+
+  test('should validate and import into the same document', async () => {
+    const document = await MizDocument.load(await createMiz(FILES), { parse: false });
+
+    expect((await MizParser.validateMiz(document)).valid).toBe(true);
+    await MizParser.importToMiz(document, '[Briefing] Sortie: Операция Рассвет', 'RU');
+
+    expect(document.modified.has('l10n/RU/dictionary')).toBe(true);
+    expect(await document.getFile('l10n/RU/brief.png')).toBe('PNG');
+    expect(() => document.options).toThrow('has not been parsed');
+  });
+
+  test('should make no edits when an untouched export is imported', async () => {
+    const files = Object.assign({}, SAMPLE_FILES, {
+      mission: SAMPLE_FILES.mission.replace('["sortie"] = "DictKey_sortie_1",',
+        `["sortie"] = "DictKey_sortie_1",\n    ["descriptionText"] = ${LuaParser.quoteString('Take off  at dawn.\n"Weapons free" ')},`)
+    });
+    const text = MizParser.formatAsText(MizParser.extractText(await MizParser.parse(await createMiz(files))));
+    expect(text).toContain('Briefing_Description: Take off at dawn.\\n"Weapons free"');
+
+    const document = await MizDocument.load(await createMiz(files), { parse: false });
+    await MizParser.importToMiz(document, text, 'RU');
+
+    expect(document.modified.has('mission')).toBe(false);
+    expect(await document.getFile('l10n/RU/dictionary')).toBe(files['l10n/DEFAULT/dictionary']);
+  });
+
+  test('should copy untouched entries with their compression, date and order', async () => {
+    const date = new Date('2020-05-01T10:00:00Z');
+    const zip = new JSZip();
+    zip.file('mission', SAMPLE_FILES.mission, { date: date });
+    zip.file('l10n/DEFAULT/dictionary', SAMPLE_FILES['l10n/DEFAULT/dictionary'], { date: date });
+    zip.file('l10n/DEFAULT/radio.ogg', Buffer.from('OggS sound'), { date: date, compression: 'STORE' });
+    zip.file('options', 'options = {}', { date: date });
+    const original = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+
+    const translated = await MizParser.importToMiz(original, 'DictKey_sortie_1: Операция Рассвет', 'RU');
+    const document = await MizDocument.load(translated, { parse: false });
+    expect(document.listFiles()).toEqual([
+      'mission', 'l10n/DEFAULT/dictionary', 'l10n/DEFAULT/radio.ogg', 'options',
+      'l10n/RU/radio.ogg', 'l10n/RU/dictionary', 'l10n/RU/translation-meta'
+    ]);
+    for (const path of ['mission', 'l10n/DEFAULT/dictionary', 'l10n/DEFAULT/radio.ogg', 'options']) {
+      expect(document.zip.file(path).date.getTime()).toBe(date.getTime());
+    }
+    expect(MizDocument.entryCompression(document.zip.file('l10n/DEFAULT/radio.ogg'))).toBe('STORE');
+    expect(MizDocument.entryCompression(document.zip.file('mission'))).toBe('DEFLATE');
+
+    // Importing the same text again changes nothing
+    await MizParser.importToMiz(document, 'DictKey_sortie_1: Операция Рассвет', 'RU');
+    expect(Array.from(document.modified)).toEqual([]);
+  });
+
+  test('should read non-standard archive layouts and save the canonical one', async () => {
+    const miz = await createMiz({
+      'Op Dawn\\mission': SAMPLE_FILES.mission,
+      'Op Dawn\\L10N\\Default\\Dictionary': 'dictionary = { ["DictKey_sortie_1"] = "Old name" }',
+      'Op Dawn/l10n/DEFAULT/dictionary': SAMPLE_FILES['l10n/DEFAULT/dictionary']
+    });
+
+    const parsedData = await MizParser.parse(miz);
+    expect(parsedData.availableLocales).toEqual(['DEFAULT']);
+    expect(parsedData.pathFixes).toEqual([
+      { from: 'Op Dawn\\mission', to: 'mission', duplicate: false },
+      { from: 'Op Dawn\\L10N\\Default\\Dictionary', to: 'l10n/DEFAULT/dictionary', duplicate: true },
+      { from: 'Op Dawn/l10n/DEFAULT/dictionary', to: 'l10n/DEFAULT/dictionary', duplicate: false }
+    ]);
+    const result = MizParser.extractText(parsedData);
+    expect(result.extracted.briefings[0].text).toBe('Operation Dawn');
+    expect(result.validation.warnings).toContain('Archive entry "Op Dawn\\mission" read as "mission"; it will be saved there on import');
+
+    const validation = await MizParser.validateMiz(miz);
+    expect(validation.valid).toBe(true);
+    expect(validation.warnings).toContain('Duplicate entry "Op Dawn\\L10N\\Default\\Dictionary" ignored; "l10n/DEFAULT/dictionary" is used');
+
+    const imported = await MizDocument.load(await MizParser.importToMiz(miz, 'DictKey_sortie_1: Операция Рассвет', 'RU'));
+    expect(imported.pathFixes).toEqual([]);
+    expect(imported.listFiles().sort()).toEqual(['l10n/DEFAULT/dictionary', 'l10n/RU/dictionary', 'l10n/RU/translation-meta', 'mission']);
+    expect(imported.getDictionary('RU').DictKey_sortie_1).toBe('Операция Рассвет');
+  });
+});
+
+/**
+ * Encode text as Windows-1251 (ASCII and А-я only)
+ * @param {string} text
+ * @returns {Buffer}
+ */
+function toWindows1251(text) {
+  return Buffer.from(Array.from(text, char => {
+    const code = char.charCodeAt(0);
+    return code >= 0x410 && code <= 0x44F ? code - 0x410 + 0xC0 : code;
+  }));
+}
+
+test.describe('Miz Document - encodings', () => {
+  test('should detect BOMs, code pages and mixed files', () => {
+    expect(MizDocument.decodeText(toWindows1251('["k"] = "Привет, пилот"'))).toEqual({
+      text: '["k"] = "Привет, пилот"',
+      encoding: 'windows-1251'
+    });
+    expect(MizDocument.decodeText(Buffer.from('\uFEFFdictionary = {}'))).toEqual({
+      text: 'dictionary = {}',
+      encoding: 'utf-8-bom'
+    });
+    expect(MizDocument.decodeText(Buffer.from([0x43, 0x61, 0x66, 0xE9]))).toEqual({
+      text: 'Café',
+      encoding: 'windows-1252'
+    });
+    expect(MizDocument.decodeText(Buffer.concat([Buffer.from('Ответ: '), toWindows1251('Привет')]))).toEqual({
+      text: 'Ответ: Привет',
+      encoding: 'utf-8+windows-1251'
+    });
+  });
+
+  test('should decode legacy dictionaries, warn, and import them as UTF-8', async () => {
+    const files = {
+      mission: Buffer.from('\uFEFF' + SAMPLE_FILES.mission),
+      'l10n/DEFAULT/dictionary': toWindows1251(SAMPLE_FILES['l10n/DEFAULT/dictionary']
+        .replace('Operation Dawn', 'Операция Рассвет'))
+    };
+    const parsedData = await MizParser.parse(await createMiz(files));
+    expect(parsedData.encodings).toEqual({ mission: 'utf-8-bom', 'l10n/DEFAULT/dictionary': 'windows-1251' });
+
+    const result = MizParser.extractText(parsedData);
+    expect(result.extracted.briefings[0].text).toBe('Операция Рассвет');
+    expect(result.validation.warnings).toContain(
+      'l10n/DEFAULT/dictionary is saved as Windows-1251, not UTF-8; it was decoded and will be written as UTF-8 on import');
+
+    const imported = await MizDocument.load(await MizParser.importToMiz(await createMiz(files), '', 'RU'), { parse: false });
+    for (const path of ['mission', 'l10n/DEFAULT/dictionary', 'l10n/RU/dictionary']) {
+      const bytes = await imported.getFile(path, 'uint8array');
+      expect(MizDocument.hasBom(bytes)).toBe(false);
+      expect(MizDocument.isUtf8(bytes)).toBe(true);
+    }
+    expect(await imported.getFile('l10n/RU/dictionary')).toContain('"Операция Рассвет"');
+  });
+});
+
+test.describe('Miz Parser - image resources', () => {
+  const FILES = Object.assign({}, SAMPLE_FILES, {
+    mission: `mission = {
+    ["pictureFileNameB"] = { [1] = "ResKey_ImageBriefing_1" },
+    ["trig"] = { ["actions"] = { [1] = "a_out_picture(getValueResourceByKey(\\"ResKey_Action_2\\"), 10, false, 0, \\"1\\", \\"0\\", 30, \\"0\\", \\"1\\");" } },
+} -- end of mission
+`,
+    'l10n/DEFAULT/mapResource': `mapResource = 
+{
+\t["ResKey_ImageBriefing_1"] = "brief.png",
+\t["ResKey_Action_2"] = "map.jpg",
+\t["ResKey_Action_3"] = "radio.ogg",
+} -- end of mapResource
+`,
+    'l10n/DEFAULT/brief.png': 'PNG',
+    'l10n/DEFAULT/map.jpg': 'JPG',
+    'l10n/RU/dictionary': 'dictionary = {}',
+    'l10n/RU/mapResource': 'mapResource = { ["ResKey_ImageBriefing_1"] = "brief_ru.png" }',
+    'l10n/RU/brief_ru.png': 'PNG'
+  });
+
+  test('should list the images each locale references', async () => {
+    const images = MizParser.extractImageResources(await MizParser.parse(await createMiz(FILES)));
+
+    expect(images.locales.DEFAULT.map(image => [image.resKey, image.fileName, image.usage])).toEqual([
+      ['ResKey_ImageBriefing_1', 'brief.png', ['pictureFileNameB']],
+      ['ResKey_Action_2', 'map.jpg', ['a_out_picture']]
+    ]);
+    expect(images.locales.RU).toMatchObject([
+      { resKey: 'ResKey_ImageBriefing_1', path: 'l10n/RU/brief_ru.png', localized: true, exists: true },
+      { resKey: 'ResKey_Action_2', path: 'l10n/DEFAULT/map.jpg', localized: false, exists: true }
+    ]);
+  });
+
+  test('should import replacement images into the target locale only', async () => {
+    const document = await MizDocument.load(await createMiz(FILES), { parse: false });
+    await MizParser.importToMiz(document, '', 'DE', () => {}, {
+      resources: { ResKey_Action_2: { name: 'map_de.jpg', data: Buffer.from('JPG-DE') } }
+    });
+
+    const saved = await MizDocument.load(await document.save({ type: 'nodebuffer' }));
+    expect(await saved.getFile('l10n/DE/map_de.jpg')).toBe('JPG-DE');
+    expect(saved.getMapResource('DE')).toEqual({
+      ResKey_ImageBriefing_1: 'brief.png',
+      ResKey_Action_2: 'map_de.jpg',
+      ResKey_Action_3: 'radio.ogg'
+    });
+    expect(saved.getMapResource('DEFAULT').ResKey_Action_2).toBe('map.jpg');
+  });
+
+  test('should keep the images of the target locale when importing text again', async () => {
+    const document = await MizDocument.load(await createMiz(FILES), { parse: false });
+    await MizParser.importToMiz(document, 'DictKey_sortie_1: Операция Рассвет', 'RU');
+
+    const saved = await MizDocument.load(await document.save({ type: 'nodebuffer' }));
+    expect(saved.getMapResource('RU')).toEqual({ ResKey_ImageBriefing_1: 'brief_ru.png' });
+    expect(await saved.getFile('l10n/RU/mapResource')).toBe(FILES['l10n/RU/mapResource']);
+    expect(await saved.getFile('l10n/RU/brief_ru.png')).toBe('PNG');
+    expect(MizParser.extractImageResources(await MizParser.parse(await saved.save({ type: 'nodebuffer' }))).locales.RU)
+      .toMatchObject([{ resKey: 'ResKey_ImageBriefing_1', path: 'l10n/RU/brief_ru.png', localized: true }, { localized: false }]);
+  });
+
+  test('should append new ResKeys to a mapResource file', async () => {
+    expect(MizParser.updateMapResource('mapResource = {\n\t["ResKey_A"] = "a.png"\n}', { ResKey_B: 'b.png' }))
+      .toBe('mapResource = {\n\t["ResKey_A"] = "a.png",\n\t["ResKey_B"] = "b.png",\n}');
+  });
+});
+
+test.describe('Miz Parser - audio resources', () => {
+  const FILES = Object.assign({}, SAMPLE_FILES, {
+    mission: `mission = {
+    ["trig"] = { ["actions"] = {
+        [1] = "a_radio_transmission(getValueResourceByKey(\\"ResKey_Action_1\\"), \\"Radio Tower\\", 0, false, 124000000, 100, \\"Tower\\", 15); a_out_text_delay(getValueDictByKey(\\"DictKey_ActionText_2\\"), 10, false);",
+        [2] = "a_out_sound(getValueResourceByKey(\\"ResKey_Action_3\\"), 0, false, getValueDictByKey(\\"DictKey_subtitle_4\\"), 5);",
+    } },
+} -- end of mission
+`,
+    'l10n/DEFAULT/dictionary': `dictionary = {
+    ["DictKey_ActionText_2"] = "Cleared to land",
+    ["DictKey_subtitle_4"] = "Welcome aboard",
+} -- end of dictionary
+`,
+    'l10n/DEFAULT/mapResource': `mapResource = {
+    ["ResKey_Action_1"] = "tower.ogg",
+    ["ResKey_Action_3"] = "welcome.ogg",
+} -- end of mapResource
+`,
+    'l10n/DEFAULT/tower.ogg': 'OGG',
+    'l10n/DEFAULT/welcome.ogg': 'OGG'
+  });
+
+  test('should list sounds with their subtitles and files', async () => {
+    const parsedData = await MizParser.parse(await createMiz(FILES));
+
+    expect(MizParser.extractAudioResources(parsedData).DEFAULT).toEqual([
+      {
+        resKey: 'ResKey_Action_1', fileName: 'tower.ogg', path: 'l10n/DEFAULT/tower.ogg', usage: ['a_radio_transmission'],
+        localized: true, exists: true, subtitleKey: 'DictKey_ActionText_2', subtitle: 'Cleared to land'
+      },
+      {
+        resKey: 'ResKey_Action_3', fileName: 'welcome.ogg', path: 'l10n/DEFAULT/welcome.ogg', usage: ['a_out_sound'],
+        localized: true, exists: true, subtitleKey: 'DictKey_subtitle_4', subtitle: 'Welcome aboard'
+      }
+    ]);
+    const radioTexts = MizParser.extractRadioMessages(parsedData.missionTable, parsedData.dictionaries.DEFAULT)
+      .map(message => message.text);
+    expect(radioTexts).toContain('Cleared to land');
+    expect(radioTexts.filter(text => /^\[(Radio Sound|Resource)\]/.test(text))).toEqual([]);
+  });
+
+  test('should import localized recordings without touching DEFAULT', async () => {
+    const document = await MizDocument.load(await createMiz(FILES), { parse: false });
+    await MizParser.importToMiz(document, '', 'RU', () => {}, {
+      resources: { ResKey_Action_3: { name: 'welcome_ru.ogg', data: Buffer.from('OGG-RU') } }
+    });
+
+    const saved = await MizDocument.load(await document.save({ type: 'nodebuffer' }));
+    expect(saved.getMapResource('RU').ResKey_Action_3).toBe('welcome_ru.ogg');
+    expect(await saved.getFile('l10n/RU/welcome_ru.ogg')).toBe('OGG-RU');
+    expect(saved.getMapResource('DEFAULT').ResKey_Action_3).toBe('welcome.ogg');
+    expect(saved.listFiles('l10n/DEFAULT/')).toEqual([
+      'l10n/DEFAULT/dictionary', 'l10n/DEFAULT/mapResource', 'l10n/DEFAULT/tower.ogg', 'l10n/DEFAULT/welcome.ogg'
+    ]);
+  });
+
+  test('should keep localized recordings when importing text again without them', async () => {
+    const document = await MizDocument.load(await createMiz(FILES), { parse: false });
+    await MizParser.importToMiz(document, '', 'RU', () => {}, {
+      resources: { ResKey_Action_3: { name: 'welcome_ru.ogg', data: Buffer.from('OGG-RU') } }
+    });
+    const first = await document.save({ type: 'nodebuffer' });
+
+    const again = await MizDocument.load(first, { parse: false });
+    await MizParser.importToMiz(again, 'DictKey_subtitle_4: Добро пожаловать на борт', 'RU');
+
+    const saved = await MizDocument.load(await again.save({ type: 'nodebuffer' }));
+    expect(saved.getMapResource('RU')).toEqual({ ResKey_Action_1: 'tower.ogg', ResKey_Action_3: 'welcome_ru.ogg' });
+    expect(await saved.getFile('l10n/RU/welcome_ru.ogg')).toBe('OGG-RU');
+    const audio = MizParser.extractAudioResources(await MizParser.parse(await again.save({ type: 'nodebuffer' })));
+    expect(audio.RU.find(sound => sound.resKey === 'ResKey_Action_3')).toMatchObject({
+      path: 'l10n/RU/welcome_ru.ogg', subtitle: 'Добро пожаловать на борт'
+    });
+  });
+});
+
+test.describe('Miz Parser - locale table', () => {
+  const parsedData = {
+    availableLocales: ['DEFAULT', 'RU', 'DE'],
+    dictionaries: {
+      DEFAULT: { DictKey_sortie_1: 'Operation Dawn', DictKey_ActionText_2: 'Say "hello",\nthen leave' },
+      RU: { DictKey_sortie_1: 'Операция Рассвет' },
+      DE: { DictKey_sortie_1: 'Operation Morgengrauen', DictKey_ActionText_2: 'Sag "hallo"', DictKey_Extra_3: 'Nur DE' }
+    }
+  };
+
+  test('should line up every DictKey across locales and mark missing entries', async () => {
+    const table = MizParser.extractLocaleTable(parsedData);
+
+    expect(table.locales).toEqual(['DEFAULT', 'RU', 'DE']);
+    expect(table.rows.map(row => [row.dictKey, row.missing])).toEqual([
+      ['DictKey_sortie_1', []],
+      ['DictKey_ActionText_2', ['RU']],
+      ['DictKey_Extra_3', ['DEFAULT', 'RU']]
+    ]);
+    expect(table.stats.byLocale.RU).toEqual({ present: 1, missing: 2 });
+    expect(JSON.parse(MizParser.formatLocaleTableAsJson(table)).missing.RU)
+      .toEqual(['DictKey_ActionText_2', 'DictKey_Extra_3']);
+  });
+
+  test('should write a CSV column per locale', async () => {
+    const csv = MizParser.formatLocaleTableAsCsv(MizParser.extractLocaleTable(parsedData));
+
+    expect(csv.split('\r\n')).toEqual([
+      'DictKey,DEFAULT,RU,DE',
+      'DictKey_sortie_1,Operation Dawn,Операция Рассвет,Operation Morgengrauen',
+      'DictKey_ActionText_2,"Say ""hello"",\nthen leave",<missing>,"Sag ""hallo"""',
+      'DictKey_Extra_3,<missing>,<missing>,Nur DE',
+      ''
+    ]);
+  });
+});
+
+test.describe('Miz Parser - revision compare', () => {
+  const revision = (dictionary, sortie) => createMiz({
+    mission: `mission = {
+    ["sortie"] = "${sortie}",
+    ["trig"] = { ["actions"] = {
+        [1] = "a_out_text_delay(getValueDictByKey(\\"DictKey_ActionText_1\\"), 10, false);",
+        [2] = "a_out_text_delay(getValueDictByKey(\\"DictKey_ActionText_2\\"), 10, false);",
+        [3] = "a_out_text_delay(getValueDictByKey(\\"DictKey_ActionText_3\\"), 10, false);",
+    } },
+} -- end of mission
+`,
+    'l10n/DEFAULT/dictionary': `dictionary = {
+${Object.entries(dictionary).map(([key, text]) => `    ["${key}"] = "${text}",`).join('\n')}
+} -- end of dictionary
+`
+  });
+
+  test('should diff texts word by word', async () => {
+    const diff = MizParser.diffWords('Bandits bearing 270, angels 20', 'Bandits bearing 090, angels 20');
+
+    expect(diff).toEqual([
+      { type: 'equal', text: 'Bandits bearing ' },
+      { type: 'removed', text: '270,' },
+      { type: 'added', text: '090,' },
+      { type: 'equal', text: ' angels 20' }
+    ]);
+    expect(MizParser.formatWordDiff(diff)).toBe('Bandits bearing [-270,-]{+090,+} angels 20');
+  });
+
+  test('should report added, removed and changed strings', async () => {
+    const oldData = await MizParser.parse(await revision({
+      DictKey_ActionText_1: 'Take off',
+      DictKey_ActionText_2: 'Bandits bearing 270'
+    }, 'Operation Dawn'));
+    const newData = await MizParser.parse(await revision({
+      DictKey_ActionText_2: 'Bandits bearing 090',
+      DictKey_ActionText_3: 'Return to base'
+    }, 'Operation Dusk'));
+
+    const comparison = MizParser.compareMissions(oldData, newData);
+
+    expect(comparison.added.map(item => item.key)).toEqual(['DictKey_ActionText_3']);
+    expect(comparison.removed.map(item => item.key)).toEqual(['DictKey_ActionText_1']);
+    expect(comparison.changed.map(item => [item.key, item.oldText, item.text])).toEqual([
+      ['Briefing:Mission Name', 'Operation Dawn', 'Operation Dusk'],
+      ['DictKey_ActionText_2', 'Bandits bearing 270', 'Bandits bearing 090']
+    ]);
+
+    const delta = MizParser.formatAsText(MizParser.buildDeltaResult(comparison));
+    expect(delta).toContain('DictKey_ActionText_3: Return to base');
+    expect(delta).toContain('DictKey_ActionText_2: Bandits bearing 090');
+    expect(delta).not.toContain('Take off');
+  });
+
+  test('should import a delta export of literal texts back into the mission', async () => {
+    const literals = (push, hold) => createMiz({
+      mission: `mission = {
+    ["trig"] = { ["actions"] = {
+        [1] = "a_out_text_delay(\\"${push}\\", 10, false);",
+        [2] = "a_out_text_delay(\\"Bingo fuel\\", 10, false);",
+    } },
+    ["drawings"] = { ["layers"] = {
+        [1] = { ["name"] = "Author", ["visible"] = true, ["objects"] = {
+            [1] = { ["primitiveType"] = "TextBox", ["name"] = "Text Box 1", ["text"] = "${hold}", ["visible"] = true },
+        } },
+    } },
+} -- end of mission
+`,
+      'l10n/DEFAULT/dictionary': 'dictionary = {\n} -- end of dictionary\n'
+    });
+    const newMiz = await literals('Push now, push', 'Hold short of the river');
+    const comparison = MizParser.compareMissions(
+      await MizParser.parse(await literals('Push now', 'Hold short')), await MizParser.parse(newMiz));
+
+    const delta = MizParser.formatAsText(MizParser.buildDeltaResult(comparison));
+    expect(delta).toContain('[TRIGGER_1_1_a_out_text_delay]: Push now, push');
+    expect(delta).toContain('# Layer Author: TextBox "Text Box 1"\n[DRAWING_1_1_text]: Hold short of the river');
+    expect(delta).not.toContain('Bingo fuel');
+
+    const translated = delta
+      .replace(': Push now, push', ': Вперёд, вперёд')
+      .replace(': Hold short of the river', ': Не пересекать реку');
+    const mappings = MizParser.parseImportedText(translated);
+    expect(mappings.triggerTexts).toEqual({ '1_1_a_out_text_delay': 'Вперёд, вперёд' });
+    expect(mappings.drawingTexts).toEqual({ '1_1_text': 'Не пересекать реку' });
+
+    const imported = await MizParser.parse(await MizParser.importToMiz(newMiz, translated, 'RU'));
+    expect(imported.missionTable.path('trig', 'actions', 1)).toBe('a_out_text_delay("Вперёд, вперёд", 10, false);');
+    expect(imported.missionTable.path('trig', 'actions', 2)).toBe('a_out_text_delay("Bingo fuel", 10, false);');
+    expect(imported.missionTable.path('drawings', 'layers', 1, 'objects', 1, 'text')).toBe('Не пересекать реку');
+  });
+});
+
+test.describe('Miz Parser - stale translations', () => {
+  test('should flag translations whose DEFAULT text changed after import', async () => {
+    const translated = await MizParser.importToMiz(await createMiz(SAMPLE_FILES),
+      'DictKey_sortie_1: Операция Рассвет\nDictKey_ActionText_2: Бандиты, азимут 270', 'RU');
+
+    const document = await MizDocument.load(translated);
+    expect(document.getTranslationMeta('RU').DictKey_ActionText_2).toEqual({
+      hash: MizParser.hashText('Bandits, bearing 270'),
+      source: 'Bandits, bearing 270'
+    });
+
+    // The author edits the English text after translation
+    const defaultDict = await document.getFile('l10n/DEFAULT/dictionary');
+    document.setFile('l10n/DEFAULT/dictionary', defaultDict.replace('bearing 270', 'bearing 090'));
+    const parsedData = await MizParser.parse(await document.save());
+
+    const result = MizParser.extractText(parsedData, { preferredLocale: 'RU' });
+    expect(result.stats.stale).toBe(1);
+    expect(result.extracted.briefings[0].stale).toBeUndefined();
+    expect(result.extracted.triggers[0]).toMatchObject({
+      text: 'Бандиты, азимут 270',
+      stale: { oldSource: 'Bandits, bearing 270', newSource: 'Bandits, bearing 090' }
+    });
+
+    const text = MizParser.formatAsText(result);
+    expect(text).toContain([
+      'DictKey_ActionText_2: Бандиты, азимут 270',
+      '# NEEDS UPDATE / ТРЕБУЕТ ОБНОВЛЕНИЯ',
+      '# Old source: Bandits, bearing 270',
+      '# New source: Bandits, bearing 090'
+    ].join('\n'));
+    expect(MizParser.parseImportedText(text).keyMappings.DictKey_ActionText_2).toBe('Бандиты, азимут 270');
+    expect(JSON.parse(MizParser.formatAsJson(result)).strings.triggers_2).toMatchObject({
+      needsUpdate: true,
+      oldSource: 'Bandits, bearing 270',
+      newSource: 'Bandits, bearing 090'
+    });
+  });
+
+  test('should hash the DEFAULT value itself, so whitespace edits count as changes', async () => {
+    const files = Object.assign({}, SAMPLE_FILES, {
+      'l10n/DEFAULT/dictionary': SAMPLE_FILES['l10n/DEFAULT/dictionary'].replace('"Operation Dawn"', '"Operation Dawn "')
+    });
+    const document = await MizDocument.load(await MizParser.importToMiz(await createMiz(files),
+      'DictKey_sortie_1: Операция Рассвет', 'RU'));
+    expect(document.getTranslationMeta('RU').DictKey_sortie_1).toEqual({
+      hash: MizParser.hashText('Operation Dawn '),
+      source: 'Operation Dawn'
+    });
+
+    const defaultDict = await document.getFile('l10n/DEFAULT/dictionary');
+    document.setFile('l10n/DEFAULT/dictionary', defaultDict.replace('"Operation Dawn "', '"Operation Dawn"'));
+    const result = MizParser.extractText(await MizParser.parse(await document.save()), { preferredLocale: 'RU' });
+    expect(result.extracted.briefings[0]).toMatchObject({
+      text: 'Операция Рассвет',
+      stale: { oldSource: 'Operation Dawn', newSource: 'Operation Dawn' }
+    });
+  });
+
+  test('should keep the sources of earlier translations when importing again', async () => {
+    const first = await MizParser.importToMiz(await createMiz(SAMPLE_FILES),
+      'DictKey_sortie_1: Операция Рассвет\nDictKey_ActionText_2: Бандиты, азимут 270', 'RU');
+    const second = await MizParser.importToMiz(first, 'DictKey_sortie_1: Операция Заря', 'RU');
+    const expected = {
+      DictKey_sortie_1: { hash: MizParser.hashText('Operation Dawn'), source: 'Operation Dawn' },
+      DictKey_ActionText_2: { hash: MizParser.hashText('Bandits, bearing 270'), source: 'Bandits, bearing 270' }
+    };
+    expect((await MizDocument.load(second)).getTranslationMeta('RU')).toEqual(expected);
+
+    // An import without DictKeys leaves the meta as it was
+    const third = await MizParser.importToMiz(second, 'Briefing_Description: Описание', 'RU');
+    expect((await MizDocument.load(third)).getTranslationMeta('RU')).toEqual(expected);
+  });
+});
+
+test.describe('Miz Parser - translation memory', () => {
+  test('should find exact and similar translations', () => {
+    const memory = new TranslationMemory();
+    memory.add('Splash one', 'Минус один', 'RU');
+    memory.add('Bandits, bearing 270', 'Бандиты, азимут 270', 'RU');
+
+    expect(memory.lookup('Splash  one', 'RU').target).toBe('Минус один');
+    expect(memory.lookup('Splash one', 'DE')).toBeNull();
+
+    const suggestions = memory.suggest('Bandits, bearing 090', 'RU');
+    expect(suggestions).toHaveLength(1);
+    expect(suggestions[0].target).toBe('Бандиты, азимут 270');
+    expect(suggestions[0].score).toBeGreaterThan(0.8);
+    expect(suggestions[0].score).toBeLessThan(1);
+  });
+
+  test('should keep the line breaks of remembered texts', () => {
+    const memory = new TranslationMemory();
+    memory.add('Line one\nLine two', 'Строка один\nСтрока два', 'RU');
+    expect(memory.lookup('Line one Line two', 'RU')).toMatchObject({
+      source: 'Line one\nLine two',
+      target: 'Строка один\nСтрока два'
+    });
+
+    const extracted = { extracted: { briefings: [{ category: 'Briefing', context: 'Description', text: 'Line one Line two' }] }, stats: {} };
+    const prefilled = MizParser.applyTranslationMemory(extracted, memory, 'RU');
+    expect(prefilled.extracted.briefings[0].text).toBe('Строка один\nСтрока два');
+  });
+
+  test('should fill the memory on import and pre-fill the next export', async () => {
+    const memory = new TranslationMemory();
+    const document = await MizDocument.load(await createMiz(SAMPLE_FILES), { parse: false });
+    await MizParser.importToMiz(document, 'DictKey_ActionText_2: Бандиты, азимут 270', 'RU', () => {}, {
+      memory: memory
+    });
+    expect(memory.exportData().entries).toMatchObject([
+      { source: 'Bandits, bearing 270', target: 'Бандиты, азимут 270', targetLocale: 'RU' }
+    ]);
+
+    const files = Object.assign({}, SAMPLE_FILES, {
+      'l10n/DEFAULT/dictionary': SAMPLE_FILES['l10n/DEFAULT/dictionary'].replace('bearing 270', 'bearing 090')
+    });
+    const parsedData = await MizParser.parse(await createMiz(files));
+    const prefilled = MizParser.applyTranslationMemory(MizParser.extractText(parsedData), memory, 'RU');
+    expect(prefilled.stats.memory).toEqual({ exact: 0, fuzzy: 1 });
+
+    const text = MizParser.formatAsText(prefilled);
+    expect(text).toMatch(/DictKey_ActionText_2: Bandits, bearing 090\n# TM \d+%: Бандиты, азимут 270/);
+    expect(MizParser.parseImportedText(text).keyMappings).toEqual({
+      DictKey_sortie_1: 'Operation Dawn',
+      DictKey_ActionText_2: 'Bandits, bearing 090'
+    });
+
+    const original = await MizParser.parse(await createMiz(SAMPLE_FILES));
+    const exact = MizParser.applyTranslationMemory(MizParser.extractText(original), memory, 'RU');
+    expect(exact.extracted.triggers[0]).toMatchObject({
+      text: 'Бандиты, азимут 270',
+      memory: { match: 'exact', source: 'Bandits, bearing 270' }
+    });
+    expect(MizParser.formatAsText(exact))
+      .toContain('DictKey_ActionText_2: Бандиты, азимут 270\n# TM exact match: Bandits, bearing 270');
+  });
+
+  test('should remember translations of texts stored in the mission', async () => {
+    const script = 'trigger.action.outText("Splash one", 10)\nmissionCommands.addCommand("Request CAS", nil, cas)';
+    const files = {
+      mission: `mission = {
+    ["sortie"] = "Operation Dawn",
+    ["trig"] = { ["actions"] = {
+        [1] = "a_out_text_delay(\\"Push now\\", 10, false);",
+        [2] = ${LuaParser.quoteString(`a_do_script(${LuaParser.quoteString(script)})`)},
+    } },
+    ["drawings"] = { ["layers"] = {
+        [1] = { ["name"] = "Author", ["visible"] = true, ["objects"] = {
+            [1] = { ["primitiveType"] = "TextBox", ["name"] = "Text Box 1", ["text"] = "Hold short", ["visible"] = true },
+        } },
+    } },
+} -- end of mission
+`,
+      'l10n/DEFAULT/dictionary': 'dictionary = {\n} -- end of dictionary\n'
+    };
+    const text = MizParser.formatAsText(MizParser.extractText(await MizParser.parse(await createMiz(files))))
+      .replace(': Operation Dawn', ': Операция Рассвет')
+      .replace(': Push now', ': Вперёд')
+      .replace(': Splash one', ': Минус один')
+      .replace(': Request CAS', ': Запросить НАП')
+      .replace(': Hold short', ': Стоять');
+
+    const memory = new TranslationMemory();
+    await MizParser.importToMiz(await createMiz(files), text, 'RU', () => {}, { memory: memory });
+    expect(memory.exportData().entries.map(entry => [entry.source, entry.target]).sort()).toEqual([
+      ['Hold short', 'Стоять'],
+      ['Operation Dawn', 'Операция Рассвет'],
+      ['Push now', 'Вперёд'],
+      ['Request CAS', 'Запросить НАП'],
+      ['Splash one', 'Минус один']
+    ]);
+  });
+
+  test('should parse the mission once per import', async () => {
+    const files = {
+      mission: `mission = {
+    ["sortie"] = "Operation Dawn",
+    ["trig"] = { ["actions"] = { [1] = "a_out_text_delay(\\"Push now\\", 10, false);" } },
+    ["drawings"] = { ["layers"] = {
+        [1] = { ["name"] = "Author", ["visible"] = true, ["objects"] = {
+            [1] = { ["primitiveType"] = "TextBox", ["name"] = "Text Box 1", ["text"] = "Hold short", ["visible"] = true },
+        } },
+    } },
+} -- end of mission
+`,
+      'l10n/DEFAULT/dictionary': 'dictionary = {\n} -- end of dictionary\n'
+    };
+    const text = MizParser.formatAsText(MizParser.extractText(await MizParser.parse(await createMiz(files))))
+      .replace(': Operation Dawn', ': Операция Рассвет')
+      .replace(': Push now', ': Вперёд')
+      .replace(': Hold short', ': Стоять');
+
+    const parseTree = LuaParser.parseTree;
+    let missionParses = 0;
+    LuaParser.parseTree = function(source, ...args) {
+      if (source.startsWith('mission =')) missionParses++;
+      return parseTree.call(this, source, ...args);
+    };
+    let blob;
+    try {
+      blob = await MizParser.importToMiz(await createMiz(files), text, 'RU', () => {}, { memory: new TranslationMemory() });
+    } finally {
+      LuaParser.parseTree = parseTree;
+    }
+    expect(missionParses).toBe(1);
+
+    const mission = await (await JSZip.loadAsync(blob)).file('mission').async('string');
+    expect(mission).toContain('["sortie"] = "Операция Рассвет"');
+    expect(mission).toContain('a_out_text_delay(\\"Вперёд\\", 10, false);');
+    expect(mission).toContain('["text"] = "Стоять"');
+  });
+
+  test('should share entries through a JSON file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'miz-tm-'));
+    try {
+      const store = new TranslationMemory.FileStore(path.join(dir, 'tm', 'translation-memory.json'));
+      const memory = await TranslationMemory.open({ store: store });
+      memory.add('RTB', 'Возвращаюсь на базу', 'RU', '2024-01-01T00:00:00.000Z');
+      await memory.save();
+
+      const reopened = await TranslationMemory.open({ store: store });
+      expect(reopened.lookup('RTB', 'RU').target).toBe('Возвращаюсь на базу');
+
+      // Newer translations from a teammate win, older ones are ignored
+      const shared = reopened.exportData();
+      shared.entries = [
+        { source: 'RTB', target: 'Иду на базу', targetLocale: 'RU', updated: '2023-01-01T00:00:00.000Z' },
+        { source: 'Splash one', target: 'Минус один', targetLocale: 'RU', updated: '2024-02-01T00:00:00.000Z' }
+      ];
+      expect(reopened.importData(JSON.stringify(shared))).toEqual({ added: 1, updated: 0 });
+      expect(reopened.lookup('RTB', 'RU').target).toBe('Возвращаюсь на базу');
+      expect(() => reopened.importData('{"entries": []}')).toThrow('Not a translation memory file');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('Miz Parser - background worker', () => {
+  test.afterAll(() => MizWorkerClient.terminate());
+
+  test('should extract text in a worker thread', async () => {
+    const progress = [];
+    const result = await MizWorkerClient.extract(await createMiz(SAMPLE_FILES), { mode: 'auto' }, {
+      onProgress: (percent) => progress.push(percent)
+    });
+
+    expect(result.availableLocales).toEqual(['DEFAULT']);
+    expect(result.extractionResult.extracted.briefings[0].text).toBe('Operation Dawn');
+    expect(result.extractionResult.extracted.triggers[0].text).toBe('Bandits, bearing 270');
+    expect(progress.length).toBeGreaterThan(3);
+  });
+
+  test('should import in a worker thread and remember the translations', async () => {
+    const memory = new TranslationMemory();
+    const miz = await MizWorkerClient.importToMiz(await createMiz(SAMPLE_FILES),
+      'DictKey_ActionText_2: Бандиты, азимут 270', 'RU', { memory: memory });
+
+    const parsedData = await MizParser.parse(miz);
+    expect(parsedData.dictionaries.RU.DictKey_ActionText_2).toBe('Бандиты, азимут 270');
+    expect(memory.lookup('Bandits, bearing 270', 'RU').target).toBe('Бандиты, азимут 270');
+  });
+
+  test('should reject cancelled jobs with an AbortError', async () => {
+    const controller = new AbortController();
+    const job = MizWorkerClient.importToMiz(await createMiz(SAMPLE_FILES), '', 'RU', {}, {
+      signal: controller.signal,
+      onProgress: () => controller.abort()
+    });
+
+    await expect(job).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('should fail only the cancelled job with an AbortError when a stuck worker is stopped', async () => {
+    const timeout = MizWorkerClient.CANCEL_TIMEOUT;
+    // A worker busy with one long synchronous step answers nothing, not even the cancel
+    MizWorkerClient.getWorker().postMessage = () => {};
+    MizWorkerClient.CANCEL_TIMEOUT = 10;
+    try {
+      const controller = new AbortController();
+      const cancelled = MizWorkerClient.importToMiz(await createMiz(SAMPLE_FILES), '', 'RU', {}, { signal: controller.signal });
+      const other = MizWorkerClient.listResources(await createMiz(SAMPLE_FILES));
+      controller.abort();
+
+      await expect(cancelled).rejects.toMatchObject({ name: 'AbortError' });
+      await expect(other).rejects.toMatchObject({ name: 'Error', message: expect.stringContaining('restarted') });
+    } finally {
+      MizWorkerClient.CANCEL_TIMEOUT = timeout;
+    }
+  });
+
+  test('should report worker errors with their message', async () => {
+    await expect(MizWorkerClient.extract(Buffer.from('not a zip'), {})).rejects.toThrow('Invalid .miz file');
+  });
+});